@@ -6,6 +6,16 @@ import { spawn } from 'child_process';
 import puppeteer from 'puppeteer';
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegStatic from 'ffmpeg-static';
+import { FrameStreamEncoder } from './src/export/frameStreamEncoder.js';
+import { buildLinearPath, getLinearEndpoints, getLinearPathLength } from './src/animation/geometry.js';
+import { buildAnimatedArrowheadsSvg } from './src/animation/arrowheads.js';
+import { getRotationTransform, getElementOpacity, getFillColor, getTextColor } from './src/animation/elementStyle.js';
+import { buildFontDefs, layoutText, escapeXml } from './src/animation/text.js';
+import { getHandwritingStrokes, getHandwritingStrokeWidth, getHandwritingLength, buildHandwritingSvg } from './src/animation/handwriting.js';
+import { getAnimationDirectives } from './src/animation/directives.js';
+import { ProjectPipeline } from './src/project-pipeline.js';
+import { isProjectManifest, prepareProject } from './src/processing/project.js';
+import { buildDiagramGraph } from './src/processing/graph.js';
 
 ffmpeg.setFfmpegPath(ffmpegStatic);
 
@@ -16,9 +26,15 @@ console.log(`
 `);
 
 class ExcalidrawToYouTube {
-    constructor() {
+    constructor(options = {}) {
         this.outputDir = './output';
         this.frameDir = './output/frames';
+        this.streaming = options.streaming || false; // Pipe frames to ffmpeg, no PNG files
+        this.textMode = options.textMode || 'type'; // 'type' or 'handwrite'
+        this.handwriteSpeed = options.handwriteSpeed || null; // px/s of pen travel, null fits the slot
+        this.transition = options.transition || null; // Between drawings of a project
+        this.fps = 60;
+        this.duration = 10; // Seconds captured per drawing
     }
 
     async processExcalidrawFile(inputFile) {
@@ -45,9 +61,12 @@ class ExcalidrawToYouTube {
         let svg = `<?xml version="1.0" encoding="UTF-8"?>
 <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" 
      xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+    <defs>${buildFontDefs(excalidrawData.elements)}</defs>
     <rect width="${width}" height="${height}" fill="white"/>
     <g id="animation-container">`;
         
+        const elementsById = new Map(excalidrawData.elements.map(element => [element.id, element]));
+        
         // Process each element with progressive animation
         excalidrawData.elements.forEach((element, index) => {
             const startTime = (index * duration / excalidrawData.elements.length).toFixed(2);
@@ -65,7 +84,7 @@ class ExcalidrawToYouTube {
                     svg += this.createProgressiveLine(element, startTime, elementDuration);
                     break;
                 case 'text':
-                    svg += this.createProgressiveText(element, startTime, elementDuration);
+                    svg += this.createProgressiveText(element, startTime, elementDuration, elementsById.get(element.containerId));
                     break;
                 case 'freedraw':
                     svg += this.createProgressiveFreedraw(element, startTime, elementDuration);
@@ -88,12 +107,19 @@ class ExcalidrawToYouTube {
         return svg;
     }
 
+    // Rotation and opacity attributes for an element's group
+    elementGroupAttributes(element) {
+        const transform = getRotationTransform(element);
+        return `${transform ? ` transform="${transform}"` : ''} opacity="${getElementOpacity(element)}"`;
+    }
+
     createProgressiveRectangle(element, startTime, duration) {
-        const { x, y, width, height, strokeColor = '#000000', backgroundColor = 'none' } = element;
+        const { x, y, width, height, strokeColor = '#000000' } = element;
+        const backgroundColor = getFillColor(element);
         const perimeter = 2 * (width + height);
         
         return `
-        <g id="rect-${element.id}">
+        <g id="rect-${element.id}"${this.elementGroupAttributes(element)}>
             <!-- Progressive stroke -->
             <rect x="${x}" y="${y}" width="${width}" height="${height}" 
                   stroke="${strokeColor}" stroke-width="2" fill="none"
@@ -103,11 +129,11 @@ class ExcalidrawToYouTube {
                          begin="${startTime}s" dur="${duration}s" fill="freeze"/>
             </rect>
             <!-- Fill animation -->
-            ${backgroundColor !== 'none' ? `
+            ${backgroundColor ? `
             <rect x="${x}" y="${y}" width="${width}" height="${height}" 
                   fill="${backgroundColor}" opacity="0">
                 <animate attributeName="opacity" 
-                         from="0" to="0.5"
+                         from="0" to="1"
                          begin="${parseFloat(startTime) + parseFloat(duration) * 0.7}s" 
                          dur="${parseFloat(duration) * 0.3}s" fill="freeze"/>
             </rect>` : ''}
@@ -125,6 +151,7 @@ class ExcalidrawToYouTube {
 
     createProgressiveEllipse(element, startTime, duration) {
         const { x, y, width, height, strokeColor = '#000000' } = element;
+        const backgroundColor = getFillColor(element);
         const cx = x + width / 2;
         const cy = y + height / 2;
         const rx = width / 2;
@@ -132,7 +159,16 @@ class ExcalidrawToYouTube {
         const circumference = Math.PI * (3 * (rx + ry) - Math.sqrt((3 * rx + ry) * (rx + 3 * ry)));
         
         return `
-        <g id="ellipse-${element.id}">
+        <g id="ellipse-${element.id}"${this.elementGroupAttributes(element)}>
+            <!-- Fill animation -->
+            ${backgroundColor ? `
+            <ellipse cx="${cx}" cy="${cy}" rx="${rx}" ry="${ry}" 
+                     fill="${backgroundColor}" opacity="0">
+                <animate attributeName="opacity" 
+                         from="0" to="1"
+                         begin="${parseFloat(startTime) + parseFloat(duration) * 0.7}s" 
+                         dur="${parseFloat(duration) * 0.3}s" fill="freeze"/>
+            </ellipse>` : ''}
             <ellipse cx="${cx}" cy="${cy}" rx="${rx}" ry="${ry}" 
                      stroke="${strokeColor}" stroke-width="2" fill="none"
                      stroke-dasharray="${circumference}" stroke-dashoffset="${circumference}">
@@ -149,27 +185,27 @@ class ExcalidrawToYouTube {
     }
 
     createProgressiveLine(element, startTime, duration) {
-        const points = element.points || [[0, 0], [element.width || 100, element.height || 100]];
-        const { x, y, strokeColor = '#000000' } = element;
-        
-        let pathData = `M ${x + points[0][0]} ${y + points[0][1]}`;
-        let totalLength = 0;
+        const { strokeColor = '#000000' } = element;
+        const pathData = buildLinearPath(element);
+        const totalLength = getLinearPathLength(element);
         
-        for (let i = 1; i < points.length; i++) {
-            pathData += ` L ${x + points[i][0]} ${y + points[i][1]}`;
-            const dx = points[i][0] - points[i - 1][0];
-            const dy = points[i][1] - points[i - 1][1];
-            totalLength += Math.sqrt(dx * dx + dy * dy);
-        }
+        // Arrowheads revealed as the stroke reaches each end
+        const arrowheads = buildAnimatedArrowheadsSvg(
+            element,
+            getLinearEndpoints(element),
+            { startSec: parseFloat(startTime), durSec: parseFloat(duration) },
+            { color: strokeColor, strokeWidth: 2 }
+        );
         
         return `
-        <g id="line-${element.id}">
+        <g id="line-${element.id}"${this.elementGroupAttributes(element)}>
             <path d="${pathData}" stroke="${strokeColor}" stroke-width="2" fill="none"
                   stroke-dasharray="${totalLength}" stroke-dashoffset="${totalLength}">
                 <animate attributeName="stroke-dashoffset" 
                          from="${totalLength}" to="0"
                          begin="${startTime}s" dur="${duration}s" fill="freeze"/>
             </path>
+            ${arrowheads}
             <!-- Pointer -->
             <circle r="5" fill="red">
                 <animateMotion dur="${duration}s" begin="${startTime}s" fill="freeze" 
@@ -178,23 +214,46 @@ class ExcalidrawToYouTube {
         </g>`;
     }
 
-    createProgressiveText(element, startTime, duration) {
-        const { x, y, text = '', fontSize = 20, fontFamily = 'Arial' } = element;
-        const chars = text.split('');
-        const charDelay = parseFloat(duration) / chars.length;
+    createProgressiveText(element, startTime, duration, container = null) {
+        const layout = layoutText(element, element.x, element.y, container);
+        
+        // Handwriting: single-line pen strokes with the pointer on the pen,
+        // optionally timed by writing speed (customData.animation overrides)
+        const directives = getAnimationDirectives(element);
+        if ((directives.textMode || this.textMode) === 'handwrite') {
+            const speed = directives.handwriteSpeed || this.handwriteSpeed;
+            const durSec = speed
+                ? Math.max(getHandwritingLength(element.text || '', layout.fontSize) / speed, 0.1)
+                : parseFloat(duration);
+            return `
+        <g id="text-${element.id}"${this.elementGroupAttributes(element)}>
+            ${buildHandwritingSvg(getHandwritingStrokes(layout), {
+                startSec: parseFloat(startTime),
+                durSec,
+                color: getTextColor(element),
+                strokeWidth: getHandwritingStrokeWidth(layout.fontSize)
+            })}
+        </g>`;
+        }
+        
+        const charCount = layout.lines.reduce((sum, line) => sum + line.text.length, 0);
+        const charDelay = parseFloat(duration) / Math.max(charCount, 1);
+        let charIndex = 0;
+        
+        // Lines type out one after another
+        const lines = layout.lines.map(line => {
+            const chars = [...line.text].map(char => {
+                const begin = parseFloat(startTime) + charIndex++ * charDelay;
+                return `<tspan opacity="0">${escapeXml(char)}<animate attributeName="opacity" from="0" to="1" begin="${begin}s" dur="0.1s" fill="freeze"/></tspan>`;
+            }).join('');
+            
+            return `
+            <text x="${line.x}" y="${line.y}" font-size="${layout.fontSize}" font-family="${layout.fontFamily}" 
+                  fill="${getTextColor(element)}" text-anchor="${layout.anchor}" style="white-space: pre">${chars}</text>`;
+        });
         
         return `
-        <g id="text-${element.id}">
-            <text x="${x}" y="${y}" font-size="${fontSize}" font-family="${fontFamily}" fill="black">
-                ${chars.map((char, i) => `
-                <tspan opacity="0">
-                    ${char}
-                    <animate attributeName="opacity" 
-                             from="0" to="1"
-                             begin="${parseFloat(startTime) + i * charDelay}s" 
-                             dur="0.1s" fill="freeze"/>
-                </tspan>`).join('')}
-            </text>
+        <g id="text-${element.id}"${this.elementGroupAttributes(element)}>${lines.join('')}
         </g>`;
     }
 
@@ -214,7 +273,7 @@ class ExcalidrawToYouTube {
         }
         
         return `
-        <g id="freedraw-${element.id}">
+        <g id="freedraw-${element.id}"${this.elementGroupAttributes(element)}>
             <path d="${pathData}" stroke="${strokeColor}" stroke-width="2" fill="none"
                   stroke-linecap="round" stroke-linejoin="round"
                   stroke-dasharray="${totalLength}" stroke-dashoffset="${totalLength}">
@@ -242,39 +301,63 @@ class ExcalidrawToYouTube {
             headless: true,
             args: ['--no-sandbox', '--disable-setuid-sandbox']
         });
-        const page = await browser.newPage();
-        
-        await page.setViewport({ width: 1920, height: 1080 });
-        await page.goto('file://' + resolve(svgPath));
         
         // Capture frames
-        const fps = 60;
-        const duration = 10;
-        const totalFrames = fps * duration;
-        
-        console.log(`📸 Capturing ${totalFrames} frames...`);
+        const fps = this.fps;
+        const totalFrames = fps * this.duration;
+        const outputOptions = this.getOutputOptions(fps);
+        let encoder = null;
         
-        for (let i = 0; i < totalFrames; i++) {
-            const time = (i / fps) * 1000;
+        // A failed capture stops ffmpeg and the browser instead of leaving them running
+        try {
+            const page = await browser.newPage();
             
-            await page.evaluate((t) => {
-                const svg = document.querySelector('svg');
-                if (svg.setCurrentTime) {
-                    svg.setCurrentTime(t / 1000);
-                }
-            }, time);
+            await page.setViewport({ width: 1920, height: 1080 });
+            await page.goto('file://' + resolve(svgPath));
+            
+            // Streaming mode encodes while capturing
+            encoder = this.streaming
+                ? new FrameStreamEncoder({ frameRate: fps, totalFrames, outputOptions }).start(outputPath)
+                : null;
             
-            await page.screenshot({
-                path: join(this.frameDir, `frame_${String(i).padStart(5, '0')}.png`),
-                type: 'png'
-            });
+            console.log(`📸 Capturing ${totalFrames} frames${encoder ? ' (streaming to FFmpeg)' : ''}...`);
             
-            if (i % 60 === 0) {
-                console.log(`Progress: ${Math.round((i / totalFrames) * 100)}%`);
+            for (let i = 0; i < totalFrames; i++) {
+                const time = (i / fps) * 1000;
+                
+                await page.evaluate((t) => {
+                    const svg = document.querySelector('svg');
+                    if (svg.setCurrentTime) {
+                        svg.setCurrentTime(t / 1000);
+                    }
+                }, time);
+                
+                if (encoder) {
+                    await encoder.write(await page.screenshot({ type: 'png' }));
+                    continue;
+                }
+                
+                await page.screenshot({
+                    path: join(this.frameDir, `frame_${String(i).padStart(5, '0')}.png`),
+                    type: 'png'
+                });
+                
+                if (i % 60 === 0) {
+                    console.log(`Progress: ${Math.round((i / totalFrames) * 100)}%`);
+                }
             }
+        } catch (error) {
+            if (encoder) await encoder.abort();
+            throw error;
+        } finally {
+            await browser.close();
         }
         
-        await browser.close();
+        if (encoder) {
+            await encoder.end();
+            console.log('✅ YouTube-ready video created!');
+            return outputPath;
+        }
         
         // Create video with FFmpeg
         console.log('\n🎥 Encoding YouTube-optimized video...');
@@ -283,19 +366,7 @@ class ExcalidrawToYouTube {
             ffmpeg()
                 .input(join(this.frameDir, 'frame_%05d.png'))
                 .inputOptions(['-framerate', String(fps)])
-                .outputOptions([
-                    '-c:v', 'libx264',
-                    '-preset', 'slow',
-                    '-crf', '18',
-                    '-pix_fmt', 'yuv420p',
-                    '-movflags', '+faststart',
-                    '-profile:v', 'high',
-                    '-level', '4.2',
-                    '-bf', '2',
-                    '-g', String(fps * 2),
-                    '-maxrate', '10M',
-                    '-bufsize', '20M'
-                ])
+                .outputOptions(outputOptions)
                 .output(outputPath)
                 .on('end', () => {
                     console.log('✅ YouTube-ready video created!');
@@ -306,7 +377,23 @@ class ExcalidrawToYouTube {
         });
     }
 
-    generateYouTubeMetadata(excalidrawData, videoPath) {
+    getOutputOptions(fps) {
+        return [
+            '-c:v', 'libx264',
+            '-preset', 'slow',
+            '-crf', '18',
+            '-pix_fmt', 'yuv420p',
+            '-movflags', '+faststart',
+            '-profile:v', 'high',
+            '-level', '4.2',
+            '-bf', '2',
+            '-g', String(fps * 2),
+            '-maxrate', '10M',
+            '-bufsize', '20M'
+        ];
+    }
+
+    generateYouTubeMetadata(excalidrawData, videoPath, chapters = null) {
         console.log('\n📝 Generating YouTube metadata...');
         
         const metadata = {
@@ -320,7 +407,7 @@ class ExcalidrawToYouTube {
 • Pointer tracking
 • 1080p 60fps quality
 
-⚡ Created with Excalidraw Video Pipeline
+${chapters ? `📑 Chapters:\n${chapters}\n\n` : ''}⚡ Created with Excalidraw Video Pipeline
 🚀 Powered by Claude Code - Zero MCP needed
 🎯 The Everything Agent is here!
 
@@ -343,7 +430,8 @@ class ExcalidrawToYouTube {
             license: 'Creative Commons',
             recordingDate: new Date().toISOString(),
             videoFile: videoPath,
-            thumbnail: join(this.outputDir, 'thumbnail.png')
+            thumbnail: join(this.outputDir, 'thumbnail.png'),
+            diagram: buildDiagramGraph(excalidrawData.elements).toJSON() // Shapes and the arrows connecting them
         };
         
         const metadataPath = videoPath.replace('.mp4', '_youtube.json');
@@ -361,7 +449,34 @@ class ExcalidrawToYouTube {
         return metadata;
     }
 
-    async run(inputFile) {
+    // Drawings of a project (a manifest or several files) go through the
+    // main pipeline, which honours each scene's timing, storyboard and narration
+    async renderProject(inputFiles) {
+        const project = await prepareProject(inputFiles.length === 1 ? inputFiles[0] : inputFiles, {
+            defaults: this.transition ? { transition: this.transition } : {}
+        });
+        console.log(`\n🧵 Project: ${project.scenes.length} drawings`);
+        
+        const projectPipeline = new ProjectPipeline({
+            outputDir: this.outputDir,
+            animation: {
+                frameRate: this.fps,
+                text: { mode: this.textMode, handwriteSpeed: this.handwriteSpeed }
+            },
+            export: { streaming: this.streaming }
+        });
+        const { video } = await projectPipeline.run({ ...project, output: project.output || 'youtube-ready.mp4' });
+        
+        // Every drawing's elements, for the metadata
+        const elements = [];
+        for (const scene of project.scenes) {
+            elements.push(...(await this.processExcalidrawFile(scene.file)).elements);
+        }
+        
+        return { excalidrawData: { elements }, video };
+    }
+
+    async run(...inputFiles) {
         try {
             console.log('━'.repeat(50));
             console.log('🚀 EXCALIDRAW → YOUTUBE PIPELINE');
@@ -372,18 +487,28 @@ class ExcalidrawToYouTube {
             mkdirSync(this.outputDir, { recursive: true });
             mkdirSync(this.frameDir, { recursive: true });
             
-            // Process Excalidraw file
-            const excalidrawData = await this.processExcalidrawFile(inputFile);
-            
-            // Generate progressive SVG
-            const svgContent = this.generateProgressiveSVG(excalidrawData);
-            
-            // Convert to YouTube video
-            const videoPath = join(this.outputDir, 'youtube-ready.mp4');
-            await this.convertSVGToVideo(svgContent, videoPath);
+            let excalidrawData;
+            let videoPath;
+            let chapters = null;
+            if (inputFiles.length > 1 || isProjectManifest(inputFiles[0])) {
+                const { excalidrawData: projectData, video } = await this.renderProject(inputFiles);
+                excalidrawData = projectData;
+                videoPath = video.outputPath;
+                chapters = video.youtubeChapters;
+            } else {
+                // Process Excalidraw file
+                excalidrawData = await this.processExcalidrawFile(inputFiles[0]);
+                
+                // Generate progressive SVG
+                const svgContent = this.generateProgressiveSVG(excalidrawData);
+                
+                // Convert to YouTube video
+                videoPath = join(this.outputDir, 'youtube-ready.mp4');
+                await this.convertSVGToVideo(svgContent, videoPath);
+            }
             
             // Generate YouTube metadata
-            this.generateYouTubeMetadata(excalidrawData, videoPath);
+            this.generateYouTubeMetadata(excalidrawData, videoPath, chapters);
             
             // Clean up frames
             console.log('\n🧹 Cleaning up temporary files...');
@@ -403,12 +528,26 @@ class ExcalidrawToYouTube {
 }
 
 // CLI entry point
-if (process.argv.length < 3) {
-    console.log('Usage: node excalidraw-to-youtube.js <excalidraw-file.json>');
-    console.log('\nExample:');
+const args = process.argv.slice(2);
+const transitionIndex = args.indexOf('--transition');
+const inputFiles = args.filter((arg, index) => !arg.startsWith('--') && !(transitionIndex >= 0 && index === transitionIndex + 1));
+
+if (inputFiles.length === 0) {
+    console.log('Usage: node excalidraw-to-youtube.js <excalidraw-file.json|project.yaml>... [--stream] [--handwrite] [--transition <type>]');
+    console.log('\nOptions:');
+    console.log('  --stream      Pipe frames straight into FFmpeg instead of writing PNG files');
+    console.log('  --handwrite   Write text with pen strokes instead of typing it');
+    console.log('  --transition  Between drawings: cut, crossfade, whiteboard-wipe or zoom-through');
+    console.log('\nExamples:');
     console.log('  node excalidraw-to-youtube.js drawing.excalidraw');
+    console.log('  node excalidraw-to-youtube.js intro.excalidraw api.excalidraw --transition whiteboard-wipe');
+    console.log('  node excalidraw-to-youtube.js course.project.yaml');
     process.exit(1);
 }
 
-const pipeline = new ExcalidrawToYouTube();
-pipeline.run(process.argv[2]);
\ No newline at end of file
+const pipeline = new ExcalidrawToYouTube({
+    streaming: args.includes('--stream'),
+    textMode: args.includes('--handwrite') ? 'handwrite' : 'type',
+    transition: transitionIndex >= 0 ? args[transitionIndex + 1] : null
+});
+pipeline.run(...inputFiles);
\ No newline at end of file
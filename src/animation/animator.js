@@ -1,7 +1,33 @@
 // import { animateSvg, exportToWebmFile } from 'excalidraw-animate/dist/library.js';
-import puppeteer from 'puppeteer';
 import { writeFileSync, mkdirSync } from 'fs';
 import { join } from 'path';
+import { FrameRenderer } from '../render/frameRenderer.js';
+import { buildLinearPath, getElementPoints, getLinearEndpoints, getLinearPathLength } from './geometry.js';
+import { buildAnimatedArrowheadsSvg } from './arrowheads.js';
+import { generateRoughShape, getStrokeDash } from './roughShapes.js';
+import {
+    resolveViewport,
+    viewportToTransform,
+    fitViewport,
+    getSceneBounds,
+    buildFollowKeyframes,
+    buildCameraAnimationSvg,
+    viewportAt
+} from './camera.js';
+import { wrapWithElementStyle, getTextColor, getFillColor } from './elementStyle.js';
+import { buildFontDefs, layoutText, splitLines, escapeXml, estimateLineWidth } from './text.js';
+import { resolveLabels, orderLabelsAfterContainers } from '../processing/labels.js';
+import { orderByFlow, orderByReadingOrder } from './sequencing.js';
+import { computeReplaySchedule, computeLengthDuration } from './timing.js';
+import { easingAttributes, motionEasingAttributes } from './easing.js';
+import { resolveEffect, buildEffectSvg, effectFrameAt } from './effects.js';
+import { planEmphasis, buildEmphasisSvg } from './emphasis.js';
+import { resolveFlow, buildFlowSvg, flowElementsAt } from './flow.js';
+import { resolveExit, buildExitSvg, exitFrameAt } from './exits.js';
+import { getAnimationDirectives, extractIdNumber } from './directives.js';
+import { prepareStoryboard } from '../processing/storyboard.js';
+import { buildScenes, isFrame } from '../processing/scenes.js';
+import { getHandwritingStrokes, getHandwritingLength, getHandwritingStrokeWidth, buildHandwritingSvg } from './handwriting.js';
 
 export class ExcalidrawAnimator {
     constructor(config = {}) {
@@ -11,14 +37,119 @@ export class ExcalidrawAnimator {
             frameRate: config.frameRate || 30,
             speed: config.speed || 1.0,
             outputDir: config.outputDir || './output/frames',
+            renderConcurrency: config.renderConcurrency || 4,
+            streaming: config.streaming || false, // Pipe frames to ffmpeg instead of PNG files
+            sequence: config.sequence || 'created', // 'created' timestamps, 'flow' along arrows or 'reading-order'
+            readingDirection: config.readingDirection || 'ltr', // 'ltr' or 'rtl' for reading-order
+            easing: config.easing || 'linear', // Named curve or 'cubic-bezier(x1, y1, x2, y2)'; customData.animation.easing per element
+            storyboard: config.storyboard || null, // Storyboard file path or object (see processing/storyboard.js)
             ...config
         };
         
+        // Camera framing: 'fit' the scene bounds, start from the 'appState' view,
+        // 'follow' the element being drawn, or 'none'
+        this.config.camera = {
+            mode: 'fit',
+            padding: 80,
+            maxZoom: Infinity,
+            followPadding: 160, // Screen padding around the followed element
+            followMaxZoom: 2.5, // Never zoom in further than this
+            transitionMs: 600, // Duration of each camera move
+            keyTo: 'elements', // 'elements' or 'narration' (segments of the audio timeline)
+            ...config.camera
+        };
+        
+        // Text reveal: 'type' character by character, or 'handwrite' pen strokes.
+        // handwriteSpeed (px/s of pen travel) times handwriting by length instead
+        // of the slot duration; elements override both through
+        // customData.animation.textMode / handwriteSpeed.
+        this.config.text = {
+            mode: 'type',
+            handwriteSpeed: null,
+            ...config.text
+        };
+        
+        // Reveal effects (names from effects.js, or { type, ...options }):
+        // per element through customData.animation.effect, else by group id,
+        // by element type, then the default
+        this.config.effects = {
+            default: 'draw',
+            byType: {},
+            byGroup: {},
+            ...config.effects
+        };
+        
+        // Emphasis while narration talks about a drawn element: 'pulse', 'glow',
+        // 'circle', 'underline' or 'dim' (type null leaves it to customData /
+        // storyboard steps). Windows shorter than minMs are dropped.
+        this.config.emphasis = {
+            type: null,
+            color: '#e03131',
+            dimOpacity: 0.25,
+            pulseScale: 1.06,
+            drawMs: 600, // Time to draw a circle or underline
+            padding: 12,
+            minMs: 400,
+            ...config.emphasis
+        };
+        
+        // Defaults for flow particles on arrows that enable them (see flow.js)
+        this.config.flow = {
+            style: 'dots',
+            speed: 120, // px/s
+            spacing: 60,
+            ...config.flow
+        };
+        
+        // Exits (names from exits.js): how elements leave when a storyboard step
+        // clears them without saying how, and how long exits take by default
+        this.config.exits = {
+            default: 'fade-out',
+            durationMs: 600,
+            ...config.exits
+        };
+        
+        // Excalidraw frames as scenes, played in turn with the camera on each frame:
+        // transition 'move' glides between frames, 'cut' jumps and 'fade' fades the
+        // previous scene out first. holdMs keeps a finished scene on screen.
+        this.config.scenes = {
+            enabled: true,
+            transition: 'move',
+            transitionMs: 800,
+            holdMs: 1000,
+            ...config.scenes
+        };
+        
+        // Timing: 'fixed' slots per element, 'length' in proportion to each
+        // element's path (pixelsPerSecond scaled by speedFactor), or 'replay' the
+        // author's pace from created / updated (gaps over idleThreshold ms shrink
+        // to idleCompressTo, then the run is rescaled to targetDuration ms when set).
+        // Both clamp every element to minElementMs..maxElementMs.
+        this.config.timing = {
+            mode: 'fixed',
+            idleThreshold: 2000,
+            idleCompressTo: 500,
+            minElementMs: 300,
+            maxElementMs: 4000,
+            targetDuration: null,
+            pixelsPerSecond: 800,
+            speedFactor: 1,
+            ...config.timing
+        };
+        
+        // Shared frame renderer (injected, or created on first use)
+        this.renderer = config.renderer || null;
+        this.ownsRenderer = !config.renderer;
+        
         // Ensure output directory exists
         mkdirSync(this.config.outputDir, { recursive: true });
     }
 
-    async generateAnimation(excalidrawData, timestamps) {
+    /**
+     * @param {object} options - { narrationTimeline } from VoiceNarrator.createAudioTimeline,
+     *                           used when the follow camera is keyed to narration
+     */
+    async generateAnimation(excalidrawData, timestamps, options = {}) {
         try {
             console.log('🎭 Starting animation generation using dai-shi/excalidraw-animate...');
             console.log(`📐 Canvas size: ${this.config.width}x${this.config.height}`);
@@ -32,7 +163,7 @@ export class ExcalidrawAnimator {
                     elements: excalidrawData.elements || excalidrawData
                 };
                 
-                return await this.generateWithExcalidrawAnimate(preparedData);
+                return await this.generateWithExcalidrawAnimate(preparedData, options);
                 
             } catch (excalidrawAnimateError) {
                 console.log('⚠️  dai-shi/excalidraw-animate failed, falling back to frame-by-frame generation');
@@ -40,8 +171,8 @@ export class ExcalidrawAnimator {
                 console.log(`   Stack: ${excalidrawAnimateError.stack}`);
                 
                 // Fallback to frame-by-frame generation
-                const elements = excalidrawData.elements || excalidrawData;
-                return await this.generateFrameByFrame({ elements: elements }, timestamps);
+                const sceneData = Array.isArray(excalidrawData) ? { elements: excalidrawData } : excalidrawData;
+                return await this.generateFrameByFrame(sceneData, timestamps, options);
             }
             
         } catch (error) {
@@ -49,8 +180,39 @@ export class ExcalidrawAnimator {
         }
     }
     
-    async generateFrameByFrame(excalidrawData, timestamps) {
-        // Calculate animation duration and frame count
+    /**
+     * Timestamps are { id, created, updated, exit? } where exit is a
+     * createExit() result; elements with a timed exit directive get one here.
+     * A storyboard replaces them with its own step plan.
+     */
+    async generateFrameByFrame(excalidrawData, timestamps, options = {}) {
+        const storyboard = await prepareStoryboard(options.storyboard ?? this.config.storyboard, excalidrawData.elements);
+        const flows = this.getFlowSpecs(excalidrawData.elements, storyboard);
+        
+        // Reveal effects; the element's created..updated span is the effect's duration
+        const reveals = new Map(excalidrawData.elements.map(element => {
+            const directives = getAnimationDirectives(element);
+            return [element.id, {
+                effect: resolveEffect(this.getElementEffect(element, directives)),
+                easing: directives.easing || this.config.easing
+            }];
+        }));
+        
+        // Frames as scenes: played one after another, the camera on each frame
+        const scenes = storyboard ? [] : this.getScenes(excalidrawData.elements);
+        let scriptedCamera = null;
+        if (storyboard) {
+            const plan = this.createStoryboardTimestamps(storyboard, options.narrationTimeline);
+            timestamps = plan.timestamps;
+            plan.reveals.forEach((reveal, id) => reveals.set(id, reveal));
+            scriptedCamera = { targets: plan.cameraTargets, force: storyboard.steps.some(step => step.camera) };
+        } else {
+            timestamps = this.normalizeTimestamps(timestamps);
+            timestamps = this.addTimestampExits(excalidrawData.elements, this.orderTimestampsByScene(scenes, timestamps));
+        }
+        const timestampsById = new Map(timestamps.map(timestamp => [timestamp.id, timestamp]));
+        
+        // Calculate animation duration and frame count (speed below 1 plays slower, over more frames)
         const animationDuration = this.calculateDuration(timestamps);
         const totalFrames = Math.ceil((animationDuration / 1000) * this.config.frameRate / this.config.speed);
         
@@ -58,35 +220,126 @@ export class ExcalidrawAnimator {
         console.log(`🎞️  Total frames to generate: ${totalFrames}`);
         
         const frames = [];
+        const progressStep = Math.ceil(totalFrames / 10);
+        const viewport = this.getCameraViewport(excalidrawData);
+        const sceneSpans = this.createTimestampSceneSpans(scenes, timestamps);
+        const chapters = sceneSpans.map(({ id, title, startMs, endMs }) => ({ id, title, startMs, endMs }));
+        let cameraKeyframes;
+        if (scriptedCamera) {
+            cameraKeyframes = this.createCameraKeyframes(
+                excalidrawData,
+                scriptedCamera.targets,
+                animationDuration,
+                null,
+                scriptedCamera.force
+            );
+        } else if (sceneSpans.length > 0) {
+            cameraKeyframes = this.createCameraKeyframes(
+                excalidrawData,
+                sceneSpans,
+                animationDuration,
+                null,
+                true,
+                this.getSceneTransitionMs()
+            );
+        } else {
+            cameraKeyframes = this.createCameraKeyframes(
+                excalidrawData,
+                this.createTimestampCameraTargets(excalidrawData.elements, timestamps),
+                animationDuration,
+                options.narrationTimeline
+            );
+        }
         
-        // Generate frames using puppeteer fallback
-        for (let frame = 0; frame < totalFrames; frame++) {
-            const timeProgress = (frame / totalFrames) * animationDuration * this.config.speed;
+        const elementsById = new Map(excalidrawData.elements.map(element => [element.id, element]));
+        
+        // Scene for a given frame (hidden elements stay in the scene at zero opacity
+        // so the export bounds, and therefore the framing, are stable across frames).
+        // Elements in the middle of an effect or exit are drawn as overlays by the renderer.
+        // The last frame lands on the end of the animation.
+        const sceneAt = (frame) => {
+            const timeProgress = (frame / Math.max(totalFrames - 1, 1)) * animationDuration;
+            const visibleElements = this.getElementsAtTime(excalidrawData.elements, timestampsById, timeProgress);
+            const visibleIds = new Set(visibleElements.map(element => element.id));
+            const overlays = [];
+            
+            const elements = excalidrawData.elements.map(element => {
+                if (!visibleIds.has(element.id) || (scenes.length > 0 && isFrame(element))) return { ...element, opacity: 0 };
+                
+                const reveal = reveals.get(element.id);
+                const timestamp = timestampsById.get(element.id);
+                const start = timestamp.created || 0;
+                const progress = (timeProgress - start) / Math.max((timestamp.updated || start) - start, 1);
+                
+                let frame = null;
+                if (reveal.effect.type !== 'draw' && progress < 1) {
+                    frame = effectFrameAt(reveal.effect, element, progress, reveal.easing);
+                } else if (timestamp.exit && timeProgress >= timestamp.exit.startMs) {
+                    const exitProgress = (timeProgress - timestamp.exit.startMs) / Math.max(timestamp.exit.durationMs, 1);
+                    frame = exitFrameAt(timestamp.exit, element, exitProgress, timestamp.exit.easing);
+                }
+                if (!frame) return element;
+                
+                overlays.push({ element, frame });
+                return { ...element, opacity: 0 };
+            });
             
-            // Get elements visible at this time
-            console.log(`Debug - elements:`, excalidrawData.elements?.length || 'undefined');
-            console.log(`Debug - timestamps:`, timestamps?.length || 'undefined');
-            const visibleElements = this.getElementsAtTime(excalidrawData.elements, timestamps, timeProgress);
+            // Flow particles travel along arrows once they are drawn
+            flows.forEach((flow, id) => {
+                const timestamp = timestampsById.get(id);
+                if (!timestamp || !visibleIds.has(id)) return;
+                
+                const drawnAt = timestamp.updated || timestamp.created || 0;
+                if (timeProgress >= drawnAt) {
+                    elements.push(...flowElementsAt(elementsById.get(id), flow, timeProgress - drawnAt));
+                }
+            });
             
-            // Create frame data
-            const frameData = {
+            return {
                 ...excalidrawData,
-                elements: visibleElements
+                elements,
+                overlays,
+                viewport: cameraKeyframes ? viewportAt(cameraKeyframes, timeProgress) : viewport
             };
+        };
+        
+        // Streaming mode: hand back a frame source, the exporter pipes it into ffmpeg
+        if (this.config.streaming) {
+            console.log('📡 Streaming mode: frames are rendered during export, no PNG files written');
             
-            // Generate frame using puppeteer
-            const frameImage = await this.renderFrame(frameData);
-            
-            // Save frame
-            const framePath = join(this.config.outputDir, `frame_${frame.toString().padStart(6, '0')}.png`);
-            writeFileSync(framePath, frameImage);
-            
-            frames.push(framePath);
-            
-            if (frame % Math.ceil(totalFrames / 10) === 0) {
-                const progress = Math.round((frame / totalFrames) * 100);
-                console.log(`🎨 Generated frame ${frame}/${totalFrames} (${progress}%)`);
-            }
+            return {
+                type: 'frame-stream',
+                frames,
+                frameCount: totalFrames,
+                frameRate: this.config.frameRate,
+                duration: animationDuration,
+                chapters,
+                outputDir: this.config.outputDir,
+                renderFrames: async (onFrame) => {
+                    try {
+                        return await this.getRenderer().renderSceneFrames(totalFrames, sceneAt, onFrame);
+                    } finally {
+                        await this.closeRenderer();
+                    }
+                }
+            };
+        }
+        
+        // Render frames in parallel on the shared browser, saved in frame order
+        try {
+            await this.getRenderer().renderSceneFrames(totalFrames, sceneAt, (frameImage, frame) => {
+                const framePath = join(this.config.outputDir, `frame_${frame.toString().padStart(6, '0')}.png`);
+                writeFileSync(framePath, frameImage);
+                
+                frames.push(framePath);
+                
+                if (frame % progressStep === 0) {
+                    const progress = Math.round((frame / totalFrames) * 100);
+                    console.log(`🎨 Generated frame ${frame}/${totalFrames} (${progress}%)`);
+                }
+            });
+        } finally {
+            await this.closeRenderer();
         }
         
         console.log(`✅ Frame-by-frame generation complete! ${frames.length} frames saved`);
@@ -95,95 +348,482 @@ export class ExcalidrawAnimator {
             frames,
             frameRate: this.config.frameRate,
             duration: animationDuration,
+            chapters,
             outputDir: this.config.outputDir
         };
     }
     
+    // Starting camera viewport for the configured framing mode (null leaves the renderer's own fit)
+    getCameraViewport(excalidrawData) {
+        if (this.config.camera.mode === 'none') return null;
+        
+        return resolveViewport(excalidrawData.elements, excalidrawData.appState, {
+            ...this.config.camera,
+            width: this.config.width,
+            height: this.config.height
+        });
+    }
+    
+    /**
+     * Follow-camera keyframes (null unless camera mode is 'follow', or forced
+     * by storyboard camera targets).
+     * Targets are { startMs, endMs, elements } in animation time.
+     */
+    createCameraKeyframes(excalidrawData, targets, totalDuration, narrationTimeline, force = false, transitionMs = this.config.camera.transitionMs) {
+        const camera = this.config.camera;
+        if (camera.mode !== 'follow' && !force) return null;
+        
+        const frame = { width: this.config.width, height: this.config.height };
+        const overview = fitViewport(getSceneBounds(excalidrawData.elements), { ...frame, padding: camera.padding, maxZoom: camera.maxZoom });
+        
+        // Narration-keyed: the view sits on whatever each segment describes
+        if (camera.keyTo === 'narration' && narrationTimeline?.segments?.length) {
+            targets = narrationTimeline.segments.map(segment => ({
+                startMs: segment.startTime,
+                endMs: segment.endTime,
+                elements: segment.animationSync.elements
+            }));
+        }
+        
+        const keyed = targets
+            .filter(target => target.elements.length > 0)
+            .map(target => ({
+                startMs: target.startMs,
+                endMs: target.endMs,
+                viewport: fitViewport(getSceneBounds(target.elements), {
+                    ...frame,
+                    padding: camera.followPadding,
+                    maxZoom: camera.followMaxZoom
+                })
+            }))
+            .sort((a, b) => a.startMs - b.startMs);
+        
+        return buildFollowKeyframes(keyed, {
+            overview,
+            transitionMs,
+            totalDuration
+        });
+    }
+    
+    // Camera targets for the frame-by-frame path (element timestamps)
+    createTimestampCameraTargets(elements, timestamps) {
+        const timestampsById = new Map(timestamps.map(timestamp => [timestamp.id, timestamp]));
+        return (elements || []).map(element => {
+            const timestamp = timestampsById.get(element.id);
+            if (!timestamp) return null;
+            
+            return {
+                startMs: timestamp.created || 0,
+                endMs: timestamp.updated || timestamp.created || 0,
+                elements: [element]
+            };
+        }).filter(Boolean);
+    }
+    
+    // Timestamps shifted so scenes play in order, each at its own pace and
+    // holdMs apart. Timestamps already in scene order (e.g. synced to the
+    // narration) are kept as they are.
+    orderTimestampsByScene(scenes, timestamps) {
+        const spans = this.createTimestampSceneSpans(scenes, timestamps, false);
+        const inOrder = spans.every((span, index) => index === 0 || span.startMs >= spans[index - 1].endMs);
+        if (inOrder) return timestamps;
+        
+        const offsets = new Map();
+        let cursor = Math.min(...spans.map(span => span.startMs));
+        spans.forEach(span => {
+            span.sceneElements.forEach(element => offsets.set(element.id, cursor - span.startMs));
+            cursor += span.endMs - span.startMs + this.config.scenes.holdMs;
+        });
+        
+        return timestamps.map(timestamp => {
+            const offset = offsets.get(timestamp.id);
+            if (offset === undefined) return timestamp;
+            
+            return {
+                ...timestamp,
+                created: (timestamp.created || 0) + offset,
+                updated: (timestamp.updated || timestamp.created || 0) + offset,
+                exit: timestamp.exit ? { ...timestamp.exit, startMs: timestamp.exit.startMs + offset } : timestamp.exit
+            };
+        });
+    }
+    
+    // Scene spans for the frame-by-frame path, from the timestamps of each
+    // scene's elements: { id, title, startMs, endMs, elements, sceneElements }
+    // (elements is the camera target), sorted by start unless sorted is false
+    createTimestampSceneSpans(scenes, timestamps, sorted = true) {
+        const timestampsById = new Map(timestamps.map(timestamp => [timestamp.id, timestamp]));
+        const spans = scenes.map(scene => {
+            const times = scene.elements
+                .map(element => timestampsById.get(element.id))
+                .filter(Boolean);
+            if (times.length === 0) return null;
+            
+            return {
+                id: scene.id,
+                title: scene.title,
+                startMs: Math.min(...times.map(t => t.created || 0)),
+                endMs: Math.max(...times.map(t => t.updated || t.created || 0)),
+                elements: scene.frame ? [scene.frame] : scene.elements,
+                sceneElements: scene.elements
+            };
+        }).filter(Boolean);
+        return sorted ? spans.sort((a, b) => a.startMs - b.startMs) : spans;
+    }
+    
     calculateDuration(timestamps) {
         if (timestamps.length === 0) return 3000; // Default 3 seconds
         
-        const firstTime = Math.min(...timestamps.map(t => t.created || 0));
-        const lastTime = Math.max(...timestamps.map(t => t.updated || t.created || 0));
+        // Normalized timestamps start at 0, so the animation runs to the last one
+        const lastTime = Math.max(...timestamps.map(t => t.exit
+            ? t.exit.startMs + t.exit.durationMs
+            : t.updated || t.created || 0));
+        
+        return Math.max(lastTime, 1000); // Minimum 1 second
+    }
+    
+    // The storyboard plan the SVG path plays (step order, delays, pauses, clears
+    // and exits) as frame-by-frame timestamps, with each element's step reveal
+    createStoryboardTimestamps(storyboard, narrationTimeline) {
+        const animatedFrames = storyboard.steps
+            .flatMap(step => step.elements)
+            .filter(element => getAnimationDirectives(element).skip)
+            .map(element => this.createElementAnimation(element, 0, 1));
+        const { cameraTargets } = this.appendStoryboardFrames(storyboard, 0, animatedFrames, narrationTimeline);
+        this.addLabelExits(animatedFrames);
+        
+        return {
+            timestamps: animatedFrames.map(frame => ({
+                id: frame.element.id,
+                created: frame.startMs,
+                updated: frame.startMs + frame.durationMs,
+                exit: frame.exit
+            })),
+            reveals: new Map(animatedFrames.map(frame => [frame.element.id, {
+                effect: resolveEffect(frame.effect),
+                easing: frame.easing
+            }])),
+            cameraTargets
+        };
+    }
+    
+    // Timestamps relative to the first element drawn, so the animation starts at 0
+    // (the parser's created values are epoch milliseconds in real drawings)
+    normalizeTimestamps(timestamps) {
+        if (timestamps.length === 0) return timestamps;
+        
+        const origin = Math.min(...timestamps.map(t => t.created || 0));
+        if (origin === 0) return timestamps;
         
-        return Math.max(lastTime - firstTime, 1000); // Minimum 1 second
+        return timestamps.map(timestamp => ({
+            ...timestamp,
+            created: (timestamp.created || 0) - origin,
+            updated: (timestamp.updated || timestamp.created || 0) - origin,
+            exit: timestamp.exit ? { ...timestamp.exit, startMs: timestamp.exit.startMs - origin } : timestamp.exit
+        }));
     }
     
-    getElementsAtTime(elements, timestamps, currentTime) {
+    // Elements on screen at currentTime, from a Map of timestamps by element id
+    getElementsAtTime(elements, timestampsById, currentTime) {
         if (!elements || !Array.isArray(elements)) {
             console.log('⚠️  Elements is not an array:', elements);
             return [];
         }
         
         return elements.filter(element => {
-            const timestamp = timestamps.find(t => t.id === element.id);
+            const timestamp = timestampsById.get(element.id);
             if (!timestamp) return false;
             
+            // Gone once its exit has finished
+            if (timestamp.exit && timestamp.exit.startMs + timestamp.exit.durationMs <= currentTime) return false;
             return (timestamp.created || 0) <= currentTime;
         });
     }
     
+    // Timestamps with the exits of elements whose exit directive has 'after'
+    addTimestampExits(elements, timestamps) {
+        const elementsById = new Map((elements || []).map(element => [element.id, element]));
+        
+        const timed = timestamps.map(timestamp => {
+            const element = elementsById.get(timestamp.id);
+            const exit = element ? getAnimationDirectives(element).exit : null;
+            const after = Number(exit?.after);
+            if (timestamp.exit || !Number.isFinite(after)) return timestamp;
+            
+            const drawnAt = timestamp.updated || timestamp.created || 0;
+            return { ...timestamp, exit: this.createExit(exit, drawnAt + Math.max(after, 0)) };
+        });
+        
+        const exits = new Map(timed.filter(timestamp => timestamp.exit).map(timestamp => [timestamp.id, timestamp.exit]));
+        return timed.map(timestamp => {
+            const containerExit = exits.get(elementsById.get(timestamp.id)?.containerId);
+            return containerExit && !timestamp.exit ? { ...timestamp, exit: containerExit } : timestamp;
+        });
+    }
+    
+    // Bound labels leave with their container
+    addLabelExits(animatedFrames) {
+        const exits = new Map(animatedFrames.filter(frame => frame.exit).map(frame => [frame.element.id, frame.exit]));
+        animatedFrames.forEach(frame => {
+            const containerExit = exits.get(frame.element.containerId);
+            if (containerExit && !frame.exit) frame.exit = containerExit;
+        });
+    }
+    
     async renderFrame(frameData) {
         try {
-            // Use puppeteer to render excalidraw frame
-            const browser = await puppeteer.launch({ headless: true });
-            const page = await browser.newPage();
-            
-            await page.setViewport({
-                width: this.config.width,
-                height: this.config.height
-            });
-            
-            // Create HTML page with excalidraw content
-            const html = `
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <script src="https://unpkg.com/@excalidraw/excalidraw@latest/dist/excalidraw.production.min.js"></script>
-                    <style>
-                        body { margin: 0; padding: 0; }
-                        .excalidraw { width: 100vw; height: 100vh; }
-                    </style>
-                </head>
-                <body>
-                    <div id="excalidraw-container" class="excalidraw"></div>
-                    <script>
-                        const excalidrawData = ${JSON.stringify(frameData)};
-                        const container = document.getElementById('excalidraw-container');
-                        // Render excalidraw scene
-                        // This is a simplified version - in practice you'd use the full excalidraw API
-                        container.style.backgroundColor = '${frameData.appState?.viewBackgroundColor || '#ffffff'}';
-                    </script>
-                </body>
-                </html>
-            `;
-            
-            await page.setContent(html);
-            await page.waitForSelector('body', { timeout: 5000 }); // Wait for rendering
-            
-            const screenshot = await page.screenshot({ 
-                type: 'png',
-                fullPage: true
-            });
-            
-            await browser.close();
-            return screenshot;
-            
+            return await this.getRenderer().renderScene(frameData);
         } catch (error) {
             throw new Error(`Frame rendering failed: ${error.message}`);
         }
     }
     
+    getRenderer() {
+        if (!this.renderer) {
+            this.renderer = new FrameRenderer({
+                width: this.config.width,
+                height: this.config.height,
+                concurrency: this.config.renderConcurrency
+            });
+        }
+        return this.renderer;
+    }
+    
+    // Close the renderer only if this animator created it
+    async closeRenderer() {
+        if (this.renderer && this.ownsRenderer) {
+            await this.renderer.close();
+            this.renderer = null;
+        }
+    }
+    
     // Extract animation order from element ID (REAL dai-shi/excalidraw-animate approach)
     extractNumberFromElement(element, key) {
-        const match = element.id.match(new RegExp(`${key}:(-?\\d+)`));
-        return (match && Number(match[1])) || 0;
+        return extractIdNumber(element, key) || 0;
     }
 
+    // Replay timing: every element starts when the author drew it (relative),
+    // returns the end of the run. Delay and hold directives do not apply here.
+    appendReplayFrames(sortedElements, startMs, animatedFrames) {
+        const { schedule, duration, compressedGaps } = computeReplaySchedule(sortedElements, this.config.timing);
+        let endMs = startMs + duration;
+        
+        console.log(`⏪ Replay timing: ${Math.round(duration)}ms, ${compressedGaps} idle gap(s) compressed`);
+        
+        sortedElements.forEach((element, index) => {
+            const timing = schedule.get(element.id);
+            const animationData = this.createElementAnimation(element, startMs + timing.startMs, timing.durationMs);
+            animatedFrames.push(animationData);
+            
+            console.log(`   Element ${index + 1}: ${element.type} - ${animationData.startMs}ms to ${animationData.startMs + animationData.durationMs}ms`);
+            endMs = Math.max(endMs, animationData.startMs + animationData.durationMs);
+        });
+        
+        return endMs;
+    }
+    
+    // Fixed timing: elements one after another (groups share one slot),
+    // with delay and hold directives. Returns the end of the run.
+    appendSequentialFrames(timedElements, startMs, animatedFrames) {
+        const groupDur = 5000;
+        const individualDur = 500;
+        let currentMs = startMs;
+        
+        // Group elements by groupId for coordinated animation
+        const groups = this.createAnimationGroups(timedElements);
+        
+        timedElements.forEach((element, index) => {
+            const duration = this.getBaseDuration(element, individualDur);
+            
+            // Check if element is part of a group
+            const groupIds = element.groupIds || [];
+            if (groupIds.length > 0) {
+                const groupId = groupIds[0];
+                const group = groups[groupId];
+                if (group && !group.processed) {
+                    // Process entire group together
+                    const groupDuration = groupDur / (group.elements.length + 1);
+                    group.elements.forEach((groupElement, groupIndex) => {
+                        const { delay, hold } = getAnimationDirectives(groupElement);
+                        currentMs += delay;
+                        const animationData = this.createElementAnimation(groupElement, currentMs, this.getBaseDuration(groupElement, groupDuration));
+                        animatedFrames.push(animationData);
+                        console.log(`   Group ${groupId} Element ${groupIndex + 1}: ${groupElement.type} - ${currentMs}ms to ${currentMs + animationData.durationMs}ms`);
+                        currentMs += animationData.durationMs + hold;
+                    });
+                    group.processed = true;
+                }
+            } else {
+                // Individual element animation, after its delay and followed by its hold
+                const { delay, hold } = getAnimationDirectives(element);
+                currentMs += delay;
+                const animationData = this.createElementAnimation(element, currentMs, duration);
+                animatedFrames.push(animationData);
+            
+                console.log(`   Element ${index + 1}: ${element.type} - ${currentMs}ms to ${currentMs + animationData.durationMs}ms`);
+                currentMs += animationData.durationMs + hold;
+            }
+        });
+        
+        console.log(`🎯 Group animation support: ${Object.keys(groups).length} groups detected`);
+        
+        return currentMs;
+    }
+    
+    // Storyboard timing: steps in order, each step's elements one after another
+    // (sharing the step duration when set). A narrated step starts no earlier
+    // than its line and lasts at least as long. Returns the end and camera targets.
+    appendStoryboardFrames(storyboard, startMs, animatedFrames, narrationTimeline) {
+        const segments = new Map((narrationTimeline?.segments || []).map(segment => [segment.id, segment]));
+        const cameraTargets = [];
+        let cursor = startMs;
+        
+        console.log(`📋 Storyboard: ${storyboard.steps.length} steps${storyboard.source ? ` from ${storyboard.source}` : ''}`);
+        
+        storyboard.steps.forEach(step => {
+            const segment = segments.get(step.id);
+            const clearEnd = step.clear
+                ? this.clearElements(step.clear, step.exit, cursor + step.delay, animatedFrames)
+                : cursor + step.delay;
+            const stepStart = Math.max(clearEnd, segment ? startMs + segment.startTime : 0);
+            const drawn = step.elements.filter(element => !getAnimationDirectives(element).skip);
+            let elementMs = stepStart;
+            
+            drawn.forEach(element => {
+                const overrides = { effect: step.effect, easing: step.easing };
+                let durationMs = this.getBaseDuration(element, 500);
+                if (step.duration !== null) {
+                    durationMs = overrides.duration = step.duration / drawn.length;
+                }
+                const animationData = this.createElementAnimation(element, elementMs, durationMs, overrides);
+                animatedFrames.push(animationData);
+                elementMs += animationData.durationMs;
+            });
+            
+            const stepEnd = Math.max(elementMs, segment ? startMs + segment.endTime : 0);
+            cameraTargets.push({ startMs: stepStart, endMs: stepEnd, elements: step.camera || drawn });
+            console.log(`   Step ${step.id}: ${drawn.length} element(s) - ${Math.round(stepStart)}ms to ${Math.round(stepEnd)}ms`);
+            cursor = stepEnd + step.pause;
+        });
+        
+        return { endMs: cursor, cameraTargets };
+    }
+    
+    // Exits for the elements a storyboard step clears: the step's exit, else
+    // each element's own, else the default. Returns when the last one is gone.
+    clearElements(elements, exit, startMs, animatedFrames) {
+        const ids = new Set(elements.map(element => element.id));
+        let endMs = startMs;
+        
+        animatedFrames
+            .filter(frame => ids.has(frame.element.id) && !(frame.exit && frame.exit.startMs <= startMs))
+            .forEach(frame => {
+                frame.exit = this.createExit(exit || getAnimationDirectives(frame.element).exit, startMs);
+                endMs = Math.max(endMs, startMs + frame.exit.durationMs);
+            });
+        
+        return endMs;
+    }
+    
+    // Scene timing: each frame's elements in the configured sequence and timing,
+    // then holdMs. A scene starts no earlier than its first narration segment and
+    // lasts until its last one. Returns the end, camera targets and chapters.
+    appendSceneFrames(scenes, startMs, animatedFrames, narrationTimeline) {
+        const { transition, holdMs } = this.config.scenes;
+        const cameraTargets = [];
+        const chapters = [];
+        let cursor = startMs;
+        
+        console.log(`🎞️  Scenes: ${scenes.length} frame(s), ${transition} transitions`);
+        
+        scenes.forEach((scene, index) => {
+            // 'fade' clears the previous scene before the camera cuts over
+            if (index > 0 && transition === 'fade') {
+                cursor = this.clearElements(scenes[index - 1].elements, 'fade-out', cursor, animatedFrames);
+            }
+            
+            const segments = (narrationTimeline?.segments || []).filter(segment => segment.scene === scene.id);
+            const sceneStart = Math.max(cursor, segments.length > 0 ? startMs + segments[0].startTime : 0);
+            const timed = this.sortElementsByDaiShiOrder(scene.elements).filter(element => !getAnimationDirectives(element).skip);
+            const drawEnd = this.config.timing.mode === 'replay'
+                ? this.appendReplayFrames(timed, sceneStart, animatedFrames)
+                : this.appendSequentialFrames(timed, sceneStart, animatedFrames);
+            const sceneEnd = Math.max(drawEnd + holdMs, segments.length > 0 ? startMs + segments[segments.length - 1].endTime : 0);
+            
+            cameraTargets.push({ startMs: sceneStart, endMs: sceneEnd, elements: scene.frame ? [scene.frame] : scene.elements });
+            chapters.push({ id: scene.id, title: scene.title, startMs: sceneStart, endMs: sceneEnd });
+            console.log(`   Scene "${scene.title}": ${timed.length} element(s) - ${Math.round(sceneStart)}ms to ${Math.round(sceneEnd)}ms`);
+            cursor = sceneEnd;
+        });
+        
+        return { endMs: cursor, cameraTargets, chapters };
+    }
+    
+    // Scenes from the drawing's frames ([] when disabled or there are none)
+    getScenes(elements) {
+        return this.config.scenes.enabled ? buildScenes(elements) : [];
+    }
+    
+    // Camera move between scenes; cuts and fades jump
+    getSceneTransitionMs() {
+        return this.config.scenes.transition === 'move' ? this.config.scenes.transitionMs : 0;
+    }
+    
+    // Flow particle specs by arrow id: a storyboard step's flow, else the element's own
+    getFlowSpecs(elements, storyboard = null) {
+        const stepFlows = new Map();
+        (storyboard?.steps || [])
+            .filter(step => step.flow !== null)
+            .forEach(step => step.elements.forEach(element => stepFlows.set(element.id, step.flow)));
+        
+        const flows = new Map();
+        elements.filter(element => this.isLinearElement(element)).forEach(element => {
+            const flow = stepFlows.has(element.id) ? stepFlows.get(element.id) : getAnimationDirectives(element).flow;
+            const spec = resolveFlow(flow, this.config.flow);
+            if (spec) flows.set(element.id, spec);
+        });
+        return flows;
+    }
+    
+    // Emphasis windows from the narration timeline: a storyboard step's emphasis,
+    // else the element's own, else the configured type
+    createEmphasisPlan(animatedFrames, narrationTimeline, storyboard = null) {
+        if (!narrationTimeline?.segments?.length) return new Map();
+        
+        const drawEnds = new Map(animatedFrames.map(frame => [frame.element.id, frame.startMs + frame.durationMs]));
+        const stepEmphasis = new Map((storyboard?.steps || []).map(step => [step.id, step.emphasis]));
+        const typeFor = (element, segment) => {
+            const type = stepEmphasis.get(segment.id) || getAnimationDirectives(element).emphasis || this.config.emphasis.type;
+            return type === 'none' ? null : type;
+        };
+        
+        const plan = planEmphasis(
+            narrationTimeline.segments,
+            animatedFrames.map(frame => frame.element),
+            drawEnds,
+            typeFor,
+            { minMs: this.config.emphasis.minMs }
+        );
+        if (plan.size > 0) {
+            console.log(`✨ Emphasis: ${plan.size} element(s) highlighted with the narration`);
+        }
+        return plan;
+    }
+    
     // Sort elements by their animation order (REAL dai-shi implementation)
     sortElementsByDaiShiOrder(elements) {
-        return [...elements].sort((a, b) => {
-            const aOrder = this.extractNumberFromElement(a, 'animateOrder');
-            const bOrder = this.extractNumberFromElement(b, 'animateOrder');
+        if (this.config.sequence === 'flow') {
+            return orderLabelsAfterContainers(orderByFlow(elements), resolveLabels(elements));
+        }
+        if (this.config.sequence === 'reading-order') {
+            const ordered = orderByReadingOrder(elements, { direction: this.config.readingDirection });
+            return orderLabelsAfterContainers(ordered, resolveLabels(elements));
+        }
+        
+        const orders = new Map(elements.map(element => [element.id, getAnimationDirectives(element).order || 0]));
+        const sorted = [...elements].sort((a, b) => {
+            const aOrder = orders.get(a.id);
+            const bOrder = orders.get(b.id);
             
             // If no custom order, fall back to creation timestamp or versionNonce
             if (aOrder === 0 && bOrder === 0) {
@@ -193,63 +833,105 @@ export class ExcalidrawAnimator {
             }
             return aOrder - bOrder;
         });
+        
+        // Labels are drawn right after their container
+        return orderLabelsAfterContainers(sorted, resolveLabels(elements));
     }
 
     // Full dai-shi/excalidraw-animate implementation with progressive stroke animation
-    async generateWithExcalidrawAnimate(excalidrawData) {
+    async generateWithExcalidrawAnimate(excalidrawData, options = {}) {
         try {
             console.log('🎬 Full dai-shi/excalidraw-animate implementation with progressive strokes...');
             
-            // Apply REAL dai-shi sorting approach
-            const sortedElements = this.sortElementsByDaiShiOrder(excalidrawData.elements);
+            // A storyboard sets the order, then frames as scenes; otherwise apply REAL dai-shi sorting approach
+            const storyboard = await prepareStoryboard(options.storyboard ?? this.config.storyboard, excalidrawData.elements);
+            const scenes = storyboard ? [] : this.getScenes(excalidrawData.elements);
+            let sortedElements;
+            if (storyboard) {
+                sortedElements = storyboard.steps.flatMap(step => step.elements);
+            } else if (scenes.length > 0) {
+                sortedElements = scenes.flatMap(scene => this.sortElementsByDaiShiOrder(scene.elements));
+            } else {
+                sortedElements = this.sortElementsByDaiShiOrder(excalidrawData.elements);
+            }
             
             console.log('🎯 Creating progressive stroke animation with dai-shi methods...');
             
             // Use dai-shi animation approach: progressive stroke drawing
             let currentMs = 1000; // Start with 1s margin
-            const groupDur = 5000;
-            const individualDur = 500;
-            
             const animatedFrames = [];
             
-            // Group elements by groupId for coordinated animation
-            const groups = this.createAnimationGroups(sortedElements);
+            // skip: drawn from the start, outside the timeline
+            const timedElements = sortedElements.filter(element => !getAnimationDirectives(element).skip);
+            sortedElements
+                .filter(element => getAnimationDirectives(element).skip)
+                .forEach(element => animatedFrames.push(this.createElementAnimation(element, 0, 1)));
             
-            sortedElements.forEach((element, index) => {
-                const duration = this.extractNumberFromElement(element, 'animateDuration') || individualDur;
-                
-                // Check if element is part of a group
-                const groupIds = element.groupIds || [];
-                if (groupIds.length > 0) {
-                    const groupId = groupIds[0];
-                    const group = groups[groupId];
-                    if (group && !group.processed) {
-                        // Process entire group together
-                        const groupDuration = groupDur / (group.elements.length + 1);
-                        group.elements.forEach((groupElement, groupIndex) => {
-                            const animationData = this.createElementAnimation(groupElement, currentMs, groupDuration);
-                            animatedFrames.push(animationData);
-                            console.log(`   Group ${groupId} Element ${groupIndex + 1}: ${groupElement.type} - ${currentMs}ms to ${currentMs + groupDuration}ms`);
-                            currentMs += groupDuration;
-                        });
-                        group.processed = true;
-                    }
-                } else {
-                    // Individual element animation
-                    const animationData = this.createElementAnimation(element, currentMs, duration);
-                    animatedFrames.push(animationData);
-                    
-                    console.log(`   Element ${index + 1}: ${element.type} - ${currentMs}ms to ${currentMs + duration}ms`);
-                    currentMs += duration;
-                }
+            // Camera targets of storyboard steps or scenes: { targets, force, transitionMs }
+            let scriptedCamera = null;
+            let chapters = [];
+            if (storyboard) {
+                // Scripted steps, in step with their narration lines
+                const result = this.appendStoryboardFrames(storyboard, currentMs, animatedFrames, options.narrationTimeline);
+                currentMs = result.endMs;
+                scriptedCamera = {
+                    targets: result.cameraTargets,
+                    force: storyboard.steps.some(step => step.camera),
+                    transitionMs: this.config.camera.transitionMs
+                };
+            } else if (scenes.length > 0) {
+                // One frame after another
+                const result = this.appendSceneFrames(scenes, currentMs, animatedFrames, options.narrationTimeline);
+                currentMs = result.endMs;
+                chapters = result.chapters;
+                scriptedCamera = {
+                    targets: result.cameraTargets,
+                    force: true,
+                    transitionMs: this.getSceneTransitionMs()
+                };
+            } else if (this.config.timing.mode === 'replay') {
+                // The author's own pace, idle gaps compressed
+                currentMs = this.appendReplayFrames(timedElements, currentMs, animatedFrames);
+            } else {
+                currentMs = this.appendSequentialFrames(timedElements, currentMs, animatedFrames);
+            }
+            
+            // Exits may run past the last drawing
+            this.addLabelExits(animatedFrames);
+            animatedFrames.filter(frame => frame.exit).forEach(frame => {
+                currentMs = Math.max(currentMs, frame.exit.startMs + frame.exit.durationMs);
             });
             
-            console.log(`🎯 Group animation support: ${Object.keys(groups).length} groups detected`);
+            // Highlights follow the narration, so the video lasts at least as long
+            const emphasis = this.createEmphasisPlan(animatedFrames, options.narrationTimeline, storyboard);
+            const narrationEnd = emphasis.size > 0 ? options.narrationTimeline.totalDuration : 0;
+            const totalDuration = Math.max(currentMs + 1000, narrationEnd); // Final margin
             
-            const totalDuration = currentMs + 1000; // Final margin
+            // Camera moves share the stroke animation timeline
+            // Storyboard steps and scenes already line up with their narration
+            const cameraKeyframes = scriptedCamera
+                ? this.createCameraKeyframes(
+                    excalidrawData,
+                    scriptedCamera.targets,
+                    totalDuration,
+                    null,
+                    scriptedCamera.force,
+                    scriptedCamera.transitionMs
+                )
+                : this.createCameraKeyframes(
+                    excalidrawData,
+                    animatedFrames.map(frame => ({
+                        startMs: frame.startMs,
+                        endMs: frame.startMs + frame.durationMs,
+                        elements: [frame.element]
+                    })),
+                    totalDuration,
+                    options.narrationTimeline
+                );
             
             // Create SVG animation using actual dai-shi methods
-            const svgData = await this.createAnimatedSvg(excalidrawData, animatedFrames);
+            const flows = this.getFlowSpecs(sortedElements, storyboard);
+            const svgData = await this.createAnimatedSvg(excalidrawData, animatedFrames, cameraKeyframes, totalDuration, { emphasis, flows });
             
             return {
                 type: 'dai-shi-progressive-animation',
@@ -259,6 +941,8 @@ export class ExcalidrawAnimator {
                 duration: totalDuration,
                 outputDir: this.config.outputDir,
                 sortedElements: sortedElements,
+                chapters,
+                camera: svgData.camera,
                 progressive: true,
                 svgPath: svgData.path,
                 actualAnimation: true,
@@ -281,10 +965,11 @@ export class ExcalidrawAnimator {
     }
     
     // Create animated SVG using dai-shi approach
-    async createAnimatedSvg(excalidrawData, animatedFrames) {
+    // decorations: { emphasis, flows } drawn on top of the elements
+    async createAnimatedSvg(excalidrawData, animatedFrames, cameraKeyframes = null, totalDuration = 0, decorations = {}) {
         console.log('🎨 Creating real SVG with <animate> elements...');
         
-        const svgContent = this.generateAnimatedSvgContent(excalidrawData, animatedFrames);
+        const svgContent = this.generateAnimatedSvgContent(excalidrawData, animatedFrames, cameraKeyframes, totalDuration, decorations);
         
         // Write SVG file
         const svgPath = join(this.config.outputDir, '../animated.svg');
@@ -297,24 +982,44 @@ export class ExcalidrawAnimator {
             width: this.config.width,
             height: this.config.height,
             elements: excalidrawData.elements,
-            animations: animatedFrames
+            animations: animatedFrames,
+            camera: this.getCameraViewport(excalidrawData),
+            cameraKeyframes
         };
     }
     
     // Generate actual SVG content with progressive animation
-    generateAnimatedSvgContent(excalidrawData, animatedFrames) {
+    generateAnimatedSvgContent(excalidrawData, animatedFrames, cameraKeyframes = null, totalDuration = 0, { emphasis = new Map(), flows = new Map() } = {}) {
         const svgElements = [];
+        const viewport = cameraKeyframes ? cameraKeyframes[0].viewport : this.getCameraViewport(excalidrawData);
+        const cameraTransform = viewport ? viewportToTransform(viewport, this.config.width) : '';
+        const cameraAnimation = cameraKeyframes
+            ? buildCameraAnimationSvg(cameraKeyframes, totalDuration, this.config.width)
+            : '';
+        
+        // Bound text is laid out inside its container
+        const elementsById = new Map((excalidrawData.elements || []).map(element => [element.id, element]));
         
         animatedFrames.forEach((frameData, index) => {
             const element = frameData.element;
-            const svgElement = this.createSvgElement(element, frameData, index);
-            svgElements.push(svgElement);
+            const svgElement = this.createSvgElement(element, frameData, index, elementsById);
+            let svg = buildEmphasisSvg(element, svgElement, emphasis.get(element.id), this.config.emphasis);
+            
+            // Particles start once the arrow is drawn
+            const flow = flows.get(element.id);
+            if (flow) {
+                const startSec = (frameData.startMs + frameData.durationMs) / 1000;
+                svg += '\n' + wrapWithElementStyle(element, buildFlowSvg(element, flow, { startSec }));
+            }
+            
+            svgElements.push(frameData.exit ? this.createExitSvg(element, frameData, svg) : svg);
         });
         
         return `<?xml version="1.0" encoding="UTF-8"?>
 <svg xmlns="http://www.w3.org/2000/svg" width="${this.config.width}" height="${this.config.height}" viewBox="0 0 ${this.config.width} ${this.config.height}">
   <defs>
-    <!-- Path definitions for text animation -->
+    <!-- Embedded Excalidraw fonts -->
+    ${buildFontDefs(excalidrawData.elements, { fontFiles: this.config.fontFiles })}
   </defs>
   
   <!-- Background -->
@@ -323,64 +1028,112 @@ export class ExcalidrawAnimator {
   <!-- Title -->
   <text x="${this.config.width/2}" y="80" text-anchor="middle" font-size="36" fill="black">Real Progressive Animation</text>
   
-  <!-- Animated Elements -->
+  <!-- Animated Elements (camera maps scene coordinates onto the frame) -->
+  <g id="camera" transform="${cameraTransform}">
+    ${cameraAnimation}
 ${svgElements.join('\n')}
+  </g>
   
 </svg>`;
     }
     
     // Create SVG element with progressive animation
-    createSvgElement(element, frameData, index) {
+    createSvgElement(element, frameData, index, elementsById = new Map()) {
         const startMs = frameData.startMs;
         const duration = frameData.durationMs;
-        const x = element.x || 100 + (index * 200);
-        const y = element.y || 200 + (index * 100);
+        const x = element.x ?? 100 + (index * 200);
+        const y = element.y ?? 200 + (index * 100);
+        
+        // Effects other than 'draw' draw the element at once and animate the finished result
+        const effect = resolveEffect(frameData.effect);
+        const drawData = effect.type !== 'draw'
+            ? { ...frameData, durationMs: 1, strokeDuration: 1, lines: null }
+            : frameData;
         
+        let svg;
         switch (frameData.type) {
             case 'path-animation':
-                return this.createProgressivePathSvg(element, frameData, x, y);
+                svg = this.createProgressivePathSvg(element, drawData, x, y);
+                break;
             case 'polygon-animation':
-                return this.createProgressivePolygonSvg(element, frameData, x, y);
+                svg = this.createProgressivePolygonSvg(element, drawData, x, y);
+                break;
             case 'text-animation':
-                return this.createProgressiveTextSvg(element, frameData, x, y);
+                svg = this.createProgressiveTextSvg(element, drawData, x, y, elementsById.get(element.containerId));
+                break;
             case 'freedraw-animation':
-                return this.createProgressiveFreedrawSvg(element, frameData, x, y);
+                svg = this.createProgressiveFreedrawSvg(element, drawData, x, y);
+                break;
             default:
-                return this.createGenericAnimationSvg(element, frameData, x, y);
+                svg = this.createGenericAnimationSvg(element, drawData, x, y);
+        }
+        
+        // Rotation about the element's center and element opacity
+        const styled = wrapWithElementStyle(element, svg, x, y);
+        if (effect.type === 'draw') {
+            return styled;
         }
+        return buildEffectSvg(effect, element, styled, {
+            startSec: startMs / 1000,
+            durSec: duration / 1000,
+            easing: frameData.easing
+        });
+    }
+    
+    // Element SVG that leaves at its exit; undraw plays the drawing backwards,
+    // so elements revealed by another effect fade out instead
+    createExitSvg(element, frameData, svg) {
+        const exit = frameData.exit;
+        const reversible = exit.type !== 'undraw' || resolveEffect(frameData.effect).type === 'draw';
+        
+        return buildExitSvg(reversible ? exit : { ...exit, type: 'fade-out' }, element, svg, {
+            startSec: exit.startMs / 1000,
+            durSec: exit.durationMs / 1000,
+            easing: exit.easing,
+            drawStartSec: frameData.startMs / 1000,
+            drawEndSec: (frameData.startMs + frameData.durationMs) / 1000
+        });
     }
     
     // Progressive path SVG with stroke animation
     createProgressivePathSvg(element, frameData, x, y) {
         const pathData = this.generateSvgPath(element, x, y);
+        const rough = generateRoughShape(element, x, y);
         const startSec = frameData.startMs / 1000;
         const durSec = frameData.durationMs / 1000;
         
+        // Filled shapes (ellipses) draw the outline first, then the fill
+        const strokeDur = rough?.fill ? durSec * 0.75 : durSec;
+        const fillSvg = rough?.fill ? this.createRoughFillSvg(rough.fill, startSec + strokeDur, durSec - strokeDur) : '';
+        const strokeSvg = rough?.outline
+            ? this.createRoughStrokeSvg(element, rough.outline, rough.options, startSec, strokeDur, frameData.easing)
+            : '';
+        
+        // Arrowheads sit at the true ends and appear as the stroke reaches them
+        const arrowheads = element.type === 'arrow'
+            ? buildAnimatedArrowheadsSvg(element, getLinearEndpoints(element, x, y), { startSec, durSec }, {
+                color: rough?.options.stroke || element.strokeColor || '#1e1e1e',
+                strokeWidth: rough?.options.strokeWidth || element.strokeWidth || 2
+            })
+            : '';
+        
         return `  <!-- Progressive Path: ${element.type} -->
   <g>
-    <path d="${pathData}" stroke="blue" stroke-width="3" fill="none" opacity="0">
-      <!-- Progressive stroke animation -->
-      <animate attributeName="stroke-dasharray" 
-               values="0,1000;1000,0" 
-               begin="${startSec}s" 
-               dur="${durSec}s" 
-               fill="freeze"/>
-      <animate attributeName="opacity" 
-               values="0;1" 
-               begin="${startSec}s" 
-               dur="0.1s" 
-               fill="freeze"/>
-    </path>
+    ${fillSvg}
+    <!-- Progressive stroke animation -->
+    ${strokeSvg}
+    ${arrowheads}
     <!-- Pointer animation -->
     <circle r="5" fill="red" opacity="0">
       <animateMotion path="${pathData}" 
                      begin="${startSec}s" 
-                     dur="${durSec}s" 
+                     dur="${strokeDur}s" 
+                     ${motionEasingAttributes(frameData.easing)}
                      fill="freeze"/>
       <animate attributeName="opacity" 
                values="0;1;0" 
                begin="${startSec}s" 
-               dur="${durSec}s" 
+               dur="${strokeDur}s" 
                fill="freeze"/>
     </circle>
   </g>`;
@@ -394,6 +1147,7 @@ ${svgElements.join('\n')}
         const strokeDur = (frameData.strokeDuration || frameData.durationMs * 0.75) / 1000;
         const fillDur = frameData.fillAnimation ? (frameData.durationMs * 0.25) / 1000 : 0;
         const fillStart = startSec + strokeDur;
+        const rough = generateRoughShape(element, x, y);
         
         let polygonPath;
         if (element.type === 'rectangle') {
@@ -405,37 +1159,21 @@ ${svgElements.join('\n')}
             polygonPath = `M${cx},${y} L${x+width},${cy} L${cx},${y+height} L${x},${cy} Z`;
         }
         
-        const fillElement = frameData.fillAnimation ? 
+        const fillElement = frameData.fillAnimation && rough.fill ? 
         `    <!-- Fill animation -->
-    <path d="${polygonPath}" fill="lightblue" opacity="0">
-      <animate attributeName="opacity" 
-               values="0;0.5" 
-               begin="${fillStart}s" 
-               dur="${fillDur}s" 
-               fill="freeze"/>
-    </path>` : '';
+    ${this.createRoughFillSvg(rough.fill, fillStart, fillDur)}` : '';
         
         return `  <!-- Progressive Polygon: ${element.type} -->
   <g>
 ${fillElement}
     <!-- Stroke animation -->
-    <path d="${polygonPath}" stroke="green" stroke-width="3" fill="none" opacity="0">
-      <animate attributeName="stroke-dasharray" 
-               values="0,${(width+height)*2};${(width+height)*2},0" 
-               begin="${startSec}s" 
-               dur="${strokeDur}s" 
-               fill="freeze"/>
-      <animate attributeName="opacity" 
-               values="0;1" 
-               begin="${startSec}s" 
-               dur="0.1s" 
-               fill="freeze"/>
-    </path>
+    ${this.createRoughStrokeSvg(element, rough.outline, rough.options, startSec, strokeDur, frameData.easing)}
     <!-- Pointer following polygon -->
     <circle r="5" fill="red" opacity="0">
       <animateMotion path="${polygonPath}" 
                      begin="${startSec}s" 
                      dur="${strokeDur}s" 
+                     ${motionEasingAttributes(frameData.easing)}
                      fill="freeze"/>
       <animate attributeName="opacity" 
                values="0;1;0" 
@@ -446,48 +1184,137 @@ ${fillElement}
   </g>`;
     }
     
-    // Progressive text typing animation
-    createProgressiveTextSvg(element, frameData, x, y) {
-        const text = element.text || `Text ${Math.random().toString(36).substr(2, 5)}`;
-        const startSec = frameData.startMs / 1000;
-        const durSec = frameData.durationMs / 1000;
-        const textWidth = frameData.textWidth || text.length * 12;
+    // Hand-drawn outline revealed along its length
+    createRoughStrokeSvg(element, outline, options, startSec, durSec, easing = 'linear') {
+        // Offset past the estimated length so nothing shows before the stroke starts
+        const length = Math.ceil(outline.length * 1.1) + 1;
+        const dash = getStrokeDash(element);
+        const reveal = `stroke-dasharray="${length}" stroke-dashoffset="${length}">
+      <animate attributeName="stroke-dashoffset" 
+               values="${length};0" 
+               begin="${startSec}s" 
+               dur="${durSec}s" 
+               ${easingAttributes(easing)}
+               fill="freeze"/>`;
+        const strokeAttributes = `stroke="${options.stroke}" stroke-width="${options.strokeWidth}" stroke-linecap="round" stroke-linejoin="round" fill="none"`;
         
-        // Create textPath for typing effect
-        const pathId = `textPath-${element.id || Date.now()}`;
-        const textPathData = `M${x},${y} L${x + textWidth},${y}`;
+        if (!dash) {
+            return `<path d="${outline.d}" ${strokeAttributes} ${reveal}
+    </path>`;
+        }
         
-        return `  <!-- Progressive Text: "${text}" -->
-  <defs>
-    <path id="${pathId}" d="${textPathData}"/>
-  </defs>
+        // Dashed / dotted strokes already use the dash array, so a solid
+        // mask is drawn along the same path to reveal them progressively
+        const maskId = `stroke-mask-${element.id}`;
+        return `<mask id="${maskId}" maskUnits="userSpaceOnUse">
+      <path d="${outline.d}" stroke="white" stroke-width="${options.strokeWidth + 8}" stroke-linecap="round" fill="none" ${reveal}
+      </path>
+    </mask>
+    <path d="${outline.d}" ${strokeAttributes} stroke-dasharray="${dash.join(',')}" mask="url(#${maskId})"/>`;
+    }
+    
+    // Fill after the outline: solid fades in, sketch fills draw stroke by stroke
+    createRoughFillSvg(fill, fillStart, fillDur) {
+        if (fill.style === 'solid' || fill.strokes.length === 0) {
+            return `<path d="${fill.d}" fill="${fill.color}" stroke="none" opacity="0">
+      <animate attributeName="opacity" 
+               values="0;1" 
+               begin="${fillStart}s" 
+               dur="${fillDur}s" 
+               fill="freeze"/>
+    </path>`;
+        }
+        
+        const step = fillDur / fill.strokes.length;
+        
+        return fill.strokes.map((stroke, index) => {
+            const length = Math.ceil(stroke.length * 1.1) + 1;
+            const begin = Math.round((fillStart + index * step) * 1000) / 1000;
+            const dur = Math.max(0.001, Math.round(step * 1000) / 1000);
+            
+            return `<path d="${stroke.d}" stroke="${fill.color}" stroke-width="${fill.weight}" stroke-linecap="round" fill="none" stroke-dasharray="${length}" stroke-dashoffset="${length}">
+      <animate attributeName="stroke-dashoffset" values="${length};0" begin="${begin}s" dur="${dur}s" fill="freeze"/>
+    </path>`;
+        }).join('\n    ');
+    }
+    
+    // Progressive text typing animation, line by line
+    createProgressiveTextSvg(element, frameData, x, y, container = null) {
+        const layout = layoutText(element, x, y, container);
+        const color = getTextColor(element);
+        
+        if (frameData.method === 'handwrite') {
+            return this.createHandwrittenTextSvg(layout, frameData, color);
+        }
+        const lineTimings = frameData.lines || this.createLineTimings(layout.lines.map(line => line.text), frameData.startMs, frameData.durationMs);
+        
+        const lines = layout.lines.map((line, index) => {
+            const timing = lineTimings[index];
+            const lineStart = timing.startMs / 1000;
+            const charDur = timing.durationMs / 1000 / Math.max(line.text.length, 1);
+            
+            // One tspan per character, joined without whitespace (white-space: pre)
+            const chars = [...line.text].map((char, charIndex) => {
+                const begin = Math.round((lineStart + charIndex * charDur) * 1000) / 1000;
+                return `<tspan opacity="0">${escapeXml(char)}<animate attributeName="opacity" values="0;1" begin="${begin}s" dur="0.05s" fill="freeze"/></tspan>`;
+            }).join('');
+            
+            return `    <text x="${line.x}" y="${line.y}" font-family="${layout.fontFamily}" font-size="${layout.fontSize}" fill="${color}" text-anchor="${layout.anchor}" style="white-space: pre">${chars}</text>`;
+        });
+        
+        // Typing cursor moves along each line in turn
+        const cursorMotions = layout.lines.map((line, index) => {
+            const timing = lineTimings[index];
+            const cursorY = line.y - layout.fontSize * 0.35;
+            return `<animateMotion path="M${line.left},${cursorY} L${line.left + line.width},${cursorY}" 
+                     begin="${timing.startMs / 1000}s" 
+                     dur="${Math.max(timing.durationMs, 1) / 1000}s" 
+                     fill="freeze"/>`;
+        });
+        
+        return `  <!-- Progressive Text: ${layout.lines.length} line(s) -->
   <g>
     <!-- Typing animation -->
-    <text font-size="20" fill="purple">
-      <textPath href="#${pathId}" startOffset="0%">
-        ${text}
-        <animate attributeName="startOffset" 
-                 values="0%;100%" 
-                 begin="${startSec}s" 
-                 dur="${durSec}s" 
-                 fill="freeze"/>
-      </textPath>
-    </text>
+${lines.join('\n')}
     <!-- Typing cursor -->
     <circle r="2" fill="purple" opacity="0">
-      <animateMotion path="${textPathData}" 
-                     begin="${startSec}s" 
-                     dur="${durSec}s" 
-                     fill="freeze"/>
+      ${cursorMotions.join('\n      ')}
       <animate attributeName="opacity" 
                values="0;1;0;1;0" 
-               begin="${startSec}s" 
-               dur="${durSec}s" 
+               begin="${frameData.startMs / 1000}s" 
+               dur="${frameData.durationMs / 1000}s" 
                fill="freeze"/>
     </circle>
   </g>`;
     }
     
+    // Text written with single-line pen strokes
+    createHandwrittenTextSvg(layout, frameData, color) {
+        return `  <!-- Handwritten Text: ${layout.lines.length} line(s) -->
+  <g>
+    ${buildHandwritingSvg(getHandwritingStrokes(layout), {
+        startSec: frameData.startMs / 1000,
+        durSec: frameData.durationMs / 1000,
+        color,
+        strokeWidth: getHandwritingStrokeWidth(layout.fontSize),
+        pointerColor: 'purple'
+    })}
+  </g>`;
+    }
+    
+    // Split a text duration across its lines by character count
+    createLineTimings(lines, startMs, durationMs) {
+        const totalChars = lines.reduce((sum, line) => sum + Math.max(line.length, 1), 0);
+        let lineStart = startMs;
+        
+        return lines.map(line => {
+            const lineDuration = durationMs * Math.max(line.length, 1) / totalChars;
+            const timing = { text: line, startMs: lineStart, durationMs: lineDuration };
+            lineStart += lineDuration;
+            return timing;
+        });
+    }
+    
     // Progressive freedraw animation
     createProgressiveFreedrawSvg(element, frameData, x, y) {
         const startSec = frameData.startMs / 1000;
@@ -499,11 +1326,12 @@ ${fillElement}
         
         return `  <!-- Progressive Freedraw -->
   <g>
-    <path d="${pathData}" stroke="orange" stroke-width="2" fill="none" opacity="0">
+    <path d="${pathData}" stroke="${element.strokeColor || '#1e1e1e'}" stroke-width="${element.strokeWidth || 2}" stroke-linecap="round" stroke-linejoin="round" fill="none" opacity="0">
       <animate attributeName="stroke-dasharray" 
                values="0,1000;1000,0" 
                begin="${startSec}s" 
                dur="${durSec}s" 
+               ${easingAttributes(frameData.easing)}
                fill="freeze"/>
       <animate attributeName="opacity" 
                values="0;1" 
@@ -516,6 +1344,7 @@ ${fillElement}
       <animateMotion path="${pathData}" 
                      begin="${startSec}s" 
                      dur="${durSec}s" 
+                     ${motionEasingAttributes(frameData.easing)}
                      fill="freeze"/>
       <animate attributeName="opacity" 
                values="0;1;0" 
@@ -548,9 +1377,8 @@ ${fillElement}
         
         switch (element.type) {
             case 'line':
-                return `M${x},${y} L${x + width},${y + height}`;
             case 'arrow':
-                return `M${x},${y} L${x + width},${y + height} M${x + width - 20},${y + height - 10} L${x + width},${y + height} L${x + width - 10},${y + height - 20}`;
+                return buildLinearPath(element, x, y);
             case 'ellipse':
                 const rx = width / 2;
                 const ry = height / 2;
@@ -562,12 +1390,21 @@ ${fillElement}
         }
     }
     
+    isLinearElement(element) {
+        return element.type === 'line' || element.type === 'arrow';
+    }
+    
     // Create element-specific animation using dai-shi methods with group support
-    createElementAnimation(element, currentMs, durationMs) {
+    // overrides: directive values that win over the element's own (storyboard steps)
+    createElementAnimation(element, currentMs, durationMs, overrides = {}) {
         const animationType = this.getElementAnimationType(element);
         
-        // Check for group membership and custom duration
-        const customDuration = this.extractNumberFromElement(element, 'animateDuration') || durationMs;
+        // Check for group membership and custom duration (skipped elements appear at once)
+        const directives = { ...getAnimationDirectives(element) };
+        Object.entries(overrides).forEach(([key, value]) => {
+            if (value !== null && value !== undefined) directives[key] = value;
+        });
+        const customDuration = directives.skip ? durationMs : (directives.duration || durationMs);
         const groupIds = element.groupIds || [];
         
         let animation;
@@ -591,6 +1428,15 @@ ${fillElement}
                 animation = this.animateGeneric(element, currentMs, customDuration);
         }
         
+        animation.easing = directives.easing || this.config.easing;
+        animation.effect = this.getElementEffect(element, directives);
+        
+        // Exits with 'after' leave on their own once the element is drawn
+        const after = Number(directives.exit?.after);
+        if (Number.isFinite(after)) {
+            animation.exit = this.createExit(directives.exit, animation.startMs + animation.durationMs + Math.max(after, 0));
+        }
+        
         // Add group information if element is in a group
         if (groupIds.length > 0) {
             animation.groupIds = groupIds;
@@ -600,16 +1446,43 @@ ${fillElement}
         return animation;
     }
     
+    // Exit timing: { type, ...options, startMs, durationMs, easing }
+    createExit(exit, startMs) {
+        const spec = resolveExit(exit) || resolveExit(this.config.exits.default);
+        return {
+            ...spec,
+            startMs,
+            durationMs: Number(spec.duration) || this.config.exits.durationMs,
+            easing: spec.easing || this.config.easing
+        };
+    }
+    
+    // Reveal effect: the element's own, then its group's, its type's, the default
+    getElementEffect(element, directives = getAnimationDirectives(element)) {
+        const effects = this.config.effects;
+        const groupId = (element.groupIds || []).find(id => id in effects.byGroup);
+        
+        return directives.effect
+            || (groupId !== undefined ? effects.byGroup[groupId] : null)
+            || effects.byType[element.type]
+            || effects.default;
+    }
+    
+    // Slot duration, or one proportional to the element's path length in 'length' timing
+    getBaseDuration(element, fallbackMs) {
+        if (this.config.timing.mode !== 'length') {
+            return fallbackMs;
+        }
+        return computeLengthDuration(element, this.config.timing);
+    }
+    
     // Determine animation type based on element (enhanced for full dai-shi support)
     getElementAnimationType(element) {
         switch (element.type) {
             case 'line':
             case 'arrow':
-                // Check if stroke has fill for combined animation
-                if (element.backgroundColor && element.backgroundColor !== 'transparent') {
-                    return element.roundness ? 'path-with-fill' : 'polygon';
-                }
-                return element.roundness ? 'path' : 'polygon';
+                // Linear elements always follow their points, straight or curved
+                return 'path';
             case 'rectangle':
             case 'diamond':
                 return 'polygon';
@@ -644,6 +1517,7 @@ ${fillElement}
             durationMs: durationMs,
             method: 'progressive-stroke',
             segments: segments.length,
+            pathLength: pathData.length,
             pointer: pointerAnimation,
             progressive: true
         };
@@ -685,12 +1559,7 @@ ${fillElement}
     
     // Line/arrow pointer path
     generateLinePointerPath(element) {
-        const startX = element.x || 0;
-        const startY = element.y || 0;
-        const endX = startX + (element.width || 100);
-        const endY = startY + (element.height || 100);
-        
-        return `M ${startX} ${startY} L ${endX} ${endY}`;
+        return buildLinearPath(element);
     }
     
     // Rectangle pointer path (clockwise drawing)
@@ -760,7 +1629,8 @@ ${fillElement}
         console.log(`   🎨 Fill path animation: ${element.type}`);
         
         // Only animate fill if element has fill color
-        if (!element.backgroundColor || element.backgroundColor === 'transparent') {
+        const fillColor = getFillColor(element);
+        if (!fillColor) {
             return null;
         }
         
@@ -770,7 +1640,7 @@ ${fillElement}
             startMs: currentMs,
             durationMs: durationMs,
             method: 'fill-progression',
-            fillColor: element.backgroundColor
+            fillColor
         };
     }
     
@@ -783,6 +1653,26 @@ ${fillElement}
         const textPath = this.createTextPath(element, textWidth);
         const pointerAnimation = this.animatePointer(element, null, currentMs, durationMs);
         
+        // Handwriting: pen strokes, optionally timed by writing speed
+        const directives = getAnimationDirectives(element);
+        const textMode = directives.textMode || this.config.text.mode;
+        if (textMode === 'handwrite') {
+            const speed = directives.handwriteSpeed || this.config.text.handwriteSpeed;
+            const penLength = getHandwritingLength(element.text || '', element.fontSize || 20);
+            
+            return {
+                type: 'text-animation',
+                element: element,
+                startMs: currentMs,
+                durationMs: speed ? Math.max(Math.round(penLength / speed * 1000), 100) : durationMs,
+                method: 'handwrite',
+                characters: textLength,
+                penLength: penLength,
+                pointer: pointerAnimation,
+                progressive: true
+            };
+        }
+        
         return {
             type: 'text-animation',
             element: element,
@@ -790,6 +1680,7 @@ ${fillElement}
             durationMs: durationMs,
             method: 'character-progression',
             characters: textLength,
+            lines: this.createLineTimings(splitLines(element.text || ''), currentMs, durationMs),
             textPath: textPath,
             textWidth: textWidth,
             pointer: pointerAnimation,
@@ -800,8 +1691,8 @@ ${fillElement}
     // Estimate text width for textPath animation
     estimateTextWidth(element) {
         const fontSize = element.fontSize || 20;
-        const textLength = element.text?.length || 0;
-        return textLength * fontSize * 0.6; // Rough estimate
+        // Widest line (rough estimate)
+        return Math.max(...splitLines(element.text || '').map(line => estimateLineWidth(line, fontSize)));
     }
     
     // Create SVG textPath for text animation
@@ -906,6 +1797,25 @@ ${fillElement}
     
     // Generate path data for element
     generatePathData(element) {
+        if (this.isLinearElement(element)) {
+            return {
+                type: element.type,
+                segments: getElementPoints(element).length - 1,
+                length: getLinearPathLength(element)
+            };
+        }
+        
+        if (element.type === 'ellipse') {
+            // Ramanujan's approximation of the perimeter
+            const rx = (element.width || 100) / 2;
+            const ry = (element.height || 100) / 2;
+            return {
+                type: element.type,
+                segments: 4,
+                length: Math.PI * (3 * (rx + ry) - Math.sqrt((3 * rx + ry) * (rx + 3 * ry)))
+            };
+        }
+        
         return {
             type: element.type,
             segments: 4, // Default path complexity
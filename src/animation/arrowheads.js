@@ -0,0 +1,126 @@
+/**
+ * Arrowhead shapes for Excalidraw arrows
+ * Supports "arrow", "bar", "dot", "triangle" plus the newer circle/diamond variants
+ */
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Nominal sizes per arrowhead type (px)
+const ARROWHEAD_SIZES = {
+    arrow: 25,
+    bar: 15,
+    dot: 15,
+    circle: 15,
+    circle_outline: 15,
+    triangle: 15,
+    triangle_outline: 15,
+    diamond: 12,
+    diamond_outline: 12
+};
+
+/**
+ * Arrowhead types at each end, using Excalidraw's defaults when unset
+ */
+export function getArrowheads(element) {
+    if (element.type !== 'arrow') {
+        return { start: null, end: null };
+    }
+
+    return {
+        start: element.startArrowhead ?? null,
+        end: element.endArrowhead === undefined ? 'arrow' : element.endArrowhead
+    };
+}
+
+// Point at distance along angle (negative distance walks back into the path)
+function offset([x, y], angle, distance) {
+    return [x + distance * Math.cos(angle), y + distance * Math.sin(angle)];
+}
+
+const toPoint = ([x, y]) => `${round(x)},${round(y)}`;
+
+/**
+ * Path data of an open chevron at a path end, pointing along the direction of travel
+ * @param {{point: number[], angle: number}} end - from getLinearEndpoints
+ */
+export function buildArrowheadPath({ point, angle }, size = ARROWHEAD_SIZES.arrow) {
+    const back = angle + Math.PI;
+    const wingA = offset(point, back + Math.PI / 9, size);
+    const wingB = offset(point, back - Math.PI / 9, size);
+    return `M${toPoint(wingA)} L${toPoint(point)} L${toPoint(wingB)}`;
+}
+
+/**
+ * SVG markup for one arrowhead
+ * @param {string} type - arrowhead type
+ * @param {{point: number[], angle: number, segmentLength: number}} end - from getLinearEndpoints
+ * @param {{color?: string, strokeWidth?: number, attributes?: string}} options
+ */
+export function buildArrowheadSvg(type, end, options = {}) {
+    if (!type || !ARROWHEAD_SIZES[type]) return '';
+
+    const { point, angle, segmentLength = Infinity } = end;
+    const color = options.color || '#1e1e1e';
+    const strokeWidth = options.strokeWidth || 2;
+    const attributes = options.attributes || '';
+
+    // Shrink heads on short segments so they don't swallow the line
+    const lengthRatio = type.startsWith('diamond') ? 0.25 : 0.5;
+    const size = Math.min(ARROWHEAD_SIZES[type], segmentLength * lengthRatio) || ARROWHEAD_SIZES[type];
+    const back = angle + Math.PI;
+    const outline = type.endsWith('_outline');
+    const fill = outline ? 'none' : color;
+    const stroke = `stroke="${color}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round"`;
+
+    switch (type) {
+        case 'arrow':
+            return `<path d="${buildArrowheadPath(end, size)}" ${stroke} fill="none" ${attributes}/>`;
+        case 'bar': {
+            const sideA = offset(point, angle + Math.PI / 2, size / 2);
+            const sideB = offset(point, angle - Math.PI / 2, size / 2);
+            return `<path d="M${toPoint(sideA)} L${toPoint(sideB)}" ${stroke} fill="none" ${attributes}/>`;
+        }
+        case 'dot':
+        case 'circle':
+        case 'circle_outline': {
+            const [cx, cy] = point;
+            return `<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(size / 2)}" ${stroke} fill="${fill}" ${attributes}/>`;
+        }
+        case 'triangle':
+        case 'triangle_outline': {
+            const wingA = offset(point, back + Math.PI / 7, size);
+            const wingB = offset(point, back - Math.PI / 7, size);
+            return `<path d="M${toPoint(point)} L${toPoint(wingA)} L${toPoint(wingB)} Z" ${stroke} fill="${fill}" ${attributes}/>`;
+        }
+        case 'diamond':
+        case 'diamond_outline': {
+            const rear = offset(point, back, size * 2);
+            const middle = offset(point, back, size);
+            const sideA = offset(middle, angle + Math.PI / 2, size / 2);
+            const sideB = offset(middle, angle - Math.PI / 2, size / 2);
+            return `<path d="M${toPoint(point)} L${toPoint(sideA)} L${toPoint(rear)} L${toPoint(sideB)} Z" ${stroke} fill="${fill}" ${attributes}/>`;
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Arrowheads for both ends, hidden until the stroke reaches them.
+ * The start head shows as drawing begins, the end head once the stroke arrives.
+ */
+export function buildAnimatedArrowheadsSvg(element, endpoints, timing, options = {}) {
+    const heads = getArrowheads(element);
+    const reveal = [
+        { type: heads.start, end: endpoints.start, at: timing.startSec },
+        { type: heads.end, end: endpoints.end, at: timing.startSec + timing.durSec }
+    ];
+
+    return reveal
+        .filter(({ type }) => type)
+        .map(({ type, end, at }) => `<g opacity="0">
+      ${buildArrowheadSvg(type, end, options)}
+      <animate attributeName="opacity" values="0;1" begin="${round(at)}s" dur="0.1s" fill="freeze"/>
+    </g>`)
+        .join('\n    ');
+}
@@ -0,0 +1,242 @@
+/**
+ * Camera framing for animated scenes
+ * A camera is a world-space viewport { x, y, width, height } with the output's aspect ratio
+ */
+
+import { getAbsolutePoints } from './geometry.js';
+
+/**
+ * Axis-aligned bounds of one element in scene coordinates
+ */
+export function getElementBounds(element) {
+    const x = element.x || 0;
+    const y = element.y || 0;
+
+    if (Array.isArray(element.points) && element.points.length > 0) {
+        const points = getAbsolutePoints(element, x, y);
+        const xs = points.map(([px]) => px);
+        const ys = points.map(([, py]) => py);
+        return {
+            minX: Math.min(...xs),
+            minY: Math.min(...ys),
+            maxX: Math.max(...xs),
+            maxY: Math.max(...ys)
+        };
+    }
+
+    const width = element.width || 0;
+    const height = element.height || 0;
+    return {
+        minX: Math.min(x, x + width),
+        minY: Math.min(y, y + height),
+        maxX: Math.max(x, x + width),
+        maxY: Math.max(y, y + height)
+    };
+}
+
+/**
+ * Bounds enclosing every (non-deleted) element, or null for an empty scene
+ */
+export function getSceneBounds(elements) {
+    const visible = (elements || []).filter(element => !element.isDeleted);
+    if (visible.length === 0) return null;
+
+    return visible.map(getElementBounds).reduce((acc, bounds) => ({
+        minX: Math.min(acc.minX, bounds.minX),
+        minY: Math.min(acc.minY, bounds.minY),
+        maxX: Math.max(acc.maxX, bounds.maxX),
+        maxY: Math.max(acc.maxY, bounds.maxY)
+    }));
+}
+
+/**
+ * Viewport that fits the bounds into the output frame with screen-space padding
+ */
+export function fitViewport(bounds, { width, height, padding = 80, maxZoom = Infinity }) {
+    if (!bounds) {
+        return { x: 0, y: 0, width, height };
+    }
+
+    const boundsWidth = Math.max(bounds.maxX - bounds.minX, 1);
+    const boundsHeight = Math.max(bounds.maxY - bounds.minY, 1);
+    const availableWidth = Math.max(width - padding * 2, 1);
+    const availableHeight = Math.max(height - padding * 2, 1);
+    const zoom = Math.min(availableWidth / boundsWidth, availableHeight / boundsHeight, maxZoom);
+
+    const centerX = (bounds.minX + bounds.maxX) / 2;
+    const centerY = (bounds.minY + bounds.maxY) / 2;
+    const viewportWidth = width / zoom;
+    const viewportHeight = height / zoom;
+
+    return {
+        x: centerX - viewportWidth / 2,
+        y: centerY - viewportHeight / 2,
+        width: viewportWidth,
+        height: viewportHeight
+    };
+}
+
+/**
+ * Viewport the author was looking at in Excalidraw (scroll + zoom)
+ */
+export function viewportFromAppState(appState = {}, { width, height }) {
+    const zoom = typeof appState.zoom === 'object' ? appState.zoom?.value : appState.zoom;
+    const scale = zoom || 1;
+
+    return {
+        x: -(appState.scrollX || 0),
+        y: -(appState.scrollY || 0),
+        width: width / scale,
+        height: height / scale
+    };
+}
+
+/**
+ * Resolve the starting camera for a scene
+ * @param {object} options - { mode: 'fit' | 'appState' | 'none', width, height, padding, maxZoom }
+ */
+export function resolveViewport(elements, appState, options) {
+    switch (options.mode) {
+        case 'none':
+            return { x: 0, y: 0, width: options.width, height: options.height };
+        case 'appState':
+            return viewportFromAppState(appState, options);
+        case 'fit':
+        default:
+            return fitViewport(getSceneBounds(elements), options);
+    }
+}
+
+/**
+ * SVG transform mapping the viewport onto a frame of the given width
+ */
+export function viewportToTransform(viewport, frameWidth) {
+    const scale = frameWidth / viewport.width;
+    const round = (n, precision = 1000) => Math.round(n * precision) / precision;
+
+    return `translate(${round(-viewport.x * scale)} ${round(-viewport.y * scale)}) scale(${round(scale, 100000)})`;
+}
+
+// Cubic ease-in-out on [0, 1]
+export function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+/**
+ * Interpolate between viewports; zoom is interpolated geometrically so
+ * zooming in and out feel equally fast
+ */
+export function interpolateViewport(from, to, t) {
+    const fromCenter = [from.x + from.width / 2, from.y + from.height / 2];
+    const toCenter = [to.x + to.width / 2, to.y + to.height / 2];
+    const width = from.width * Math.pow(to.width / from.width, t);
+    const height = width * (from.height / from.width);
+    const centerX = fromCenter[0] + (toCenter[0] - fromCenter[0]) * t;
+    const centerY = fromCenter[1] + (toCenter[1] - fromCenter[1]) * t;
+
+    return {
+        x: centerX - width / 2,
+        y: centerY - height / 2,
+        width,
+        height
+    };
+}
+
+/**
+ * Camera keyframes for a "follow" camera.
+ * Starts on the overview, eases onto each target as it begins, holds while it
+ * is drawn, then pulls back to the overview after the last target.
+ * @param {{startMs: number, endMs: number, viewport: object}[]} targets - in time order
+ * @returns {{timeMs: number, viewport: object}[]}
+ */
+export function buildFollowKeyframes(targets, { overview, transitionMs = 600, totalDuration }) {
+    const keyframes = [{ timeMs: 0, viewport: overview }];
+    let previousEnd = 0;
+
+    targets.forEach(({ startMs, endMs, viewport }) => {
+        // Ease in from the previous hold; back-to-back targets move during the draw
+        const moveStart = Math.max(previousEnd, startMs - transitionMs);
+        const arrive = Math.min(Math.max(startMs, moveStart + transitionMs), startMs + (endMs - startMs) / 2);
+
+        const arriveAt = Math.max(arrive, moveStart);
+
+        if (moveStart > keyframes[keyframes.length - 1].timeMs) {
+            keyframes.push({ timeMs: moveStart, viewport: keyframes[keyframes.length - 1].viewport });
+        }
+        keyframes.push({ timeMs: arriveAt, viewport });
+        if (endMs > arriveAt) {
+            keyframes.push({ timeMs: endMs, viewport });
+        }
+        previousEnd = Math.max(previousEnd, endMs);
+    });
+
+    // Pull back to the full scene at the end
+    const pullBack = Math.min(previousEnd + transitionMs, totalDuration);
+    if (targets.length > 0 && pullBack > previousEnd) {
+        keyframes.push({ timeMs: pullBack, viewport: overview });
+    }
+
+    return keyframes;
+}
+
+/**
+ * Camera viewport at a time, eased between keyframes
+ */
+export function viewportAt(keyframes, timeMs) {
+    if (timeMs <= keyframes[0].timeMs) return keyframes[0].viewport;
+
+    for (let i = 1; i < keyframes.length; i++) {
+        const previous = keyframes[i - 1];
+        const next = keyframes[i];
+
+        if (timeMs <= next.timeMs) {
+            const span = next.timeMs - previous.timeMs;
+            const t = span > 0 ? easeInOutCubic((timeMs - previous.timeMs) / span) : 1;
+            return interpolateViewport(previous.viewport, next.viewport, t);
+        }
+    }
+
+    return keyframes[keyframes.length - 1].viewport;
+}
+
+/**
+ * SMIL animation of the camera group. Eased moves are sampled every
+ * sampleMs so the SVG follows exactly the same path as viewportAt().
+ */
+export function buildCameraAnimationSvg(keyframes, totalDuration, frameWidth, sampleMs = 100) {
+    if (keyframes.length < 2 || totalDuration <= 0) return '';
+
+    const times = new Set([0, totalDuration]);
+    keyframes.forEach((keyframe, index) => {
+        times.add(Math.min(keyframe.timeMs, totalDuration));
+        const next = keyframes[index + 1];
+        if (next && next.viewport !== keyframe.viewport) {
+            for (let t = keyframe.timeMs + sampleMs; t < next.timeMs; t += sampleMs) {
+                times.add(Math.min(t, totalDuration));
+            }
+        }
+    });
+
+    const round = (n, precision = 1000) => Math.round(n * precision) / precision;
+    const samples = [...times].sort((a, b) => a - b).map(timeMs => {
+        const viewport = viewportAt(keyframes, timeMs);
+        const scale = frameWidth / viewport.width;
+        return {
+            keyTime: round(timeMs / totalDuration, 100000),
+            translate: `${round(-viewport.x * scale)} ${round(-viewport.y * scale)}`,
+            scale: round(scale, 100000)
+        };
+    });
+
+    const keyTimes = samples.map(sample => sample.keyTime).join(';');
+    const durSec = totalDuration / 1000;
+
+    return `<animateTransform attributeName="transform" type="translate" 
+                      values="${samples.map(sample => sample.translate).join(';')}" 
+                      keyTimes="${keyTimes}" 
+                      begin="0s" dur="${durSec}s" fill="freeze"/>
+    <animateTransform attributeName="transform" type="scale" additive="sum" 
+                      values="${samples.map(sample => sample.scale).join(';')}" 
+                      keyTimes="${keyTimes}" 
+                      begin="0s" dur="${durSec}s" fill="freeze"/>`;
+}
@@ -0,0 +1,109 @@
+/**
+ * Per-element animation directives
+ * Read from customData.animation:
+ *   { order, duration, delay, effect, easing, hold, skip, emphasis, flow, exit,
+ *     textMode, handwriteSpeed }
+ * effect is a name from effects.js or { type, ...options }, exit one from
+ * exits.js (with 'after' it leaves on its own); textMode and handwriteSpeed
+ * (px/s of pen travel) are for text elements. Times are in
+ * milliseconds. Files made with excalidraw-animate encode order and duration
+ * in the element id instead ("animateOrder:2", "animateDuration:800");
+ * the customData fields win when both are present.
+ */
+
+import { isKnownEffect } from './effects.js';
+import { EMPHASIS_TYPES } from './emphasis.js';
+import { isValidFlow } from './flow.js';
+import { isKnownExit, EXIT_TYPES } from './exits.js';
+import { TEXT_MODES } from './handwriting.js';
+
+const NUMBER_FIELDS = ['order', 'duration', 'delay', 'hold'];
+
+// Directives are read several times per run; report each problem once
+const reported = new Set();
+function warnOnce(message) {
+    if (reported.has(message)) return;
+    reported.add(message);
+    console.log(message);
+}
+
+// Number embedded in the id by excalidraw-animate, or null
+export function extractIdNumber(element, key) {
+    const match = (element.id || '').match(new RegExp(`${key}:(-?\\d+)`));
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Directives of one element, with null for unset fields
+ * @returns {{order: number|null, duration: number|null, delay: number, hold: number,
+ *            effect: string|null, easing: string|number[]|null, skip: boolean,
+ *            emphasis: string|null, flow: boolean|string|object|null,
+ *            exit: string|object|null, textMode: string|null, handwriteSpeed: number|null}}
+ *          emphasis 'none' opts out of the default; flow is for arrows (flow.js)
+ */
+export function getAnimationDirectives(element) {
+    const custom = element.customData?.animation || {};
+    const directives = {};
+
+    NUMBER_FIELDS.forEach(field => {
+        const value = custom[field];
+        if (value === undefined || value === null) {
+            directives[field] = null;
+        } else if (Number.isFinite(Number(value))) {
+            directives[field] = Number(value);
+        } else {
+            warnOnce(`⚠️  Ignoring customData.animation.${field} "${value}" on ${element.id}`);
+            directives[field] = null;
+        }
+    });
+
+    directives.order ??= extractIdNumber(element, 'animateOrder');
+    directives.duration ??= extractIdNumber(element, 'animateDuration');
+    directives.delay = Math.max(directives.delay || 0, 0);
+    directives.hold = Math.max(directives.hold || 0, 0);
+
+    directives.effect = custom.effect || null;
+    if (directives.effect && !isKnownEffect(directives.effect)) {
+        warnOnce(`⚠️  Unknown effect ${JSON.stringify(directives.effect)} on ${element.id}, drawing instead`);
+        directives.effect = null;
+    }
+    directives.easing = custom.easing ?? element.customData?.easing ?? null;
+    directives.skip = custom.skip === true;
+
+    directives.emphasis = custom.emphasis || null;
+    if (directives.emphasis && directives.emphasis !== 'none' && !EMPHASIS_TYPES.includes(directives.emphasis)) {
+        warnOnce(`⚠️  Unknown emphasis "${directives.emphasis}" on ${element.id}, ignoring it`);
+        directives.emphasis = null;
+    }
+
+    directives.flow = custom.flow ?? null;
+    if (directives.flow !== null && !isValidFlow(directives.flow)) {
+        warnOnce(`⚠️  Invalid flow ${JSON.stringify(directives.flow)} on ${element.id}, ignoring it`);
+        directives.flow = null;
+    }
+
+    directives.exit = custom.exit || null;
+    if (directives.exit && !isKnownExit(directives.exit)) {
+        warnOnce(`⚠️  Unknown exit ${JSON.stringify(directives.exit)} on ${element.id} (expected ${EXIT_TYPES.join(', ')}), ignoring it`);
+        directives.exit = null;
+    }
+
+    directives.textMode = custom.textMode || null;
+    if (directives.textMode && !TEXT_MODES.includes(directives.textMode)) {
+        warnOnce(`⚠️  Unknown textMode "${directives.textMode}" on ${element.id} (expected ${TEXT_MODES.join(', ')}), ignoring it`);
+        directives.textMode = null;
+    }
+
+    directives.handwriteSpeed = custom.handwriteSpeed ?? null;
+    if (directives.handwriteSpeed !== null) {
+        const speed = Number(directives.handwriteSpeed);
+        if (Number.isFinite(speed) && speed > 0) {
+            directives.handwriteSpeed = speed;
+        } else {
+            warnOnce(`⚠️  Ignoring customData.animation.handwriteSpeed "${directives.handwriteSpeed}" on ${element.id}, expected px/s above 0`);
+            directives.handwriteSpeed = null;
+        }
+    }
+
+    return directives;
+}
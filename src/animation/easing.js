@@ -0,0 +1,98 @@
+/**
+ * Easing curves for SMIL animations
+ * Named curves and cubic-bezier(x1, y1, x2, y2) become calcMode="spline" keySplines
+ */
+
+// Same control points as the CSS keywords
+export const EASINGS = {
+    'linear': null,
+    'ease': [0.25, 0.1, 0.25, 1],
+    'ease-in': [0.42, 0, 1, 1],
+    'ease-out': [0, 0, 0.58, 1],
+    'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+// Unknown names already reported, so each is only warned about once
+const reported = new Set();
+
+// Four finite control points, clamped: SMIL only accepts points inside the unit square
+function toControlPoints(values) {
+    const points = values.map(Number);
+    if (points.length !== 4 || !points.every(Number.isFinite)) return null;
+    return points.map(point => Math.min(Math.max(point, 0), 1));
+}
+
+/**
+ * Control points for an easing name, or null for linear
+ */
+export function resolveEasing(easing = 'linear') {
+    if (Array.isArray(easing)) {
+        return toControlPoints(easing);
+    }
+    if (typeof easing !== 'string') return null;
+
+    const bezier = easing.match(/^cubic-bezier\(\s*([^)]+)\)$/);
+    if (bezier) {
+        const points = toControlPoints(bezier[1].trim().split(/[\s,]+/));
+        if (points) return points;
+    }
+
+    if (!(easing in EASINGS) && !reported.has(easing)) {
+        reported.add(easing);
+        console.log(`⚠️  Unknown easing "${easing}", using linear`);
+    }
+    return EASINGS[easing] || null;
+}
+
+/**
+ * calcMode / keyTimes / keySplines attributes easing every interval of an
+ * animation with valueCount values ('' for linear and evenly spaced values).
+ * keyTimes (0..1, one per value) defaults to even spacing.
+ */
+export function easingAttributes(easing, valueCount = 2, keyTimes = null) {
+    const spline = resolveEasing(easing);
+    const intervals = valueCount - 1;
+    const times = (keyTimes || Array.from({ length: valueCount }, (_, i) => i / intervals))
+        .map(time => Math.round(time * 10000) / 10000);
+
+    if (!spline) {
+        return keyTimes ? `keyTimes="${times.join(';')}"` : '';
+    }
+
+    const keySplines = Array(intervals).fill(spline.join(' '));
+    return `calcMode="spline" keyTimes="${times.join(';')}" keySplines="${keySplines.join(';')}"`;
+}
+
+/**
+ * Eased progress (0..1) at linear progress t, matching SMIL keySplines
+ */
+export function evaluateEasing(easing, t) {
+    const spline = resolveEasing(easing);
+    if (!spline || t <= 0 || t >= 1) return Math.min(Math.max(t, 0), 1);
+
+    const [x1, y1, x2, y2] = spline;
+    const bezier = (s, p1, p2) => 3 * (1 - s) * (1 - s) * s * p1 + 3 * (1 - s) * s * s * p2 + s * s * s;
+
+    // The curve's x is monotonic in s, so bisect for the s where x(s) = t
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 30; i++) {
+        const mid = (low + high) / 2;
+        if (bezier(mid, x1, x2) < t) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return bezier((low + high) / 2, y1, y2);
+}
+
+/**
+ * Eased animateMotion: progress along the path follows the curve
+ */
+export function motionEasingAttributes(easing) {
+    const spline = resolveEasing(easing);
+    if (!spline) return '';
+
+    return `calcMode="spline" keyPoints="0;1" keyTimes="0;1" keySplines="${spline.join(' ')}"`;
+}
@@ -0,0 +1,317 @@
+/**
+ * Reveal effects catalog
+ * 'draw' is the renderer's own progressive stroke drawing. Every other effect
+ * shows the finished element and animates a small set of properties from
+ * keyframes (t from 0 to 1):
+ *   opacity, offset (fraction of the slide distance still to travel),
+ *   scale (about the element center), blur (fraction of the blur radius),
+ *   clip (revealed fraction of
+ *   the bounds) and marker (swept fraction of a highlighter band behind it).
+ * The SMIL renderer turns the keyframes into <animate> values and the frame
+ * renderer samples them with effectFrameAt(), so both show the same frames.
+ */
+
+import { getElementBounds } from './camera.js';
+import { easingAttributes, evaluateEasing } from './easing.js';
+
+// Direction an element comes from: unit vector of its starting offset
+const DIRECTIONS = {
+    left: [-1, 0],
+    right: [1, 0],
+    top: [0, -1],
+    bottom: [0, 1]
+};
+
+export const EFFECTS = {
+    'draw': null,
+    'fade': {
+        keyframes: [
+            { t: 0, opacity: 0 },
+            { t: 1, opacity: 1 }
+        ]
+    },
+    'wipe': {
+        defaults: { from: 'left' },
+        keyframes: [
+            { t: 0, clip: 0 },
+            { t: 1, clip: 1 }
+        ]
+    },
+    'scale-pop': {
+        keyframes: [
+            { t: 0, opacity: 0, scale: 0 },
+            { t: 0.6, opacity: 1, scale: 1.12 },
+            { t: 1, opacity: 1, scale: 1 }
+        ]
+    },
+    'slide-in': {
+        defaults: { from: 'left', distance: 120 },
+        keyframes: [
+            { t: 0, opacity: 0, offset: 1 },
+            { t: 1, opacity: 1, offset: 0 }
+        ]
+    },
+    'blur-in': {
+        defaults: { radius: 12 },
+        keyframes: [
+            { t: 0, opacity: 0, blur: 1 },
+            { t: 1, opacity: 1, blur: 0 }
+        ]
+    },
+    'bounce': {
+        defaults: { from: 'top', distance: 80 },
+        keyframes: [
+            { t: 0, opacity: 0, offset: 1 },
+            { t: 0.45, opacity: 1, offset: 0 },
+            { t: 0.65, opacity: 1, offset: 0.3 },
+            { t: 0.8, opacity: 1, offset: 0 },
+            { t: 0.9, opacity: 1, offset: 0.08 },
+            { t: 1, opacity: 1, offset: 0 }
+        ]
+    },
+    'marker-fill': {
+        defaults: { from: 'left', color: null, markerOpacity: 0.6, padding: 8 },
+        keyframes: [
+            { t: 0, opacity: 0, marker: 0 },
+            { t: 0.4, opacity: 0, marker: 0.67 },
+            { t: 0.6, opacity: 1, marker: 1 },
+            { t: 1, opacity: 1, marker: 1 }
+        ]
+    }
+};
+
+/**
+ * Add or replace an effect: { defaults, keyframes: [{ t, ...properties }] }
+ */
+export function registerEffect(name, definition) {
+    EFFECTS[name] = definition;
+}
+
+export function isKnownEffect(effect) {
+    const type = typeof effect === 'object' && effect !== null ? effect.type : effect;
+    return typeof type === 'string' && type in EFFECTS;
+}
+
+/**
+ * Effect spec from a name or { type, ...options }, with the effect's defaults
+ */
+export function resolveEffect(effect) {
+    const spec = typeof effect === 'object' && effect !== null ? effect : { type: effect || 'draw' };
+    if (!isKnownEffect(spec)) {
+        return { type: 'draw' };
+    }
+    return { ...EFFECTS[spec.type]?.defaults, ...spec };
+}
+
+// Keyframe properties the effect animates
+function getAnimatedProperties(definition) {
+    return [...new Set(definition.keyframes.flatMap(keyframe => Object.keys(keyframe)))].filter(key => key !== 't');
+}
+
+// Property value at progress t (0..1), each interval eased like SMIL keySplines
+function interpolateKeyframes(keyframes, property, t, easing) {
+    const frames = keyframes.filter(keyframe => property in keyframe);
+    if (t <= frames[0].t) return frames[0][property];
+
+    for (let i = 1; i < frames.length; i++) {
+        const from = frames[i - 1];
+        const to = frames[i];
+        if (t <= to.t) {
+            const local = evaluateEasing(easing, (t - from.t) / (to.t - from.t));
+            return from[property] + (to[property] - from[property]) * local;
+        }
+    }
+    return frames[frames.length - 1][property];
+}
+
+/**
+ * Geometry the effect works with, in scene coordinates
+ */
+function getEffectGeometry(element, spec) {
+    const bounds = getElementBounds(element);
+    // Strokes and text overhang the nominal bounds a little
+    const margin = (element.strokeWidth || 2) * 2 + 4;
+
+    return {
+        box: {
+            x: bounds.minX - margin,
+            y: bounds.minY - margin,
+            width: bounds.maxX - bounds.minX + margin * 2,
+            height: bounds.maxY - bounds.minY + margin * 2
+        },
+        center: [(bounds.minX + bounds.maxX) / 2, (bounds.minY + bounds.maxY) / 2],
+        direction: DIRECTIONS[spec.from] || DIRECTIONS.left
+    };
+}
+
+// Part of the box revealed by a sweep that starts at the 'from' edge
+function sweepRect(box, from, fraction) {
+    switch (from) {
+        case 'right':
+            return { x: box.x + box.width * (1 - fraction), y: box.y, width: box.width * fraction, height: box.height };
+        case 'top':
+            return { x: box.x, y: box.y, width: box.width, height: box.height * fraction };
+        case 'bottom':
+            return { x: box.x, y: box.y + box.height * (1 - fraction), width: box.width, height: box.height * fraction };
+        default:
+            return { x: box.x, y: box.y, width: box.width * fraction, height: box.height };
+    }
+}
+
+function markerBox(box, spec) {
+    return {
+        x: box.x - spec.padding,
+        y: box.y - spec.padding,
+        width: box.width + spec.padding * 2,
+        height: box.height + spec.padding * 2
+    };
+}
+
+function markerColor(element, spec) {
+    if (spec.color) return spec.color;
+    const background = element.backgroundColor;
+    return background && background !== 'transparent' ? background : '#ffec99';
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// SVG transform for a slide offset and a scale about the center
+function effectTransform(geometry, spec, offset, scale) {
+    const distance = spec.distance || 0;
+    const [dx, dy] = geometry.direction.map(component => round(component * distance * offset));
+    const [cx, cy] = geometry.center.map(round);
+    return `translate(${dx} ${dy}) translate(${cx} ${cy}) scale(${round(scale)}) translate(${-cx} ${-cy})`;
+}
+
+/**
+ * State of an effect at progress (0..1) for the frame renderer, in scene
+ * coordinates: { opacity, transform, blur, clip, marker }
+ */
+export function effectFrameAt(effect, element, progress, easing = 'linear') {
+    const spec = resolveEffect(effect);
+    const definition = EFFECTS[spec.type];
+    if (!definition) return null;
+
+    return keyframesAt(definition, spec, element, progress, easing);
+}
+
+/**
+ * effectFrameAt() for any { defaults, keyframes } definition (exits.js)
+ */
+export function keyframesAt(definition, spec, element, progress, easing = 'linear') {
+    const properties = getAnimatedProperties(definition);
+    const value = (property, fallback) => properties.includes(property)
+        ? interpolateKeyframes(definition.keyframes, property, progress, easing)
+        : fallback;
+    const geometry = getEffectGeometry(element, spec);
+
+    return {
+        opacity: value('opacity', 1),
+        transform: effectTransform(geometry, spec, value('offset', 0), value('scale', 1)),
+        blur: value('blur', 0) * (spec.radius || 0),
+        clip: properties.includes('clip') ? sweepRect(geometry.box, spec.from, value('clip', 1)) : null,
+        marker: properties.includes('marker')
+            ? {
+                ...sweepRect(markerBox(geometry.box, spec), spec.from, value('marker', 1)),
+                color: markerColor(element, spec),
+                opacity: spec.markerOpacity
+            }
+            : null
+    };
+}
+
+/**
+ * Wrap finished element SVG in the effect's SMIL animation
+ * @param {object} timing - { startSec, durSec, easing }
+ */
+export function buildEffectSvg(effect, element, content, timing) {
+    const spec = resolveEffect(effect);
+    const definition = EFFECTS[spec.type];
+    if (!definition) return content;
+
+    return buildKeyframesSvg(definition, spec, element, content, timing);
+}
+
+/**
+ * buildEffectSvg() for any { defaults, keyframes } definition (exits.js)
+ */
+export function buildKeyframesSvg(definition, spec, element, content, { startSec, durSec, easing = 'linear' }) {
+    const keyframes = definition.keyframes;
+    const properties = getAnimatedProperties(definition);
+    const geometry = getEffectGeometry(element, spec);
+    const id = `${spec.type}-${String(element.id).replace(/[^\w-]/g, '_')}`;
+
+    // One <animate> per attribute, values taken from the keyframes that set the property
+    const animate = (attributeName, property, format, tag = 'animate', extra = '') => {
+        const frames = keyframes.filter(keyframe => property in keyframe);
+        const values = frames.map(keyframe => format(keyframe[property])).join(';');
+        return `<${tag} attributeName="${attributeName}" ${extra}values="${values}" begin="${startSec}s" dur="${durSec}s" ${easingAttributes(easing, frames.length, frames.map(keyframe => keyframe.t))} fill="freeze"/>`;
+    };
+    const first = (property) => keyframes.find(keyframe => property in keyframe)[property];
+
+    const defs = [];
+    const groupAttributes = [];
+    const groupAnimations = [];
+
+    if (properties.includes('opacity')) {
+        groupAttributes.push(`opacity="${first('opacity')}"`);
+        groupAnimations.push(animate('opacity', 'opacity', round));
+    }
+
+    if (properties.includes('clip')) {
+        const rectAnimations = ['x', 'y', 'width', 'height'].map(attribute =>
+            animate(attribute, 'clip', fraction => round(sweepRect(geometry.box, spec.from, fraction)[attribute])));
+        const start = sweepRect(geometry.box, spec.from, first('clip'));
+        defs.push(`<clipPath id="${id}-clip"><rect x="${round(start.x)}" y="${round(start.y)}" width="${round(start.width)}" height="${round(start.height)}">${rectAnimations.join('')}</rect></clipPath>`);
+        groupAttributes.push(`clip-path="url(#${id}-clip)"`);
+    }
+
+    if (properties.includes('blur')) {
+        const radius = spec.radius || 0;
+        defs.push(`<filter id="${id}-blur" x="-50%" y="-50%" width="200%" height="200%"><feGaussianBlur stdDeviation="${round(first('blur') * radius)}">${animate('stdDeviation', 'blur', value => round(value * radius))}</feGaussianBlur></filter>`);
+        groupAttributes.push(`filter="url(#${id}-blur)"`);
+    }
+
+    let body = content;
+
+    // Scale about the center, inside the slide offset
+    if (properties.includes('scale')) {
+        const [cx, cy] = geometry.center.map(round);
+        body = `<g transform="translate(${cx} ${cy})"><g transform="scale(${first('scale')})">
+      ${animate('transform', 'scale', round, 'animateTransform', 'type="scale" ')}
+      <g transform="translate(${-cx} ${-cy})">
+${body}
+      </g></g></g>`;
+    }
+
+    if (properties.includes('offset')) {
+        const distance = spec.distance || 0;
+        const translate = (offset) => geometry.direction.map(component => round(component * distance * offset)).join(',');
+        body = `<g transform="translate(${translate(first('offset'))})">
+      ${animate('transform', 'offset', translate, 'animateTransform', 'type="translate" ')}
+${body}
+    </g>`;
+    }
+
+    let marker = '';
+    if (properties.includes('marker')) {
+        const box = markerBox(geometry.box, spec);
+        const start = sweepRect(box, spec.from, first('marker'));
+        const rectAnimations = ['x', 'y', 'width', 'height'].map(attribute =>
+            animate(attribute, 'marker', fraction => round(sweepRect(box, spec.from, fraction)[attribute])));
+        marker = `<rect x="${round(start.x)}" y="${round(start.y)}" width="${round(start.width)}" height="${round(start.height)}" rx="4" fill="${markerColor(element, spec)}" opacity="${spec.markerOpacity}">${rectAnimations.join('')}</rect>`;
+    }
+
+    const backdrop = [defs.length > 0 ? `<defs>${defs.join('')}</defs>` : '', marker].filter(Boolean);
+
+    return `  <!-- Effect: ${spec.type} -->
+  <g>
+    ${backdrop.join('\n    ')}
+    <g ${groupAttributes.join(' ')}>
+      ${groupAnimations.join('\n      ')}
+${body}
+    </g>
+  </g>`;
+}
@@ -0,0 +1,77 @@
+/**
+ * Per-element presentation shared by the SVG builders:
+ * rotation about the element's center, opacity and colors
+ */
+
+import { getAbsolutePoints } from './geometry.js';
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Center of the element at (x, y); linear elements rotate about the
+ * center of their points' bounds, like Excalidraw does
+ */
+export function getElementCenter(element, x = element.x || 0, y = element.y || 0) {
+    if (Array.isArray(element.points) && element.points.length > 0) {
+        const points = getAbsolutePoints(element, x, y);
+        const xs = points.map(([px]) => px);
+        const ys = points.map(([, py]) => py);
+        return [
+            (Math.min(...xs) + Math.max(...xs)) / 2,
+            (Math.min(...ys) + Math.max(...ys)) / 2
+        ];
+    }
+
+    return [x + (element.width || 0) / 2, y + (element.height || 0) / 2];
+}
+
+/**
+ * SVG rotate() for element.angle (radians, clockwise), or '' when unrotated
+ */
+export function getRotationTransform(element, x = element.x || 0, y = element.y || 0) {
+    if (!element.angle) return '';
+
+    const [cx, cy] = getElementCenter(element, x, y);
+    const degrees = (element.angle * 180) / Math.PI;
+    return `rotate(${round(degrees)} ${round(cx)} ${round(cy)})`;
+}
+
+/**
+ * Element opacity (Excalidraw stores 0–100) as an SVG opacity
+ */
+export function getElementOpacity(element) {
+    const opacity = element.opacity ?? 100;
+    return Math.min(Math.max(opacity, 0), 100) / 100;
+}
+
+/**
+ * Background color, or null when the element is unfilled
+ */
+export function getFillColor(element) {
+    const color = element.backgroundColor;
+    return color && color !== 'transparent' && color !== 'none' ? color : null;
+}
+
+/**
+ * Text is colored by its stroke color
+ */
+export function getTextColor(element) {
+    return element.strokeColor || '#1e1e1e';
+}
+
+/**
+ * Wrap element markup in a group carrying its rotation and opacity
+ */
+export function wrapWithElementStyle(element, content, x = element.x || 0, y = element.y || 0) {
+    const attributes = [];
+    const transform = getRotationTransform(element, x, y);
+    const opacity = getElementOpacity(element);
+
+    if (transform) attributes.push(`transform="${transform}"`);
+    if (opacity < 1) attributes.push(`opacity="${opacity}"`);
+    if (attributes.length === 0) return content;
+
+    return `  <g ${attributes.join(' ')}>
+${content}
+  </g>`;
+}
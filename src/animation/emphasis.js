@@ -0,0 +1,193 @@
+/**
+ * Emphasis effects synced to narration
+ * While a narration segment talks about elements (its animationSync.elements),
+ * each of them is highlighted again once it has been drawn:
+ *   pulse     - a gentle scale throb about the center
+ *   glow      - a soft colored halo
+ *   circle    - a hand-drawn ellipse around it
+ *   underline - a hand-drawn stroke below it
+ *   dim       - everything else fades back while the segment plays
+ */
+
+import { getElementBounds } from './camera.js';
+import { generateRoughShape } from './roughShapes.js';
+
+export const EMPHASIS_TYPES = ['pulse', 'glow', 'circle', 'underline', 'dim'];
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Emphasis windows per element, in animation time
+ * @param {object[]} segments - narration timeline segments
+ * @param {object[]} elements - drawn elements
+ * @param {Map<string, number>} drawEnds - element id -> time its drawing ends (ms)
+ * @param {function} typeFor - (element, segment) -> emphasis type or null
+ * @returns {Map<string, {type: string, startMs: number, endMs: number}[]>}
+ *          'dimmed' windows mark elements faded back by another element's 'dim'
+ */
+export function planEmphasis(segments, elements, drawEnds, typeFor, { minMs = 400 } = {}) {
+    const windows = new Map();
+    const add = (id, window) => {
+        if (window.endMs - window.startMs < minMs) return;
+        if (!windows.has(id)) windows.set(id, []);
+        windows.get(id).push(window);
+    };
+
+    (segments || []).forEach(segment => {
+        const focus = (segment.animationSync?.elements || []).filter(element => drawEnds.has(element.id));
+        const focusIds = new Set(focus.map(element => element.id));
+        let dimStart = null;
+
+        focus.forEach(element => {
+            // A label is emphasized through its container
+            if (element.containerId && focusIds.has(element.containerId)) return;
+
+            const type = typeFor(element, segment);
+            if (!type || !EMPHASIS_TYPES.includes(type)) return;
+
+            const startMs = Math.max(segment.startTime, drawEnds.get(element.id));
+            if (type === 'dim') {
+                dimStart = Math.max(dimStart ?? 0, startMs);
+            } else {
+                add(element.id, { type, startMs, endMs: segment.endTime });
+            }
+        });
+
+        // Dimming waits until everything the segment talks about is on screen
+        if (dimStart !== null) {
+            elements
+                .filter(element => !focusIds.has(element.id) && drawEnds.get(element.id) <= dimStart)
+                .forEach(element => add(element.id, { type: 'dimmed', startMs: dimStart, endMs: segment.endTime }));
+        }
+    });
+
+    return windows;
+}
+
+// Box around the element with some breathing room
+function getEmphasisBox(element, padding) {
+    const bounds = getElementBounds(element);
+    return {
+        minX: bounds.minX - padding,
+        minY: bounds.minY - padding,
+        maxX: bounds.maxX + padding,
+        maxY: bounds.maxY + padding
+    };
+}
+
+// Hand-drawn mark shown for one window: drawn in, held, then gone
+function buildMarkSvg(mark, window, { color, drawMs }) {
+    const rough = generateRoughShape(mark, mark.x, mark.y);
+    if (!rough?.outline) return '';
+
+    const length = Math.ceil(rough.outline.length * 1.1) + 1;
+    const startSec = round(window.startMs / 1000);
+    const durSec = round((window.endMs - window.startMs) / 1000);
+    const drawSec = round(Math.min(drawMs, window.endMs - window.startMs) / 1000);
+    const fadeFrom = round(Math.max(1 - 300 / (window.endMs - window.startMs), 0.5));
+
+    return `<path d="${rough.outline.d}" stroke="${color}" stroke-width="${mark.strokeWidth}" stroke-linecap="round" fill="none" opacity="0" stroke-dasharray="${length}" stroke-dashoffset="${length}">
+      <animate attributeName="stroke-dashoffset" values="${length};0" begin="${startSec}s" dur="${drawSec}s" fill="freeze"/>
+      <animate attributeName="opacity" values="1;1;0" keyTimes="0;${fadeFrom};1" begin="${startSec}s" dur="${durSec}s"/>
+    </path>`;
+}
+
+/**
+ * Element SVG with its emphasis windows applied
+ * @param {object} options - { color, dimOpacity, pulseScale, drawMs, padding }
+ */
+export function buildEmphasisSvg(element, content, windows = [], options = {}) {
+    if (windows.length === 0) return content;
+
+    const { color = '#e03131', dimOpacity = 0.25, pulseScale = 1.06, drawMs = 600, padding = 12 } = options;
+    const id = `emphasis-${String(element.id).replace(/[^\w-]/g, '_')}`;
+    const byType = (type) => windows.filter(window => window.type === type);
+    const timing = (window) => `begin="${round(window.startMs / 1000)}s" dur="${round((window.endMs - window.startMs) / 1000)}s"`;
+    // Fade in and out over 300ms (at most a quarter of the window each way)
+    const ramp = (window) => round(Math.min(300 / (window.endMs - window.startMs), 0.25));
+
+    let svg = content;
+    const bounds = getElementBounds(element);
+    const cx = round((bounds.minX + bounds.maxX) / 2);
+    const cy = round((bounds.minY + bounds.maxY) / 2);
+
+    if (byType('pulse').length > 0) {
+        const pulses = byType('pulse').map(window =>
+            `<animateTransform attributeName="transform" type="scale" values="1;${pulseScale};1" begin="${round(window.startMs / 1000)}s" dur="0.8s" repeatDur="${round((window.endMs - window.startMs) / 1000)}s" calcMode="spline" keyTimes="0;0.5;1" keySplines="0.42 0 0.58 1;0.42 0 0.58 1"/>`);
+        svg = `<g transform="translate(${cx} ${cy})"><g>
+      ${pulses.join('\n      ')}
+      <g transform="translate(${-cx} ${-cy})">
+${svg}
+      </g></g></g>`;
+    }
+
+    if (byType('glow').length > 0) {
+        const glows = byType('glow').map(window => {
+            const k = ramp(window);
+            return `<animate attributeName="flood-opacity" values="0;0.85;0.85;0" keyTimes="0;${k};${round(1 - k)};1" ${timing(window)}/>`;
+        });
+        svg = `<filter id="${id}-glow" x="-50%" y="-50%" width="200%" height="200%">
+      <feGaussianBlur in="SourceAlpha" stdDeviation="6" result="blur"/>
+      <feFlood flood-color="${color}" flood-opacity="0">${glows.join('')}</feFlood>
+      <feComposite in2="blur" operator="in" result="glow"/>
+      <feMerge><feMergeNode in="glow"/><feMergeNode in="SourceGraphic"/></feMerge>
+    </filter>
+    <g filter="url(#${id}-glow)">
+${svg}
+    </g>`;
+    }
+
+    if (byType('dimmed').length > 0) {
+        const dims = byType('dimmed').map(window => {
+            const k = ramp(window);
+            return `<animate attributeName="opacity" values="1;${dimOpacity};${dimOpacity};1" keyTimes="0;${k};${round(1 - k)};1" ${timing(window)}/>`;
+        });
+        svg = `<g>
+      ${dims.join('\n      ')}
+${svg}
+    </g>`;
+    }
+
+    // Marks are drawn over the element and do not rotate with it
+    const box = getEmphasisBox(element, padding);
+    const width = box.maxX - box.minX;
+    const height = box.maxY - box.minY;
+    const markStyle = { strokeColor: color, strokeWidth: 3, roughness: 1.5, seed: element.seed || 1, backgroundColor: 'transparent' };
+
+    const circles = byType('circle').map(window => {
+        // An ellipse through the corners of the box, and then some
+        const rx = (width / 2) * Math.SQRT2;
+        const ry = (height / 2) * Math.SQRT2;
+        return buildMarkSvg({
+            ...markStyle,
+            id: `${element.id}-circle`,
+            type: 'ellipse',
+            x: cx - rx,
+            y: cy - ry,
+            width: rx * 2,
+            height: ry * 2
+        }, window, { color, drawMs });
+    });
+
+    const underlines = byType('underline').map(window => buildMarkSvg({
+        ...markStyle,
+        id: `${element.id}-underline`,
+        type: 'line',
+        x: box.minX,
+        y: box.maxY,
+        width,
+        height: 0,
+        points: [[0, 0], [width, 0]]
+    }, window, { color, drawMs }));
+
+    const marks = [...circles, ...underlines];
+    if (marks.length === 0) return svg;
+
+    return `${svg}
+  <!-- Emphasis: ${element.type} -->
+  <g>
+    ${marks.join('\n    ')}
+  </g>`;
+}
@@ -0,0 +1,162 @@
+/**
+ * Exit animations
+ * Elements can leave the scene again, so one drawing can play as a series of
+ * slides:
+ *   undraw     - the drawing played backwards, strokes retracting to their start
+ *   fade-out   - fades away
+ *   erase-wipe - wiped off from the 'from' edge (left, right, top, bottom)
+ * An exit is a name or { type, duration (ms), after (ms after the element is
+ * drawn), from, easing }. Without 'after' the element stays until a storyboard
+ * step clears it. fade-out and erase-wipe are keyframe effects like the reveals
+ * in effects.js; undraw reverses the element's own <animate> reveals, and the
+ * frame renderer (which has no stroke-level drawing) wipes it back toward
+ * where the stroke starts.
+ */
+
+import { keyframesAt, buildKeyframesSvg } from './effects.js';
+
+export const EXITS = {
+    'undraw': null,
+    'fade-out': {
+        keyframes: [
+            { t: 0, opacity: 1 },
+            { t: 1, opacity: 0 }
+        ]
+    },
+    'erase-wipe': {
+        defaults: { from: 'left' },
+        keyframes: [
+            { t: 0, clip: 1 },
+            { t: 1, clip: 0 }
+        ]
+    }
+};
+
+export const EXIT_TYPES = Object.keys(EXITS);
+
+// The part still showing sits at the edge opposite the eraser
+const OPPOSITE = { left: 'right', right: 'left', top: 'bottom', bottom: 'top' };
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+export function isKnownExit(exit) {
+    const type = typeof exit === 'object' && exit !== null ? exit.type : exit;
+    return typeof type === 'string' && type in EXITS;
+}
+
+/**
+ * Exit spec from a name or { type, ...options }, or null for none
+ */
+export function resolveExit(exit) {
+    if (!exit || !isKnownExit(exit)) return null;
+
+    const spec = typeof exit === 'object' ? exit : { type: exit };
+    return { ...EXITS[spec.type]?.defaults, ...spec };
+}
+
+// Edge where the element's drawing ends, for undraw in frames
+function getDrawEndSide(element) {
+    // Shapes and text are drawn toward the right
+    const points = element.points;
+    if (!Array.isArray(points) || points.length < 2) return 'right';
+
+    const [x1, y1] = points[0];
+    const [x2, y2] = points[points.length - 1];
+    if (Math.abs(x2 - x1) >= Math.abs(y2 - y1)) {
+        return x2 >= x1 ? 'right' : 'left';
+    }
+    return y2 >= y1 ? 'bottom' : 'top';
+}
+
+// Keyframe definition and spec an exit renders with
+function getExitKeyframes(spec, element) {
+    if (spec.type === 'undraw') {
+        return { definition: EXITS['erase-wipe'], from: OPPOSITE[getDrawEndSide(element)] };
+    }
+    return { definition: EXITS[spec.type], from: OPPOSITE[spec.from] || 'right' };
+}
+
+/**
+ * State of an exit at progress (0..1) for the frame renderer, in the shape
+ * of effectFrameAt()
+ */
+export function exitFrameAt(exit, element, progress, easing = 'linear') {
+    const spec = resolveExit(exit);
+    if (!spec) return null;
+
+    const { definition, from } = getExitKeyframes(spec, element);
+    return keyframesAt(definition, { ...spec, from }, element, progress, easing);
+}
+
+// Attributes of a generated tag
+function parseAttributes(tag) {
+    return Object.fromEntries([...tag.matchAll(/([\w:-]+)="([^"]*)"/g)].map(match => [match[1], match[2]]));
+}
+
+// Spline timing played backwards: intervals in reverse order, each curve mirrored
+function reverseSplineAttributes(attributes) {
+    const parts = [''];
+    if (attributes.keyTimes) {
+        const times = attributes.keyTimes.split(';').map(Number).reverse().map(t => round(1 - t));
+        parts.push(`keyTimes="${times.join(';')}"`);
+    }
+    if (attributes.keySplines) {
+        const splines = attributes.keySplines.split(';').reverse().map(spline => {
+            const [x1, y1, x2, y2] = spline.trim().split(/[\s,]+/).map(Number);
+            return [1 - x2, 1 - y2, 1 - x1, 1 - y1].map(round).join(' ');
+        });
+        parts.push(`calcMode="spline" keySplines="${splines.join(';')}"`);
+    } else if (attributes.calcMode) {
+        parts.push(`calcMode="${attributes.calcMode}"`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Undraw: every reveal <animate> that changes what is left on screen gets a
+ * mirrored twin, so the draw span plays backwards over the exit
+ */
+function reverseDrawing(content, { drawStartSec, drawEndSec, startSec, durSec }) {
+    const scale = durSec / Math.max(drawEndSec - drawStartSec, 0.001);
+
+    return content.replace(/<animate\s[^>]*?\/>/g, (tag) => {
+        const attributes = parseAttributes(tag);
+        const values = (attributes.values || '').split(';');
+        if (attributes.fill !== 'freeze' || values.length < 2 || values[0] === values[values.length - 1]) {
+            return tag;
+        }
+
+        const begin = parseFloat(attributes.begin) || 0;
+        const dur = parseFloat(attributes.dur) || 0;
+        const mirroredBegin = startSec + Math.max(drawEndSec - (begin + dur), 0) * scale;
+        const reverse = `<animate attributeName="${attributes.attributeName}" values="${values.reverse().join(';')}" begin="${round(mirroredBegin)}s" dur="${round(Math.max(dur * scale, 0.001))}s"${reverseSplineAttributes(attributes)} fill="freeze"/>`;
+        return `${tag}${reverse}`;
+    });
+}
+
+/**
+ * Element SVG that leaves over startSec..startSec + durSec and is hidden after
+ * @param {object} timing - { startSec, durSec, easing, drawStartSec, drawEndSec }
+ *                 (the draw span is what undraw plays backwards)
+ */
+export function buildExitSvg(exit, element, content, timing) {
+    const spec = resolveExit(exit);
+    if (!spec) return content;
+
+    const { startSec, durSec, easing = 'linear' } = timing;
+    let body;
+    if (spec.type === 'undraw') {
+        body = reverseDrawing(content, timing);
+    } else {
+        const { definition, from } = getExitKeyframes(spec, element);
+        body = buildKeyframesSvg(definition, { ...spec, from }, element, content, { startSec: round(startSec), durSec: round(durSec), easing });
+    }
+
+    return `  <!-- Exit: ${spec.type} -->
+  <g>
+    <set attributeName="display" to="none" begin="${round(startSec + durSec)}s" fill="freeze"/>
+${body}
+  </g>`;
+}
@@ -0,0 +1,204 @@
+/**
+ * Flow particles along arrows
+ * Once an arrow is drawn, dots or dashes keep travelling along its real route.
+ * Enabled per arrow (customData.animation.flow or a storyboard step's flow):
+ *   true, 'dots', 'dashes' or { style, speed (px/s), spacing (px between dots),
+ *   dash / gap (px), direction ('auto' follows the arrowheads, 'forward',
+ *   'reverse'), color, size }
+ * Particle i enters at i * (cycle / count) after the arrow is drawn, so the
+ * SMIL markup and the frame renderer's flowElementsAt() agree on every frame.
+ */
+
+import { buildLinearPath, sampleLinearPath, polylineLength } from './geometry.js';
+import { getArrowheads } from './arrowheads.js';
+
+export const FLOW_STYLES = ['dots', 'dashes'];
+
+const FLOW_DEFAULTS = {
+    style: 'dots',
+    speed: 120,
+    spacing: 60,
+    dash: 12,
+    gap: 18,
+    direction: 'auto',
+    color: null,
+    size: null
+};
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Flow spec from a directive value, or null when the arrow has no flow
+ */
+export function resolveFlow(flow, defaults = {}) {
+    if (!flow) return null;
+
+    const spec = flow === true ? {} : typeof flow === 'string' ? { style: flow } : flow;
+    const resolved = { ...FLOW_DEFAULTS, ...defaults, ...spec };
+    return FLOW_STYLES.includes(resolved.style) ? resolved : null;
+}
+
+export function isValidFlow(flow) {
+    return flow === true || flow === false || resolveFlow(flow) !== null;
+}
+
+// Travel toward the end of the path, or back toward its start
+function isReversed(element, spec) {
+    if (spec.direction === 'reverse') return true;
+    if (spec.direction === 'forward') return false;
+
+    const { start, end } = getArrowheads(element);
+    return Boolean(start) && !end;
+}
+
+function getFlowGeometry(element, spec) {
+    const points = sampleLinearPath(element);
+    const length = polylineLength(points);
+    const dotCount = Math.max(1, Math.floor(length / spec.spacing));
+
+    return {
+        points,
+        length,
+        dotCount,
+        dotCycleMs: (length / spec.speed) * 1000, // One trip along the path
+        dashPeriod: spec.dash + spec.gap,
+        reversed: isReversed(element, spec),
+        color: spec.color || element.strokeColor || '#1e1e1e',
+        size: spec.size || Math.max((element.strokeWidth || 2) * 1.5, 3)
+    };
+}
+
+// Point at a distance along a polyline
+function pointAt(points, distance) {
+    let walked = 0;
+    for (let i = 1; i < points.length; i++) {
+        const [x1, y1] = points[i - 1];
+        const [x2, y2] = points[i];
+        const segment = Math.hypot(x2 - x1, y2 - y1);
+        if (walked + segment >= distance && segment > 0) {
+            const t = (distance - walked) / segment;
+            return [x1 + (x2 - x1) * t, y1 + (y2 - y1) * t];
+        }
+        walked += segment;
+    }
+    return points[points.length - 1];
+}
+
+// Polyline between two distances along a polyline
+function sliceAt(points, from, to) {
+    const slice = [pointAt(points, from)];
+    let walked = 0;
+    for (let i = 1; i < points.length; i++) {
+        walked += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+        if (walked > from && walked < to) slice.push(points[i]);
+    }
+    slice.push(pointAt(points, to));
+    return slice;
+}
+
+/**
+ * SMIL particles for an arrow whose drawing ends at startSec
+ */
+export function buildFlowSvg(element, spec, { startSec }) {
+    const geometry = getFlowGeometry(element, spec);
+    if (geometry.length <= 0) return '';
+
+    const path = buildLinearPath(element);
+    const begin = round(startSec);
+
+    if (spec.style === 'dashes') {
+        const period = geometry.dashPeriod;
+        const to = geometry.reversed ? period : -period;
+        return `<!-- Flow: dashes -->
+    <path d="${path}" stroke="${geometry.color}" stroke-width="${round(geometry.size)}" stroke-linecap="round" fill="none" opacity="0" stroke-dasharray="${spec.dash} ${spec.gap}">
+      <set attributeName="opacity" to="1" begin="${begin}s" fill="freeze"/>
+      <animate attributeName="stroke-dashoffset" values="0;${to}" begin="${begin}s" dur="${round(period / spec.speed)}s" repeatCount="indefinite"/>
+    </path>`;
+    }
+
+    const cycleSec = geometry.dotCycleMs / 1000;
+    const keyPoints = geometry.reversed ? '1;0' : '0;1';
+    const dots = Array.from({ length: geometry.dotCount }, (_, index) => {
+        const dotBegin = round(startSec + index * (cycleSec / geometry.dotCount));
+        return `<circle r="${round(geometry.size)}" fill="${geometry.color}" opacity="0">
+      <set attributeName="opacity" to="1" begin="${dotBegin}s" fill="freeze"/>
+      <animateMotion path="${path}" begin="${dotBegin}s" dur="${round(cycleSec)}s" keyPoints="${keyPoints}" keyTimes="0;1" calcMode="linear" repeatCount="indefinite"/>
+    </circle>`;
+    });
+
+    return `<!-- Flow: ${geometry.dotCount} dot(s) -->
+    ${dots.join('\n    ')}`;
+}
+
+/**
+ * Particles elapsedMs after the arrow was drawn, as plain Excalidraw elements
+ * for the frame renderer
+ */
+export function flowElementsAt(element, spec, elapsedMs) {
+    const geometry = getFlowGeometry(element, spec);
+    if (geometry.length <= 0 || elapsedMs < 0) return [];
+
+    const base = {
+        strokeColor: geometry.color,
+        backgroundColor: geometry.color,
+        fillStyle: 'solid',
+        strokeWidth: 1,
+        roughness: 0,
+        opacity: element.opacity ?? 100,
+        groupIds: [],
+        boundElements: null,
+        isDeleted: false
+    };
+
+    if (spec.style === 'dashes') {
+        const period = geometry.dashPeriod;
+        const travelled = ((elapsedMs / 1000) * spec.speed) % period;
+        // Pattern shift along the path (dashes start at the path start when shift is 0)
+        const shift = geometry.reversed ? period - travelled : travelled;
+        const dashes = [];
+        for (let start = shift - period; start < geometry.length; start += period) {
+            const from = Math.max(start, 0);
+            const to = Math.min(start + spec.dash, geometry.length);
+            if (to <= from) continue;
+
+            const points = sliceAt(geometry.points, from, to);
+            const [x0, y0] = points[0];
+            dashes.push({
+                ...base,
+                id: `${element.id}-flow-${dashes.length}`,
+                type: 'line',
+                x: x0,
+                y: y0,
+                strokeWidth: geometry.size,
+                backgroundColor: 'transparent',
+                points: points.map(([px, py]) => [px - x0, py - y0]),
+                width: Math.max(...points.map(([px]) => px)) - Math.min(...points.map(([px]) => px)),
+                height: Math.max(...points.map(([, py]) => py)) - Math.min(...points.map(([, py]) => py))
+            });
+        }
+        return dashes;
+    }
+
+    const spacingMs = geometry.dotCycleMs / geometry.dotCount;
+    const dots = [];
+    for (let index = 0; index < geometry.dotCount; index++) {
+        const local = elapsedMs - index * spacingMs;
+        if (local < 0) continue;
+
+        const fraction = (local % geometry.dotCycleMs) / geometry.dotCycleMs;
+        const distance = (geometry.reversed ? 1 - fraction : fraction) * geometry.length;
+        const [cx, cy] = pointAt(geometry.points, distance);
+        dots.push({
+            ...base,
+            id: `${element.id}-flow-${index}`,
+            type: 'ellipse',
+            x: cx - geometry.size,
+            y: cy - geometry.size,
+            width: geometry.size * 2,
+            height: geometry.size * 2
+        });
+    }
+    return dots;
+}
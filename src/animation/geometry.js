@@ -0,0 +1,157 @@
+/**
+ * Geometry helpers for Excalidraw linear elements (lines, arrows)
+ * Points are stored relative to element.x / element.y
+ */
+
+// Keep generated SVG readable
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Element points, falling back to a straight segment across the bounding box
+ */
+export function getElementPoints(element) {
+    if (Array.isArray(element.points) && element.points.length >= 2) {
+        return element.points;
+    }
+    return [[0, 0], [element.width || 100, element.height || 100]];
+}
+
+/**
+ * Catmull-Rom spline through the points, as cubic Bezier segments
+ * [start, control1, control2, end]
+ */
+export function getCurveSegments(points) {
+    const segments = [];
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const p0 = points[i - 1] || points[i];
+        const p1 = points[i];
+        const p2 = points[i + 1];
+        const p3 = points[i + 2] || p2;
+
+        segments.push([
+            p1,
+            [p1[0] + (p2[0] - p0[0]) / 6, p1[1] + (p2[1] - p0[1]) / 6],
+            [p2[0] - (p3[0] - p1[0]) / 6, p2[1] - (p3[1] - p1[1]) / 6],
+            p2
+        ]);
+    }
+
+    return segments;
+}
+
+// Rounded elements with more than two points are drawn as curves
+export function isCurved(element) {
+    return Boolean(element.roundness) && getElementPoints(element).length > 2;
+}
+
+/**
+ * Absolute points of a linear element, offset to (x, y)
+ */
+export function getAbsolutePoints(element, x = element.x || 0, y = element.y || 0) {
+    return getElementPoints(element).map(([px, py]) => [x + px, y + py]);
+}
+
+/**
+ * SVG path data following the element's real route
+ */
+export function buildLinearPath(element, x = element.x || 0, y = element.y || 0) {
+    const points = getAbsolutePoints(element, x, y);
+
+    if (!isCurved(element)) {
+        return 'M' + points.map(([px, py]) => `${round(px)},${round(py)}`).join(' L');
+    }
+
+    const segments = getCurveSegments(points);
+    const [sx, sy] = points[0];
+
+    return `M${round(sx)},${round(sy)} ` + segments
+        .map(([, c1, c2, end]) => `C${round(c1[0])},${round(c1[1])} ${round(c2[0])},${round(c2[1])} ${round(end[0])},${round(end[1])}`)
+        .join(' ');
+}
+
+// Point on a cubic Bezier at t
+function bezierPoint([p0, p1, p2, p3], t) {
+    const mt = 1 - t;
+    const a = mt * mt * mt;
+    const b = 3 * mt * mt * t;
+    const c = 3 * mt * t * t;
+    const d = t * t * t;
+
+    return [
+        a * p0[0] + b * p1[0] + c * p2[0] + d * p3[0],
+        a * p0[1] + b * p1[1] + c * p2[1] + d * p3[1]
+    ];
+}
+
+/**
+ * Polyline approximation of the route (curves sampled), for lengths and timing
+ */
+export function sampleLinearPath(element, x = element.x || 0, y = element.y || 0, samplesPerCurve = 16) {
+    const points = getAbsolutePoints(element, x, y);
+
+    if (!isCurved(element)) {
+        return points;
+    }
+
+    const sampled = [points[0]];
+    getCurveSegments(points).forEach(segment => {
+        for (let i = 1; i <= samplesPerCurve; i++) {
+            sampled.push(bezierPoint(segment, i / samplesPerCurve));
+        }
+    });
+
+    return sampled;
+}
+
+/**
+ * Total length of a polyline
+ */
+export function polylineLength(points) {
+    let length = 0;
+
+    for (let i = 1; i < points.length; i++) {
+        length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+    }
+
+    return length;
+}
+
+/**
+ * Length of the element's real route
+ */
+export function getLinearPathLength(element) {
+    return polylineLength(sampleLinearPath(element));
+}
+
+/**
+ * Both ends of the route with the direction of travel at each end
+ * (angle in radians, pointing away from the path) and the length of the
+ * segment touching that end
+ */
+export function getLinearEndpoints(element, x = element.x || 0, y = element.y || 0) {
+    const points = getAbsolutePoints(element, x, y);
+    const last = points.length - 1;
+
+    // Direction reference: neighbouring point, or Bezier control point on curves
+    let beforeEnd = points[last - 1];
+    let afterStart = points[1];
+    if (isCurved(element)) {
+        const segments = getCurveSegments(points);
+        afterStart = segments[0][1];
+        beforeEnd = segments[segments.length - 1][2];
+    }
+
+    return {
+        start: {
+            point: points[0],
+            angle: Math.atan2(points[0][1] - afterStart[1], points[0][0] - afterStart[0]),
+            segmentLength: Math.hypot(points[1][0] - points[0][0], points[1][1] - points[0][1])
+        },
+        end: {
+            point: points[last],
+            angle: Math.atan2(points[last][1] - beforeEnd[1], points[last][0] - beforeEnd[0]),
+            segmentLength: Math.hypot(points[last][0] - points[last - 1][0], points[last][1] - points[last - 1][1])
+        }
+    };
+}
@@ -0,0 +1,130 @@
+/**
+ * Handwritten text: glyphs as centerline pen strokes from a single-line font,
+ * drawn in writing order with the pointer following the pen
+ */
+
+import { HERSHEY_SIMPLEX } from './fonts/hersheySimplex.js';
+import { polylineLength } from './geometry.js';
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// How a text element is revealed: typed character by character, or written
+export const TEXT_MODES = ['type', 'handwrite'];
+
+// Parsed glyphs, keyed by character
+const glyphCache = new Map();
+
+function getGlyph(char, font = HERSHEY_SIMPLEX) {
+    if (!glyphCache.has(char)) {
+        const entry = font.glyphs[char.charCodeAt(0) - font.firstCharCode];
+        if (!entry) {
+            // Characters outside the font are written as "?"
+            glyphCache.set(char, char === '?' ? { advance: 0, strokes: [] } : getGlyph('?', font));
+        } else {
+            const [advance, data] = entry;
+            const strokes = data
+                ? data.split('|').map(stroke => stroke.trim().split(/\s+/).map(point => point.split(',').map(Number)))
+                : [];
+            glyphCache.set(char, { advance, strokes });
+        }
+    }
+    return glyphCache.get(char);
+}
+
+// Font units to pixels: the em box matches the element's font size
+function getScale(fontSize, font = HERSHEY_SIMPLEX) {
+    return fontSize / font.emHeight;
+}
+
+/**
+ * Written width of a line in pixels
+ */
+export function measureHandwrittenLine(line, fontSize) {
+    const scale = getScale(fontSize);
+    return [...line].reduce((width, char) => width + getGlyph(char).advance * scale, 0);
+}
+
+/**
+ * Pen strokes for laid-out text (see layoutText), in writing order
+ * @returns {{d: string, length: number, points: number[][]}[]}
+ */
+export function getHandwritingStrokes(layout) {
+    const scale = getScale(layout.fontSize);
+    const anchorShare = { start: 0, middle: 0.5, end: 1 }[layout.anchor] || 0;
+    const strokes = [];
+
+    layout.lines.forEach(line => {
+        let penX = line.x - measureHandwrittenLine(line.text, layout.fontSize) * anchorShare;
+
+        [...line.text].forEach(char => {
+            const glyph = getGlyph(char);
+            glyph.strokes.forEach(stroke => {
+                const points = stroke.map(([gx, gy]) => [penX + gx * scale, line.y - gy * scale]);
+                strokes.push({
+                    d: 'M' + points.map(([px, py]) => `${round(px)},${round(py)}`).join(' L'),
+                    length: polylineLength(points),
+                    points
+                });
+            });
+            penX += glyph.advance * scale;
+        });
+    });
+
+    return strokes;
+}
+
+/**
+ * Total pen travel while touching the paper, for speed-based timing
+ */
+export function getHandwritingLength(text, fontSize) {
+    const scale = getScale(fontSize);
+
+    return [...text].reduce((total, char) => total + getGlyph(char).strokes
+        .reduce((sum, stroke) => sum + polylineLength(stroke) * scale, 0), 0);
+}
+
+/**
+ * Pen stroke width for a font size
+ */
+export function getHandwritingStrokeWidth(fontSize) {
+    return round(Math.max(1, fontSize / 14));
+}
+
+/**
+ * SVG for the strokes written one after another over [startSec, startSec + durSec].
+ * Each stroke gets time in proportion to its length, and the pointer follows
+ * a single path through all strokes (moves between strokes take no time).
+ */
+export function buildHandwritingSvg(strokes, { startSec, durSec, color, strokeWidth, pointerColor = 'red' }) {
+    const totalLength = strokes.reduce((sum, stroke) => sum + stroke.length, 0);
+    if (totalLength === 0) return '';
+
+    let elapsed = 0;
+    const paths = strokes.map(stroke => {
+        const begin = Math.round((startSec + (elapsed / totalLength) * durSec) * 1000) / 1000;
+        const dur = Math.max(0.001, Math.round((stroke.length / totalLength) * durSec * 1000) / 1000);
+        const length = Math.ceil(stroke.length) + 1;
+        elapsed += stroke.length;
+
+        return `<path d="${stroke.d}" stroke="${color}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" fill="none" stroke-dasharray="${length}" stroke-dashoffset="${length}">
+      <animate attributeName="stroke-dashoffset" values="${length};0" begin="${begin}s" dur="${dur}s" fill="freeze"/>
+    </path>`;
+    });
+
+    const penPath = strokes.map(stroke => stroke.d).join(' ');
+
+    return `${paths.join('\n    ')}
+    <!-- Pen -->
+    <circle r="3" fill="${pointerColor}" opacity="0">
+      <animateMotion path="${penPath}"
+                     begin="${startSec}s"
+                     dur="${durSec}s"
+                     fill="freeze"/>
+      <animate attributeName="opacity"
+               values="0;1;1;0"
+               keyTimes="0;0.05;0.95;1"
+               begin="${startSec}s"
+               dur="${durSec}s"
+               fill="freeze"/>
+    </circle>`;
+}
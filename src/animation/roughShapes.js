@@ -0,0 +1,187 @@
+/**
+ * Hand-drawn shapes via rough.js, matching Excalidraw's canvas style
+ * Shapes are seeded from element.seed so every render is identical
+ */
+
+import rough from 'roughjs';
+import { getAbsolutePoints, isCurved } from './geometry.js';
+
+const generator = rough.generator();
+
+// Fixed decimals keep the SVG compact
+const DECIMALS = 2;
+
+/**
+ * rough.js options derived from Excalidraw element properties
+ */
+export function getRoughOptions(element) {
+    const strokeWidth = element.strokeWidth || 2;
+    const strokeStyle = element.strokeStyle || 'solid';
+    const hasFill = element.backgroundColor && element.backgroundColor !== 'transparent';
+
+    const options = {
+        seed: element.seed || 1,
+        roughness: element.roughness ?? 1,
+        stroke: element.strokeColor || '#1e1e1e',
+        strokeWidth: strokeStyle === 'solid' ? strokeWidth : strokeWidth + 0.5,
+        fill: hasFill ? element.backgroundColor : undefined,
+        fillStyle: element.fillStyle || 'hachure',
+        fillWeight: strokeWidth / 2,
+        hachureGap: strokeWidth * 4,
+        // Dashed lines look wrong when rough.js double-strokes them
+        disableMultiStroke: strokeStyle !== 'solid',
+        preserveVertices: (element.roughness ?? 1) < 2
+    };
+
+    return options;
+}
+
+/**
+ * Dash pattern for dashed / dotted strokes (null for solid)
+ */
+export function getStrokeDash(element) {
+    const strokeWidth = element.strokeWidth || 2;
+
+    switch (element.strokeStyle) {
+        case 'dashed':
+            return [8, 8 + strokeWidth];
+        case 'dotted':
+            return [1.5, 6 + strokeWidth];
+        default:
+            return null;
+    }
+}
+
+// Rounded rectangle outline used when element.roundness is set
+function roundedRectPath(x, y, w, h) {
+    const r = Math.min(32, Math.abs(Math.min(w, h)) * 0.25);
+    return `M${x + r} ${y} L${x + w - r} ${y} Q${x + w} ${y} ${x + w} ${y + r} `
+        + `L${x + w} ${y + h - r} Q${x + w} ${y + h} ${x + w - r} ${y + h} `
+        + `L${x + r} ${y + h} Q${x} ${y + h} ${x} ${y + h - r} `
+        + `L${x} ${y + r} Q${x} ${y} ${x + r} ${y}`;
+}
+
+function generateDrawable(element, x, y, options) {
+    const w = element.width || 100;
+    const h = element.height || 100;
+
+    switch (element.type) {
+        case 'rectangle':
+            return element.roundness
+                ? generator.path(roundedRectPath(x, y, w, h), options)
+                : generator.rectangle(x, y, w, h, options);
+        case 'diamond':
+            return generator.polygon([
+                [x + w / 2, y],
+                [x + w, y + h / 2],
+                [x + w / 2, y + h],
+                [x, y + h / 2]
+            ], options);
+        case 'ellipse':
+            return generator.ellipse(x + w / 2, y + h / 2, w, h, options);
+        case 'line':
+        case 'arrow': {
+            const points = getAbsolutePoints(element, x, y);
+            // Lines and arrows are never filled
+            const strokeOnly = { ...options, fill: undefined };
+            return isCurved(element)
+                ? generator.curve(points, strokeOnly)
+                : generator.linearPath(points, strokeOnly);
+        }
+        default:
+            return null;
+    }
+}
+
+// Approximate drawn length of an op set (Beziers sampled)
+function opSetLength(opSet) {
+    let length = 0;
+    let cursor = [0, 0];
+
+    opSet.ops.forEach(({ op, data }) => {
+        if (op === 'move') {
+            cursor = [data[0], data[1]];
+        } else if (op === 'lineTo') {
+            length += Math.hypot(data[0] - cursor[0], data[1] - cursor[1]);
+            cursor = [data[0], data[1]];
+        } else if (op === 'bcurveTo') {
+            const [c1x, c1y, c2x, c2y, ex, ey] = data;
+            let previous = cursor;
+            for (let i = 1; i <= 8; i++) {
+                const t = i / 8;
+                const mt = 1 - t;
+                const point = [
+                    mt * mt * mt * cursor[0] + 3 * mt * mt * t * c1x + 3 * mt * t * t * c2x + t * t * t * ex,
+                    mt * mt * mt * cursor[1] + 3 * mt * mt * t * c1y + 3 * mt * t * t * c2y + t * t * t * ey
+                ];
+                length += Math.hypot(point[0] - previous[0], point[1] - previous[1]);
+                previous = point;
+            }
+            cursor = [ex, ey];
+        }
+    });
+
+    return length;
+}
+
+// Split a sketch fill into its individual hachure strokes
+function splitStrokes(opSet) {
+    const strokes = [];
+
+    opSet.ops.forEach(operation => {
+        if (operation.op === 'move' || strokes.length === 0) {
+            strokes.push({ type: opSet.type, ops: [] });
+        }
+        strokes[strokes.length - 1].ops.push(operation);
+    });
+
+    // rough.js emits zero-length strokes at hachure edges; drop them
+    return strokes.filter(stroke => stroke.ops.length > 1 && opSetLength(stroke) > 0.5);
+}
+
+/**
+ * Generate the rough outline and fill of an element at (x, y)
+ * @returns {{outline: {d: string, length: number}|null, fill: {style: string, color: string, weight: number, strokes: {d: string, length: number}[], d: string|null}|null, options: object}|null}
+ */
+export function generateRoughShape(element, x = element.x || 0, y = element.y || 0) {
+    const options = getRoughOptions(element);
+    const drawable = generateDrawable(element, x, y, options);
+    if (!drawable) return null;
+
+    let outline = null;
+    let fill = null;
+
+    drawable.sets.forEach(opSet => {
+        switch (opSet.type) {
+            case 'path':
+                outline = {
+                    d: generator.opsToPath(opSet, DECIMALS),
+                    length: opSetLength(opSet)
+                };
+                break;
+            case 'fillPath':
+                fill = {
+                    style: 'solid',
+                    color: options.fill,
+                    weight: 0,
+                    strokes: [],
+                    d: generator.opsToPath(opSet, DECIMALS)
+                };
+                break;
+            case 'fillSketch':
+                fill = {
+                    style: options.fillStyle,
+                    color: options.fill,
+                    weight: options.fillWeight,
+                    strokes: splitStrokes(opSet).map(stroke => ({
+                        d: generator.opsToPath(stroke, DECIMALS),
+                        length: opSetLength(stroke)
+                    })),
+                    d: null
+                };
+                break;
+        }
+    });
+
+    return { outline, fill, options };
+}
@@ -0,0 +1,219 @@
+/**
+ * Element ordering strategies for the animator
+ * 'flow' walks the arrow-binding graph: a node, then its outgoing arrow,
+ * then the arrow's target. 'reading-order' scans spatial rows and columns
+ * the way a reader would.
+ */
+
+import { buildDiagramGraph } from '../processing/graph.js';
+import { getElementBounds, getSceneBounds } from './camera.js';
+
+// Top-to-bottom, then left-to-right by the top-left corner of the bounds
+function compareReadingOrder(a, b) {
+    return (a.minY - b.minY) || (a.minX - b.minX);
+}
+
+/**
+ * Edges that close a cycle (DFS back edges), as "sourceId->targetId" keys
+ */
+export function findCycleEdges(graph) {
+    const state = new Map(); // undefined: unvisited, 1: on stack, 2: done
+    const cycleEdges = new Set();
+
+    const visit = (nodeId) => {
+        state.set(nodeId, 1);
+        graph.edges
+            .filter(edge => edge.direction !== 'none' && edge.source === nodeId)
+            .forEach(edge => {
+                const next = state.get(edge.target);
+                if (next === 1) {
+                    cycleEdges.add(`${edge.source}->${edge.target}`);
+                } else if (next === undefined) {
+                    visit(edge.target);
+                }
+            });
+        state.set(nodeId, 2);
+    };
+
+    graph.nodes.forEach((node, nodeId) => {
+        if (!state.has(nodeId)) visit(nodeId);
+    });
+
+    return cycleEdges;
+}
+
+// Connected components (ignoring direction), each a list of node ids
+function getComponents(graph) {
+    const seen = new Set();
+    const components = [];
+
+    graph.nodes.forEach((node, startId) => {
+        if (seen.has(startId)) return;
+
+        const component = [];
+        const stack = [startId];
+        seen.add(startId);
+        while (stack.length > 0) {
+            const nodeId = stack.pop();
+            component.push(nodeId);
+            graph.edges
+                .filter(edge => edge.source === nodeId || edge.target === nodeId)
+                .forEach(edge => {
+                    const other = edge.source === nodeId ? edge.target : edge.source;
+                    if (!seen.has(other)) {
+                        seen.add(other);
+                        stack.push(other);
+                    }
+                });
+        }
+        components.push(component);
+    });
+
+    return components;
+}
+
+/**
+ * Walk one connected component from its sources. Each node is followed by its
+ * outgoing arrows, and each arrow by its target (branches in reading order);
+ * arrows into nodes that were already drawn are drawn without revisiting them.
+ */
+function walkComponent(graph, nodeIds, boundsById) {
+    const byReadingOrder = (a, b) => compareReadingOrder(boundsById.get(a), boundsById.get(b));
+    const inComponent = new Set(nodeIds);
+    const sources = graph.getSources().map(node => node.id).filter(id => inComponent.has(id));
+
+    // Start from sources; cycles and undirected parts start at the top-left node
+    const starts = [...sources.sort(byReadingOrder), ...[...nodeIds].sort(byReadingOrder)];
+    const visitedNodes = new Set();
+    const drawnEdges = new Set();
+    const order = [];
+
+    starts.forEach(startId => {
+        if (visitedNodes.has(startId)) return;
+
+        visitedNodes.add(startId);
+        order.push(startId);
+        const queue = [startId];
+
+        while (queue.length > 0) {
+            const nodeId = queue.shift();
+            graph.getOutgoing(nodeId)
+                .filter(edge => !drawnEdges.has(edge.id))
+                .map(edge => ({ edge, target: graph.getOtherEnd(edge, nodeId).id }))
+                .sort((a, b) => byReadingOrder(a.target, b.target))
+                .forEach(({ edge, target }) => {
+                    drawnEdges.add(edge.id);
+                    order.push(edge.id);
+                    if (!visitedNodes.has(target)) {
+                        visitedNodes.add(target);
+                        order.push(target);
+                        queue.push(target);
+                    }
+                });
+        }
+    });
+
+    return order;
+}
+
+/**
+ * Order elements by walking the diagram along its arrows.
+ * Connected subgraphs, and elements outside the graph (free arrows, sketches,
+ * unbound labels), are placed in reading order.
+ */
+export function orderByFlow(elements, graph = buildDiagramGraph(elements)) {
+    const elementsById = new Map(elements.map(element => [element.id, element]));
+    const boundsById = new Map(elements.map(element => [element.id, getElementBounds(element)]));
+
+    const cycleEdges = findCycleEdges(graph);
+    if (cycleEdges.size > 0) {
+        console.log(`🔁 Flow order: ${cycleEdges.size} cycle(s) detected (${[...cycleEdges].join(', ')})`);
+    }
+
+    // Units placed in reading order: walked subgraphs and loose elements
+    const units = getComponents(graph).map(nodeIds => ({
+        ids: walkComponent(graph, nodeIds, boundsById),
+        bounds: getSceneBounds(nodeIds.map(id => elementsById.get(id)))
+    }));
+
+    const placed = new Set(units.flatMap(unit => unit.ids));
+    elements
+        .filter(element => !placed.has(element.id))
+        .forEach(element => units.push({ ids: [element.id], bounds: boundsById.get(element.id) }));
+
+    return units
+        .sort((a, b) => compareReadingOrder(a.bounds, b.bounds))
+        .flatMap(unit => unit.ids)
+        .map(id => elementsById.get(id));
+}
+
+/**
+ * Cluster elements into rows (by vertical center) and, within each row, into
+ * columns separated by horizontal gaps wider than columnGap.
+ * Clusters come back in reading order; direction 'rtl' scans columns right to left.
+ * @returns {{elements: object[], bounds: object, row: number, column: number}[]}
+ */
+export function getReadingClusters(elements, { direction = 'ltr', columnGap = 40 } = {}) {
+    const items = elements
+        .filter(element => !element.isDeleted)
+        .map(element => ({ element, bounds: getElementBounds(element) }))
+        .sort((a, b) => compareReadingOrder(a.bounds, b.bounds));
+
+    // Rows: an element joins the current row when its center lies inside it
+    const rows = [];
+    items.forEach(item => {
+        const centerY = (item.bounds.minY + item.bounds.maxY) / 2;
+        const row = rows[rows.length - 1];
+        if (row && centerY >= row.minY && centerY <= row.maxY) {
+            row.items.push(item);
+            row.maxY = Math.max(row.maxY, item.bounds.maxY);
+        } else {
+            rows.push({ items: [item], minY: item.bounds.minY, maxY: item.bounds.maxY });
+        }
+    });
+
+    const clusters = [];
+    rows.forEach((row, rowIndex) => {
+        // Columns: split the row where a horizontal gap opens up
+        const columns = [];
+        [...row.items]
+            .sort((a, b) => a.bounds.minX - b.bounds.minX)
+            .forEach(item => {
+                const column = columns[columns.length - 1];
+                if (column && item.bounds.minX <= column.maxX + columnGap) {
+                    column.items.push(item);
+                    column.maxX = Math.max(column.maxX, item.bounds.maxX);
+                } else {
+                    columns.push({ items: [item], maxX: item.bounds.maxX });
+                }
+            });
+
+        if (direction === 'rtl') columns.reverse();
+
+        columns.forEach((column, columnIndex) => {
+            const columnElements = column.items
+                .sort((a, b) => (a.bounds.minY - b.bounds.minY)
+                    || (direction === 'rtl' ? b.bounds.maxX - a.bounds.maxX : a.bounds.minX - b.bounds.minX))
+                .map(item => item.element);
+            clusters.push({
+                elements: columnElements,
+                bounds: getSceneBounds(columnElements),
+                row: rowIndex,
+                column: columnIndex
+            });
+        });
+    });
+
+    return clusters;
+}
+
+/**
+ * Order elements the way a reader scans the board: rows top to bottom,
+ * columns left to right (or right to left)
+ */
+export function orderByReadingOrder(elements, options = {}) {
+    const ordered = getReadingClusters(elements, options).flatMap(cluster => cluster.elements);
+
+    // Deleted elements are not placed; keep them at the end
+    return [...ordered, ...elements.filter(element => element.isDeleted)];
+}
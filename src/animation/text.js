@@ -0,0 +1,226 @@
+/**
+ * Excalidraw text: embedded fonts and multi-line layout
+ * Metrics and line heights follow Excalidraw so text lands where the author put it
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname, extname } from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Excalidraw fontFamily ids. Helvetica is a system font in Excalidraw too,
+// so it is only embedded when a file is supplied through fontFiles.
+export const FONT_FAMILIES = {
+    1: {
+        name: 'Virgil',
+        file: 'Virgil.woff2',
+        fallback: 'Segoe UI Emoji',
+        lineHeight: 1.25,
+        metrics: { unitsPerEm: 1000, ascender: 886, descender: -374 }
+    },
+    2: {
+        name: 'Helvetica',
+        file: null,
+        fallback: 'Arial, sans-serif',
+        lineHeight: 1.15,
+        metrics: { unitsPerEm: 2048, ascender: 1577, descender: -471 }
+    },
+    3: {
+        name: 'Cascadia',
+        file: 'Cascadia.woff2',
+        fallback: 'Segoe UI Emoji, monospace',
+        lineHeight: 1.2,
+        metrics: { unitsPerEm: 2048, ascender: 1900, descender: -480 }
+    },
+    5: {
+        name: 'Excalifont',
+        file: 'Excalifont-Regular.woff2',
+        fallback: 'Virgil, Segoe UI Emoji',
+        lineHeight: 1.25,
+        metrics: { unitsPerEm: 1000, ascender: 886, descender: -374 }
+    }
+};
+
+// Padding between a container's edge and its bound text
+const BOUND_TEXT_PADDING = 5;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Where the Excalidraw package keeps its font assets
+const FONT_ASSET_DIRS = ['dist/excalidraw-assets', 'dist/excalidraw-assets-dev'];
+
+const FONT_FORMATS = {
+    '.woff2': { mime: 'font/woff2', format: 'woff2' },
+    '.woff': { mime: 'font/woff', format: 'woff' },
+    '.ttf': { mime: 'font/ttf', format: 'truetype' },
+    '.otf': { mime: 'font/otf', format: 'opentype' }
+};
+
+// Base64 font faces, read once per file
+const fontFaceCache = new Map();
+
+export function getFontDefinition(element) {
+    return FONT_FAMILIES[element.fontFamily] || FONT_FAMILIES[1];
+}
+
+/**
+ * font-family attribute value with fallbacks
+ */
+export function getFontFamily(element) {
+    const font = getFontDefinition(element);
+    return `${font.name}, ${font.fallback}`;
+}
+
+/**
+ * Text lines as stored by Excalidraw (already wrapped to the element width)
+ */
+export function splitLines(text = '') {
+    return text.replace(/\r\n?/g, '\n').split('\n');
+}
+
+export function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Rough advance width, used for the typing cursor only
+export function estimateLineWidth(line, fontSize) {
+    return line.length * fontSize * 0.6;
+}
+
+function resolveFontFile(font, fontFiles) {
+    if (fontFiles[font.name]) {
+        return fontFiles[font.name];
+    }
+    if (!font.file) return null;
+
+    try {
+        const packageDir = dirname(require.resolve('@excalidraw/excalidraw/package.json'));
+        return FONT_ASSET_DIRS
+            .map(dir => join(packageDir, dir, font.file))
+            .find(path => existsSync(path)) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function buildFontFace(font, fontFiles) {
+    const path = resolveFontFile(font, fontFiles);
+    if (!path) return null;
+
+    if (!fontFaceCache.has(path)) {
+        const { mime, format } = FONT_FORMATS[extname(path).toLowerCase()] || FONT_FORMATS['.woff2'];
+        const data = readFileSync(path).toString('base64');
+        fontFaceCache.set(path, `src: url(data:${mime};base64,${data}) format("${format}");`);
+    }
+
+    return `@font-face { font-family: "${font.name}"; ${fontFaceCache.get(path)} }`;
+}
+
+/**
+ * <style> with @font-face rules for every font the text elements use,
+ * embedded as data URLs so rendering never depends on installed fonts
+ * @param {object} options - { fontFiles: { [fontName]: path } } overrides or additions
+ */
+export function buildFontDefs(elements, { fontFiles = {} } = {}) {
+    const fonts = new Map();
+    (elements || [])
+        .filter(element => element.type === 'text' && !element.isDeleted)
+        .forEach(element => {
+            const font = getFontDefinition(element);
+            fonts.set(font.name, font);
+        });
+
+    const faces = [];
+    fonts.forEach(font => {
+        const face = buildFontFace(font, fontFiles);
+        if (face) {
+            faces.push(face);
+        } else if (font.file) {
+            console.log(`⚠️  Font file for ${font.name} not found, falling back to ${font.fallback}`);
+        }
+    });
+
+    return faces.length > 0 ? `<style>\n${faces.join('\n')}\n</style>` : '';
+}
+
+// Box available to bound text inside its container
+function getContainerTextBox(container) {
+    let offsetX = BOUND_TEXT_PADDING;
+    let offsetY = BOUND_TEXT_PADDING;
+
+    if (container.type === 'ellipse') {
+        offsetX += (container.width / 2) * (1 - Math.sqrt(2) / 2);
+        offsetY += (container.height / 2) * (1 - Math.sqrt(2) / 2);
+    } else if (container.type === 'diamond') {
+        offsetX += container.width / 4;
+        offsetY += container.height / 4;
+    }
+
+    return {
+        x: container.x + offsetX,
+        y: container.y + offsetY,
+        width: Math.max(container.width - offsetX * 2, 0),
+        height: Math.max(container.height - offsetY * 2, 0)
+    };
+}
+
+/**
+ * Lay out a text element: one entry per line with its anchor point and baseline.
+ * Bound text is aligned inside its container box (textAlign / verticalAlign).
+ * @returns {{lines: {text: string, x: number, y: number, left: number, width: number}[], anchor: string, fontSize: number, fontFamily: string, lineHeightPx: number, width: number, height: number}}
+ */
+export function layoutText(element, x = element.x || 0, y = element.y || 0, container = null) {
+    const font = getFontDefinition(element);
+    const fontSize = element.fontSize || 20;
+    const lineHeightPx = fontSize * (element.lineHeight || font.lineHeight);
+    const lines = splitLines(element.text || '');
+    const height = lines.length * lineHeightPx;
+    const width = element.width
+        || Math.max(...lines.map(line => estimateLineWidth(line, fontSize)));
+
+    let box = { x, y, width, height };
+    if (container) {
+        const inner = getContainerTextBox(container);
+        const verticalAlign = element.verticalAlign || 'middle';
+        const top = verticalAlign === 'top'
+            ? inner.y
+            : verticalAlign === 'bottom'
+                ? inner.y + inner.height - height
+                : inner.y + (inner.height - height) / 2;
+        box = { x: inner.x, y: top, width: inner.width, height };
+    }
+
+    const textAlign = element.textAlign || (container ? 'center' : 'left');
+    const anchor = textAlign === 'center' ? 'middle' : textAlign === 'right' ? 'end' : 'start';
+    const anchorShare = { start: 0, middle: 0.5, end: 1 }[anchor];
+    const anchorX = box.x + box.width * anchorShare;
+
+    // Baseline inside each line box, as Excalidraw computes it
+    const { unitsPerEm, ascender, descender } = font.metrics;
+    const fontHeight = (fontSize * (ascender - descender)) / unitsPerEm;
+    const baselineOffset = (fontSize * ascender) / unitsPerEm + (lineHeightPx - fontHeight) / 2;
+
+    return {
+        lines: lines.map((line, index) => {
+            const lineWidth = estimateLineWidth(line, fontSize);
+            return {
+                text: line,
+                x: round(anchorX),
+                y: round(box.y + index * lineHeightPx + baselineOffset),
+                left: round(anchorX - lineWidth * anchorShare),
+                width: round(lineWidth)
+            };
+        }),
+        anchor,
+        fontSize,
+        fontFamily: getFontFamily(element),
+        lineHeightPx,
+        width: box.width,
+        height
+    };
+}
@@ -0,0 +1,125 @@
+/**
+ * Timing modes for the animator
+ * 'replay' keeps the author's real drawing pace from created / updated,
+ * with long idle gaps compressed and the run rescaled to a target duration.
+ * 'length' gives each element time in proportion to how much ink it takes.
+ */
+
+import { getLinearPathLength, polylineLength } from './geometry.js';
+import { getHandwritingLength } from './handwriting.js';
+import { splitLines } from './text.js';
+
+/**
+ * Replay schedule relative to the first stroke
+ * @param {object[]} elements - in drawing order
+ * @param {object} options - {
+ *   idleThreshold: gaps longer than this (ms) are compressed,
+ *   idleCompressTo: what a compressed gap becomes (ms),
+ *   minElementMs / maxElementMs: clamp for each element's drawing time,
+ *   targetDuration: rescale the whole run to this length (ms), or null
+ * }
+ * @returns {{schedule: Map<string, {startMs: number, durationMs: number}>, duration: number, compressedGaps: number}}
+ */
+export function computeReplaySchedule(elements, {
+    idleThreshold = 2000,
+    idleCompressTo = 500,
+    minElementMs = 300,
+    maxElementMs = 4000,
+    targetDuration = null
+} = {}) {
+    const timed = elements
+        .map((element, index) => ({ element, index, created: element.created ?? null }))
+        .filter(item => item.created !== null);
+
+    // Elements without timestamps are drawn after the timed ones
+    const untimed = elements.filter(element => element.created == null);
+
+    const byCreated = [...timed].sort((a, b) => (a.created - b.created) || (a.index - b.index));
+    const schedule = new Map();
+    let compressedGaps = 0;
+    let cursor = 0; // Replay time
+    let realEnd = byCreated[0]?.created ?? 0; // Latest real end seen so far
+
+    byCreated.forEach(({ element, created }) => {
+        const gap = created - realEnd;
+
+        // Idle time between strokes keeps its pace unless it is too long
+        if (gap > 0) {
+            if (gap > idleThreshold) {
+                cursor += idleCompressTo;
+                compressedGaps++;
+            } else {
+                cursor += gap;
+            }
+        }
+
+        const realDuration = (element.updated ?? created) - created;
+        const durationMs = Math.min(Math.max(realDuration, minElementMs), maxElementMs);
+        // Overlapping strokes start at their real offset inside the previous one
+        const startMs = gap < 0 ? Math.max(cursor + gap, 0) : cursor;
+
+        schedule.set(element.id, { startMs, durationMs });
+        cursor = Math.max(cursor, startMs + durationMs);
+        realEnd = Math.max(realEnd, created + durationMs);
+    });
+
+    untimed.forEach(element => {
+        schedule.set(element.id, { startMs: cursor, durationMs: minElementMs });
+        cursor += minElementMs;
+    });
+
+    // Rescale to the target duration
+    if (targetDuration && cursor > 0) {
+        const scale = targetDuration / cursor;
+        schedule.forEach(timing => {
+            timing.startMs = Math.round(timing.startMs * scale);
+            timing.durationMs = Math.max(Math.round(timing.durationMs * scale), 1);
+        });
+        cursor = targetDuration;
+    }
+
+    return { schedule, duration: cursor, compressedGaps };
+}
+
+/**
+ * Approximate length of the pen path that draws an element
+ */
+export function getElementDrawLength(element) {
+    const width = Math.abs(element.width || 0);
+    const height = Math.abs(element.height || 0);
+
+    switch (element.type) {
+        case 'line':
+        case 'arrow':
+            return getLinearPathLength(element);
+        case 'freedraw':
+            return polylineLength(element.points || []);
+        case 'ellipse': {
+            // Ramanujan's perimeter approximation
+            const rx = width / 2;
+            const ry = height / 2;
+            return Math.PI * (3 * (rx + ry) - Math.sqrt((3 * rx + ry) * (rx + 3 * ry)));
+        }
+        case 'diamond':
+            return 4 * Math.hypot(width / 2, height / 2);
+        case 'text':
+            return splitLines(element.text || '')
+                .reduce((sum, line) => sum + getHandwritingLength(line, element.fontSize || 20), 0);
+        default:
+            return 2 * (width + height);
+    }
+}
+
+/**
+ * Duration proportional to the element's path length
+ * @param {object} options - { pixelsPerSecond, speedFactor, minElementMs, maxElementMs }
+ */
+export function computeLengthDuration(element, {
+    pixelsPerSecond = 800,
+    speedFactor = 1,
+    minElementMs = 300,
+    maxElementMs = 4000
+} = {}) {
+    const durationMs = (getElementDrawLength(element) / (pixelsPerSecond * speedFactor)) * 1000;
+    return Math.round(Math.min(Math.max(durationMs, minElementMs), maxElementMs));
+}
@@ -5,6 +5,7 @@
 
 import { ExcalidrawAnimator } from './animation/animator.js';
 import { VoiceNarrator, AIScriptGenerator } from './voice/narrator.js';
+import { findStoryboard, prepareStoryboard } from './processing/storyboard.js';
 import { spawn } from 'child_process';
 import { readFileSync, writeFileSync, mkdirSync } from 'fs';
 import { join } from 'path';
@@ -18,20 +19,27 @@ export class EnhancedExcalidrawPipeline {
             frameRate: config.frameRate || 30,
             voiceEnabled: config.voiceEnabled !== false,
             aiScriptEnabled: config.aiScriptEnabled !== false,
+            sequence: config.sequence || 'created', // Animation and narration order
+            readingDirection: config.readingDirection || 'ltr',
             ...config
         };
 
-        // Initialize components
+        // Initialize components (config.animation: any other animator settings)
         this.animator = new ExcalidrawAnimator({
+            ...this.config.animation,
             width: this.config.width,
             height: this.config.height,
             frameRate: this.config.frameRate,
-            outputDir: join(this.config.outputDir, 'frames')
+            outputDir: join(this.config.outputDir, 'frames'),
+            sequence: this.config.sequence,
+            readingDirection: this.config.readingDirection
         });
 
         this.narrator = new VoiceNarrator({
             outputDir: join(this.config.outputDir, 'audio'),
-            voice: config.voice || 'af_heart'
+            voice: config.voice || 'af_heart',
+            sequence: this.config.sequence,
+            readingDirection: this.config.readingDirection
         });
 
         this.scriptGenerator = this.config.aiScriptEnabled ? 
@@ -45,6 +53,8 @@ export class EnhancedExcalidrawPipeline {
 
     /**
      * Process Excalidraw file with voice narration
+     * @param {object} options - { storyboard }: storyboard path; a
+     *                           <name>.storyboard.yaml/.yml/.json next to the drawing is used otherwise
      */
     async processWithVoice(excalidrawPath, options = {}) {
         console.log('🚀 Starting Enhanced Excalidraw Pipeline with Voice...');
@@ -53,26 +63,7 @@ export class EnhancedExcalidrawPipeline {
         console.log(`🤖 AI Script: ${this.config.aiScriptEnabled ? 'Enabled' : 'Disabled'}`);
 
         try {
-            // Step 1: Load and parse Excalidraw file
-            const excalidrawData = this.loadExcalidrawFile(excalidrawPath);
-            console.log(`📊 Loaded ${excalidrawData.elements?.length || 0} elements`);
-
-            // Step 2: Generate voice narration
-            let narration = null;
-            if (this.config.voiceEnabled) {
-                narration = await this.narrator.generateNarration(
-                    excalidrawData,
-                    this.scriptGenerator
-                );
-                console.log(`🎙️ Generated ${narration.audioSegments.length} audio segments`);
-            }
-
-            // Step 3: Generate animation synchronized with narration
-            const animation = await this.generateSynchronizedAnimation(
-                excalidrawData,
-                narration
-            );
-            console.log(`🎬 Generated animation: ${animation.duration}ms`);
+            const { animation, narration } = await this.prepareAnimation(excalidrawPath, options);
 
             // Step 4: Combine animation and audio into final video
             const finalVideo = await this.createFinalVideo(
@@ -98,6 +89,48 @@ export class EnhancedExcalidrawPipeline {
         }
     }
 
+    /**
+     * Steps 1-3: load the drawing and its storyboard, narrate it and animate it
+     * in sync with the narration (everything but the final video)
+     * @returns {Promise<{excalidrawData, storyboard, narration, animation}>}
+     */
+    async prepareAnimation(excalidrawPath, options = {}) {
+        // Step 1: Load and parse Excalidraw file
+        const excalidrawData = this.loadExcalidrawFile(excalidrawPath);
+        console.log(`📊 Loaded ${excalidrawData.elements?.length || 0} elements`);
+
+        // Storyboard sidecar, validated against the drawing before any audio is generated
+        const storyboardPath = options.storyboard || findStoryboard(excalidrawPath);
+        const storyboard = await prepareStoryboard(storyboardPath, excalidrawData.elements);
+        if (storyboard) {
+            console.log(`📋 Storyboard: ${storyboardPath} (${storyboard.steps.length} steps)`);
+        }
+
+        // Step 2: Generate voice narration
+        let narration = null;
+        if (this.config.voiceEnabled) {
+            narration = await this.narrator.generateNarration(
+                excalidrawData,
+                this.scriptGenerator,
+                { storyboard }
+            );
+            console.log(`🎙️ Generated ${narration.audioSegments.length} audio segments`);
+        }
+
+        // Step 3: Generate animation synchronized with narration
+        const animation = await this.generateSynchronizedAnimation(
+            excalidrawData,
+            narration,
+            storyboard
+        );
+        console.log(`🎬 Generated animation: ${animation.duration}ms`);
+        if (animation.chapters?.length > 0) {
+            console.log(`📑 Chapters: ${animation.chapters.map(chapter => chapter.title).join(', ')}`);
+        }
+
+        return { excalidrawData, storyboard, narration, animation };
+    }
+
     /**
      * Load and parse Excalidraw file
      */
@@ -120,14 +153,15 @@ export class EnhancedExcalidrawPipeline {
     /**
      * Generate animation synchronized with narration timeline
      */
-    async generateSynchronizedAnimation(excalidrawData, narration) {
+    async generateSynchronizedAnimation(excalidrawData, narration, storyboard = null) {
         console.log('🎬 Generating synchronized animation...');
 
         // If no narration, use standard animation
         if (!narration) {
             return await this.animator.generateAnimation(
                 excalidrawData,
-                this.createDefaultTimestamps(excalidrawData.elements)
+                this.createDefaultTimestamps(excalidrawData.elements),
+                { storyboard }
             );
         }
 
@@ -146,7 +180,8 @@ export class EnhancedExcalidrawPipeline {
 
         const animation = await this.animator.generateAnimation(
             excalidrawData,
-            syncedTimestamps
+            syncedTimestamps,
+            { narrationTimeline: narration.timeline, storyboard }
         );
 
         // Add narration sync metadata
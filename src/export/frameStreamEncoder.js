@@ -0,0 +1,114 @@
+/**
+ * Frame Stream Encoder
+ * Pipes rendered frames straight into ffmpeg's stdin instead of writing image files
+ */
+
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import { PassThrough } from 'stream';
+import { once } from 'events';
+
+// Set ffmpeg path
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+export class FrameStreamEncoder {
+    constructor(config = {}) {
+        this.config = {
+            frameRate: config.frameRate || 30,
+            totalFrames: config.totalFrames || 0,
+            inputCodec: config.inputCodec || 'png', // Codec of each piped image
+            outputOptions: config.outputOptions || [],
+            bufferBytes: config.bufferBytes || 16 * 1024 * 1024, // Backpressure threshold
+            onProgress: config.onProgress || null,
+            ...config
+        };
+
+        this.input = null;
+        this.done = null;
+        this.framesWritten = 0;
+        this.lastReportedStep = -1;
+    }
+
+    /**
+     * Spawn ffmpeg reading an image2pipe stream from stdin
+     */
+    start(outputPath) {
+        this.input = new PassThrough({ highWaterMark: this.config.bufferBytes });
+
+        this.done = new Promise((resolve, reject) => {
+            ffmpeg()
+                .input(this.input)
+                .inputOptions([
+                    '-f', 'image2pipe',
+                    '-framerate', this.config.frameRate.toString(),
+                    '-c:v', this.config.inputCodec
+                ])
+                .outputOptions(this.config.outputOptions)
+                .output(outputPath)
+                .on('start', (commandLine) => {
+                    console.log('🚀 FFmpeg frame stream started with command: ' + commandLine);
+                })
+                .on('error', (err) => {
+                    reject(new Error(`Frame stream encoding failed: ${err.message}`));
+                })
+                .on('end', () => {
+                    resolve({
+                        outputPath,
+                        frameCount: this.framesWritten
+                    });
+                })
+                .run();
+        });
+
+        // Errors surface through write() and end()
+        this.done.catch(() => {});
+
+        return this;
+    }
+
+    /**
+     * Write one encoded frame, waiting for ffmpeg to catch up when the pipe is full
+     */
+    async write(frame) {
+        if (!this.input.write(frame)) {
+            await Promise.race([once(this.input, 'drain'), this.done]);
+        }
+
+        this.framesWritten++;
+        this.reportProgress();
+    }
+
+    /**
+     * Close stdin and wait for ffmpeg to finish the file
+     */
+    async end() {
+        this.input.end();
+        return this.done;
+    }
+
+    /**
+     * Stop encoding after a failure upstream
+     */
+    async abort() {
+        if (this.input && !this.input.destroyed) {
+            this.input.destroy();
+        }
+        await this.done?.catch(() => {});
+    }
+
+    reportProgress() {
+        const { totalFrames, onProgress } = this.config;
+        const percent = totalFrames ? Math.round((this.framesWritten / totalFrames) * 100) : null;
+
+        if (onProgress) {
+            onProgress({ frames: this.framesWritten, totalFrames, percent });
+        }
+
+        // Log every 10%
+        const step = percent === null ? -1 : Math.floor(percent / 10);
+        if (step > this.lastReportedStep) {
+            this.lastReportedStep = step;
+            console.log(`📊 Streamed frame ${this.framesWritten}/${totalFrames} (${percent}%)`);
+        }
+    }
+}
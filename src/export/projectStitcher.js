@@ -0,0 +1,298 @@
+/**
+ * Project Stitcher
+ * Joins the clips of a project (processing/project.js) into one video: each
+ * scene comes in with its transition, narration from every scene is laid on a
+ * single audio track at the scene's place, and the scene boundaries become
+ * chapters, both in the MP4 and as a YouTube description list.
+ */
+
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import { join } from 'path';
+import { mkdirSync, writeFileSync } from 'fs';
+
+// Set ffmpeg path
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+// Transition name -> ffmpeg xfade transition (null: hard cut, no overlap)
+export const TRANSITIONS = {
+    'cut': null,
+    'crossfade': 'fade',
+    'whiteboard-wipe': 'wipeleft', // The next drawing starts on a blank board
+    'zoom-through': 'zoomin'
+};
+
+export const TRANSITION_TYPES = Object.keys(TRANSITIONS);
+
+// YouTube only shows chapters when there are 3+ and each lasts 10s+
+const YOUTUBE_MIN_CHAPTERS = 3;
+const YOUTUBE_MIN_CHAPTER_MS = 10000;
+
+function seconds(ms) {
+    return Math.round(ms) / 1000;
+}
+
+// Overlap a clip asks for with the one before it (before shortening)
+function requestedTransition(clip) {
+    return TRANSITIONS[clip?.transition?.type] ? Math.max(clip.transition.duration || 0, 0) : 0;
+}
+
+/**
+ * Where every clip starts once transitions overlap neighbours
+ * @param {object[]} clips - { path, durationMs, holdMs, audioMs, transition: { type, duration }, ... }
+ *                   audioMs: how long the clip's narration runs from its start
+ * @returns {{clips: object[], totalMs: number}} clips with lengthMs, startMs
+ *          and the transition they come in with (shortened to fit)
+ */
+export function planProject(clips) {
+    let cursor = 0;
+    let previous = null;
+
+    const planned = clips.map((clip, index) => {
+        // Narration ends before the next clip starts coming in: there is one audio track
+        const narratedMs = clip.audioMs > 0 ? clip.audioMs + requestedTransition(clips[index + 1]) : 0;
+        const lengthMs = Math.max(Math.max(clip.durationMs, 1) + (clip.holdMs || 0), narratedMs);
+        let transition = { type: 'cut', duration: 0 };
+
+        if (index > 0 && TRANSITIONS[clip.transition?.type]) {
+            // An overlap can take at most half of either clip
+            const duration = Math.min(requestedTransition(clip), previous.lengthMs / 2, lengthMs / 2);
+            transition = duration > 0 ? { type: clip.transition.type, duration } : transition;
+        }
+
+        const startMs = index === 0 ? 0 : cursor - transition.duration;
+        cursor = startMs + lengthMs;
+        previous = { ...clip, lengthMs, startMs, transition };
+        return previous;
+    });
+
+    return { clips: planned, totalMs: cursor };
+}
+
+/**
+ * filter_complex for the video: every clip normalized to one size, rate and
+ * length (held on its last frame), then chained with xfade or concat
+ * @returns {{filter: string[], label: string}}
+ */
+export function buildVideoFilter(plan, { width, height, frameRate }) {
+    const filter = plan.clips.map((clip, index) => [
+        `[${index}:v]fps=${frameRate}`,
+        `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=white`,
+        'setsar=1',
+        'format=yuv420p',
+        `tpad=stop_mode=clone:stop_duration=${seconds(clip.lengthMs)}`,
+        `trim=duration=${seconds(clip.lengthMs)}`,
+        'setpts=PTS-STARTPTS',
+        `settb=AVTB[v${index}]`
+    ].join(','));
+
+    let label = 'v0';
+    plan.clips.slice(1).forEach((clip, offset) => {
+        const index = offset + 1;
+        const next = `x${index}`;
+        const xfade = TRANSITIONS[clip.transition.type];
+
+        filter.push(xfade
+            ? `[${label}][v${index}]xfade=transition=${xfade}:duration=${seconds(clip.transition.duration)}:offset=${seconds(clip.startMs)}[${next}]`
+            : `[${label}][v${index}]concat=n=2:v=1:a=0[${next}]`);
+        label = next;
+    });
+
+    return { filter, label };
+}
+
+/**
+ * filter_complex for the audio: every narration file delayed to its place and
+ * mixed into one track as long as the video, or null without narration
+ * @param {object[]} audio - { path, startMs } on the project timeline
+ * @param {number} firstInput - input index of the first audio file
+ */
+export function buildAudioFilter(audio, firstInput, totalMs) {
+    if (audio.length === 0) return null;
+
+    const filter = audio.map((track, index) => {
+        const delay = Math.max(Math.round(track.startMs), 0);
+        return `[${firstInput + index}:a]aresample=48000,adelay=delays=${delay}:all=1[a${index}]`;
+    });
+
+    const inputs = audio.map((track, index) => `[a${index}]`).join('');
+    filter.push(`${inputs}amix=inputs=${audio.length}:normalize=0:dropout_transition=0,apad,atrim=duration=${seconds(totalMs)}[mix]`);
+
+    return { filter, label: 'mix' };
+}
+
+/**
+ * Chapters at scene boundaries, plus the frame chapters inside each scene
+ * (its first frame opens the scene, so that one goes under the scene's title)
+ * @returns {{title: string, startMs: number, endMs: number}[]}
+ */
+export function buildChapters(plan) {
+    const starts = [];
+
+    plan.clips.forEach(clip => {
+        starts.push({ title: clip.title, startMs: clip.startMs });
+        (clip.chapters || [])
+            .slice(1)
+            .filter(chapter => chapter.startMs < clip.lengthMs)
+            .forEach(chapter => starts.push({ title: chapter.title, startMs: clip.startMs + chapter.startMs }));
+    });
+
+    starts.sort((a, b) => a.startMs - b.startMs);
+    return starts.map((chapter, index) => ({
+        title: chapter.title,
+        startMs: Math.round(chapter.startMs),
+        endMs: Math.round(index + 1 < starts.length ? starts[index + 1].startMs : plan.totalMs)
+    }));
+}
+
+// FFMETADATA values escape = ; # \ and newlines with a backslash
+function escapeMetadata(value) {
+    return String(value).replace(/[=;#\\\n]/g, match => `\\${match}`);
+}
+
+/**
+ * Chapters as an FFMETADATA file, muxed into the MP4
+ */
+export function buildChapterMetadata(chapters, title = null) {
+    const lines = [';FFMETADATA1'];
+    if (title) lines.push(`title=${escapeMetadata(title)}`);
+
+    chapters.forEach(chapter => {
+        lines.push('', '[CHAPTER]', 'TIMEBASE=1/1000', `START=${chapter.startMs}`, `END=${chapter.endMs}`, `title=${escapeMetadata(chapter.title)}`);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// 83000 -> '1:23', 3723000 -> '1:02:03'
+function formatTimestamp(ms) {
+    const total = Math.floor(ms / 1000);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Chapter list for a YouTube description ("0:00 Introduction" per line)
+ */
+export function formatYouTubeChapters(chapters) {
+    return chapters.map(chapter => `${formatTimestamp(chapter.startMs)} ${chapter.title}`).join('\n');
+}
+
+/**
+ * Why YouTube would not show these chapters (empty when it will)
+ * @returns {string[]}
+ */
+export function checkYouTubeChapters(chapters) {
+    const warnings = [];
+    if (chapters.length < YOUTUBE_MIN_CHAPTERS) {
+        warnings.push(`Only ${chapters.length} chapter(s): YouTube needs ${YOUTUBE_MIN_CHAPTERS} to show them`);
+    }
+    const short = chapters.filter(chapter => chapter.endMs - chapter.startMs < YOUTUBE_MIN_CHAPTER_MS);
+    if (short.length > 0) {
+        warnings.push(`Chapters under ${seconds(YOUTUBE_MIN_CHAPTER_MS)}s (YouTube hides the list): ${short.map(chapter => chapter.title).join(', ')}`);
+    }
+    return warnings;
+}
+
+export class ProjectStitcher {
+    constructor(config = {}) {
+        this.config = {
+            outputDir: config.outputDir || './output',
+            width: config.width || 1920,
+            height: config.height || 1080,
+            frameRate: config.frameRate || 30,
+            outputOptions: config.outputOptions || [ // Video encoder settings (VideoExporter.getEncodingOptions)
+                '-c:v', 'libx264',
+                '-crf', '18',
+                '-pix_fmt', 'yuv420p',
+                '-movflags', '+faststart'
+            ],
+            audioBitrate: config.audioBitrate || '192k',
+            ...config
+        };
+
+        mkdirSync(this.config.outputDir, { recursive: true });
+    }
+
+    /**
+     * Join clips into one video
+     * @param {object[]} clips - { path, durationMs, holdMs, title, transition,
+     *                   chapters (the clip's own, from its start), audio: [{ path, startMs }], audioMs }
+     * @returns {Promise<{outputPath, duration, chapters, youtubeChapters, chapterWarnings, hasAudio}>}
+     */
+    async stitch(clips, outputFileName = 'project.mp4', { title = null } = {}) {
+        const plan = planProject(clips);
+        const outputPath = join(this.config.outputDir, outputFileName);
+
+        // Narration moves with its clip
+        const audio = plan.clips.flatMap(clip => (clip.audio || []).map(track => ({
+            path: track.path,
+            startMs: clip.startMs + track.startMs
+        })));
+
+        const chapters = buildChapters(plan);
+        const metadataPath = join(this.config.outputDir, `${outputFileName.replace(/\.[^.]+$/, '')}.chapters.txt`);
+        writeFileSync(metadataPath, buildChapterMetadata(chapters, title));
+
+        const video = buildVideoFilter(plan, this.config);
+        const audioFilter = buildAudioFilter(audio, plan.clips.length, plan.totalMs);
+        const metadataInput = plan.clips.length + audio.length;
+
+        console.log(`🧵 Stitching ${plan.clips.length} scenes into ${outputPath} (${seconds(plan.totalMs)}s)`);
+        plan.clips.forEach(clip => {
+            console.log(`   ${formatTimestamp(clip.startMs)} ${clip.title} (${clip.transition.type})`);
+        });
+
+        const outputOptions = [
+            '-map', `[${video.label}]`,
+            ...this.config.outputOptions,
+            '-map_metadata', String(metadataInput),
+            '-map_chapters', String(metadataInput)
+        ];
+        if (audioFilter) {
+            outputOptions.push('-map', `[${audioFilter.label}]`, '-c:a', 'aac', '-b:a', this.config.audioBitrate);
+        }
+
+        await new Promise((resolve, reject) => {
+            const command = ffmpeg();
+            plan.clips.forEach(clip => command.input(clip.path));
+            audio.forEach(track => command.input(track.path));
+            command.input(metadataPath).inputOptions(['-f', 'ffmetadata']);
+
+            command
+                .complexFilter([...video.filter, ...(audioFilter ? audioFilter.filter : [])])
+                .outputOptions(outputOptions)
+                .output(outputPath)
+                .on('start', (commandLine) => {
+                    console.log('🚀 FFmpeg started with command: ' + commandLine);
+                })
+                .on('progress', (progress) => {
+                    if (progress.percent) {
+                        console.log(`📊 Stitch progress: ${Math.round(progress.percent)}%`);
+                    }
+                })
+                .on('error', (err) => {
+                    console.error('❌ FFmpeg error:', err.message);
+                    reject(new Error(`Project stitching failed: ${err.message}`));
+                })
+                .on('end', resolve)
+                .run();
+        });
+
+        console.log(`✅ Project video saved to: ${outputPath}`);
+
+        return {
+            outputPath,
+            duration: plan.totalMs,
+            frameRate: this.config.frameRate,
+            frameCount: Math.ceil(plan.totalMs / 1000 * this.config.frameRate),
+            chapters,
+            youtubeChapters: formatYouTubeChapters(chapters),
+            chapterWarnings: checkYouTubeChapters(chapters), // For the caller to show
+            hasAudio: audio.length > 0
+        };
+    }
+}
@@ -1,7 +1,9 @@
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegStatic from 'ffmpeg-static';
 import { join } from 'path';
-import { existsSync, mkdirSync } from 'fs';
+import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import { FrameRenderer } from '../render/frameRenderer.js';
+import { FrameStreamEncoder } from './frameStreamEncoder.js';
 
 // Set ffmpeg path
 ffmpeg.setFfmpegPath(ffmpegStatic);
@@ -15,9 +17,17 @@ export class VideoExporter {
             codec: config.codec || 'libx264',
             preset: config.preset || 'medium',
             crf: config.crf || 18, // Lower = higher quality
+            width: config.width || 1920,
+            height: config.height || 1080,
+            renderConcurrency: config.renderConcurrency || 4,
+            streaming: config.streaming || false, // Pipe frames to ffmpeg instead of PNG files
             ...config
         };
         
+        // Shared frame renderer (injected, or created on first use)
+        this.renderer = config.renderer || null;
+        this.ownsRenderer = !config.renderer;
+        
         // Ensure output directory exists
         mkdirSync(this.config.outputDir, { recursive: true });
     }
@@ -31,6 +41,11 @@ export class VideoExporter {
                 return await this.createDemoVideo(animationData, outputFileName);
             }
             
+            // Streamed frames go straight into ffmpeg
+            if (animationData.type === 'frame-stream') {
+                return await this.streamFramesToVideo(animationData, outputFileName);
+            }
+            
             console.log(`📁 Frame directory: ${animationData.outputDir}`);
             console.log(`🎬 Frame rate: ${animationData.frameRate} FPS`);
             console.log(`⏱️  Duration: ${animationData.duration}ms`);
@@ -48,24 +63,7 @@ export class VideoExporter {
                         '-r', animationData.frameRate.toString(), // Input frame rate
                         '-f', 'image2'
                     ])
-                    .outputOptions([
-                        '-c:v', this.config.codec,
-                        '-r', animationData.frameRate.toString(), // Output frame rate
-                        '-preset', this.config.preset,
-                        '-crf', this.config.crf.toString(),
-                        '-pix_fmt', 'yuv420p', // YouTube compatibility
-                        '-movflags', '+faststart' // Web optimization
-                    ]);
-
-                // Add YouTube-optimized settings
-                if (this.config.youtubeOptimized !== false) {
-                    command.outputOptions([
-                        '-profile:v', 'high',
-                        '-level', '4.0',
-                        '-maxrate', '8000k',
-                        '-bufsize', '12000k'
-                    ]);
-                }
+                    .outputOptions(this.getEncodingOptions(animationData.frameRate));
 
                 command
                     .output(outputPath)
@@ -105,6 +103,64 @@ export class VideoExporter {
         }
     }
 
+    // Encoder settings shared by the frame-pattern and streaming exports
+    getEncodingOptions(frameRate) {
+        const options = [
+            '-c:v', this.config.codec,
+            '-r', frameRate.toString(), // Output frame rate
+            '-preset', this.config.preset,
+            '-crf', this.config.crf.toString(),
+            '-pix_fmt', 'yuv420p', // YouTube compatibility
+            '-movflags', '+faststart' // Web optimization
+        ];
+
+        // Add YouTube-optimized settings
+        if (this.config.youtubeOptimized !== false) {
+            options.push(
+                '-profile:v', 'high',
+                '-level', '4.0',
+                '-maxrate', '8000k',
+                '-bufsize', '12000k'
+            );
+        }
+
+        return options;
+    }
+
+    // Render frames straight into ffmpeg's stdin, no frame files on disk
+    async streamFramesToVideo(animationData, outputFileName) {
+        const outputPath = join(this.config.outputDir, outputFileName);
+        
+        console.log(`📡 Streaming ${animationData.frameCount} frames into FFmpeg`);
+        console.log(`📤 Output path: ${outputPath}`);
+        
+        const encoder = new FrameStreamEncoder({
+            frameRate: animationData.frameRate,
+            totalFrames: animationData.frameCount,
+            outputOptions: this.getEncodingOptions(animationData.frameRate)
+        }).start(outputPath);
+        
+        try {
+            await animationData.renderFrames(frame => encoder.write(frame));
+        } catch (error) {
+            await encoder.abort();
+            throw new Error(`Video export failed: ${error.message}`);
+        }
+        
+        const { frameCount } = await encoder.end();
+        
+        console.log('✅ Video export completed successfully!');
+        console.log(`📺 Video saved to: ${outputPath}`);
+        
+        return {
+            outputPath,
+            duration: animationData.duration,
+            frameRate: animationData.frameRate,
+            frameCount,
+            type: 'streamed-frame-animation'
+        };
+    }
+
     async createDemoVideo(animationData, outputFileName = 'excalidraw-demo.mp4') {
         try {
             console.log('🎬 Creating full dai-shi/excalidraw-animate progressive animation demo...');
@@ -305,6 +361,19 @@ export class VideoExporter {
         
         const frameRate = 30;
         const totalFrames = Math.ceil(duration * frameRate);
+        const outputOptions = [
+            '-c:v', this.config.codec,
+            '-r', frameRate.toString(),
+            '-preset', 'fast',
+            '-crf', '18',
+            '-pix_fmt', 'yuv420p',
+            '-movflags', '+faststart'
+        ];
+        
+        if (this.config.streaming) {
+            return await this.streamSvgFrames(svgContent, outputPath, totalFrames, frameRate, outputOptions);
+        }
+        
         const frameDir = join(this.config.outputDir, 'svg_frames');
         
         // Ensure frame directory exists
@@ -314,59 +383,20 @@ export class VideoExporter {
         
         console.log(`🎨 Generating ${totalFrames} frames from animated SVG...`);
         
-        // Use puppeteer to render SVG frames
-        const puppeteer = await import('puppeteer');
-        const browser = await puppeteer.default.launch({ headless: true });
-        const page = await browser.newPage();
-        
-        await page.setViewport({
-            width: this.config.width,
-            height: this.config.height
-        });
-        
-        for (let frame = 0; frame < totalFrames; frame++) {
-            const currentTime = (frame / frameRate) * 1000; // Convert to milliseconds
-            
-            // Create HTML with SVG and set animation time
-            const html = `
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <style>
-                        body { margin: 0; padding: 0; background: white; }
-                        svg { width: 100vw; height: 100vh; }
-                    </style>
-                </head>
-                <body>
-                    ${svgContent}
-                    <script>
-                        // Set SVG animation time
-                        const svg = document.querySelector('svg');
-                        if (svg && svg.setCurrentTime) {
-                            svg.setCurrentTime(${currentTime / 1000});
-                        }
-                        // Pause animations to capture frame
-                        if (svg && svg.pauseAnimations) {
-                            svg.pauseAnimations();
-                        }
-                    </script>
-                </body>
-                </html>
-            `;
-            
-            await page.setContent(html);
-            await page.waitForTimeout(100); // Let SVG render
-            
-            const framePath = join(frameDir, `frame_${frame.toString().padStart(6, '0')}.png`);
-            await page.screenshot({ path: framePath, type: 'png' });
-            
-            if (frame % 10 === 0) {
-                console.log(`🎨 Rendered frame ${frame}/${totalFrames}`);
-            }
+        // Render frames in parallel on the shared browser, seeking the SVG clock per frame
+        try {
+            await this.getRenderer().renderSvgFrames(svgContent, totalFrames, frameRate, (frameImage, frame) => {
+                const framePath = join(frameDir, `frame_${frame.toString().padStart(6, '0')}.png`);
+                writeFileSync(framePath, frameImage);
+                
+                if (frame % 10 === 0) {
+                    console.log(`🎨 Rendered frame ${frame}/${totalFrames}`);
+                }
+            });
+        } finally {
+            await this.closeRenderer();
         }
         
-        await browser.close();
-        
         console.log('🎨 Converting frames to video...');
         
         // Convert frames to video
@@ -376,14 +406,7 @@ export class VideoExporter {
             ffmpeg()
                 .input(framePattern)
                 .inputOptions(['-r', frameRate.toString(), '-f', 'image2'])
-                .outputOptions([
-                    '-c:v', this.config.codec,
-                    '-r', frameRate.toString(),
-                    '-preset', 'fast',
-                    '-crf', '18',
-                    '-pix_fmt', 'yuv420p',
-                    '-movflags', '+faststart'
-                ])
+                .outputOptions(outputOptions)
                 .output(outputPath)
                 .on('end', () => {
                     console.log('✅ Frame-by-frame SVG animation video created!');
@@ -401,6 +424,58 @@ export class VideoExporter {
                 .run();
         });
     }
+    
+    // Streaming variant of renderSvgFrameByFrame: captured frames are piped to ffmpeg
+    async streamSvgFrames(svgContent, outputPath, totalFrames, frameRate, outputOptions) {
+        console.log(`📡 Streaming ${totalFrames} frames from animated SVG into FFmpeg...`);
+        
+        const encoder = new FrameStreamEncoder({
+            frameRate,
+            totalFrames,
+            outputOptions
+        }).start(outputPath);
+        
+        try {
+            await this.getRenderer().renderSvgFrames(svgContent, totalFrames, frameRate, frame => encoder.write(frame));
+        } catch (error) {
+            await encoder.abort();
+            throw error;
+        } finally {
+            await this.closeRenderer();
+        }
+        
+        const { frameCount } = await encoder.end();
+        console.log('✅ Streamed SVG animation video created!');
+        
+        return {
+            outputPath,
+            duration: (totalFrames / frameRate) * 1000,
+            frameRate: frameRate,
+            frameCount,
+            type: 'svg-frame-by-frame-animation',
+            progressive: true,
+            method: 'puppeteer-frame-stream'
+        };
+    }
+    
+    getRenderer() {
+        if (!this.renderer) {
+            this.renderer = new FrameRenderer({
+                width: this.config.width,
+                height: this.config.height,
+                concurrency: this.config.renderConcurrency
+            });
+        }
+        return this.renderer;
+    }
+    
+    // Close the renderer only if this exporter created it
+    async closeRenderer() {
+        if (this.renderer && this.ownsRenderer) {
+            await this.renderer.close();
+            this.renderer = null;
+        }
+    }
 
     async createSimpleDemoVideo(animationData, outputFileName) {
         console.log('🔄 Creating simplified demo video fallback...');
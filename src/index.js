@@ -7,6 +7,9 @@ import { ExcalidrawParser } from './processing/parser.js';
 import { ExcalidrawAnimator } from './animation/animator.js';
 import { VideoExporter } from './export/videoExporter.js';
 import { YouTubeUploader } from './upload/youtubeUploader.js';
+import { FrameRenderer } from './render/frameRenderer.js';
+import { ProjectPipeline } from './project-pipeline.js';
+import { isProjectManifest } from './processing/project.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -30,8 +33,19 @@ class ExcalidrawVideoPipeline {
         this.config = config;
         this.version = '1.0.0';
         this.parser = new ExcalidrawParser();
-        this.animator = new ExcalidrawAnimator(config.animation);
-        this.exporter = new VideoExporter(config.export);
+        
+        // One browser shared by the animator and exporter for frame rendering
+        this.renderer = new FrameRenderer({
+            width: config.video.width,
+            height: config.video.height,
+            concurrency: config.animation.renderConcurrency
+        });
+        this.animator = new ExcalidrawAnimator({
+            ...config.animation,
+            streaming: config.export.streaming,
+            renderer: this.renderer
+        });
+        this.exporter = new VideoExporter({ ...config.export, ...config.video, renderer: this.renderer });
         this.uploader = new YouTubeUploader(config.youtube);
     }
 
@@ -86,6 +100,27 @@ class ExcalidrawVideoPipeline {
         return videoResult;
     }
 
+    // A project manifest as input: several drawings stitched into one video
+    async renderProject() {
+        console.log('🧵 Rendering project manifest...');
+        
+        const projectPipeline = new ProjectPipeline({
+            outputDir: this.config.paths.output,
+            width: this.config.video.width,
+            height: this.config.video.height,
+            animation: this.config.animation,
+            export: this.config.export,
+            renderer: this.renderer
+        });
+        const { video } = await projectPipeline.run(this.config.paths.input);
+        
+        console.log('   ✓ Rendered every scene with its own timing and narration');
+        console.log('   ✓ Joined the scenes with transitions on one audio track');
+        console.log(`   ✓ Added ${video.chapters.length} chapters at scene boundaries`);
+        
+        return video;
+    }
+
     async uploadToYouTube(videoResult, metadata = {}) {
         try {
             console.log('📺 Uploading to YouTube using Claude Code + Context7 integration...');
@@ -119,7 +154,10 @@ class ExcalidrawVideoPipeline {
 • Frame count: ${videoResult.frameCount} frames
 • Generated: ${new Date().toLocaleString()}
 
-This video demonstrates the complete autonomous pipeline from Excalidraw file to YouTube upload, powered entirely by Claude Code.`,
+This video demonstrates the complete autonomous pipeline from Excalidraw file to YouTube upload, powered entirely by Claude Code.${videoResult.youtubeChapters ? `
+
+📑 **Chapters:**
+${videoResult.youtubeChapters}` : ''}`,
                 tags: [
                     'excalidraw', 'animation', 'claude-code', 'ai', 'automation',
                     'context7', 'mcp', 'youtube-api', 'drawing', 'visualization',
@@ -157,14 +195,20 @@ This video demonstrates the complete autonomous pipeline from Excalidraw file to
         try {
             await this.initialize();
             
-            // Process Excalidraw file with timestamp extraction
-            const excalidrawData = await this.processExcalidrawFiles();
-            
-            // Generate animation using dai-shi/excalidraw-animate
-            const animationData = await this.generateAnimation(excalidrawData, excalidrawData.timestamps);
-            
-            // Export video with FFmpeg
-            const videoResult = await this.exportVideo(animationData);
+            let videoResult;
+            if (isProjectManifest(this.config.paths.input)) {
+                videoResult = await this.renderProject();
+            } else {
+                // Process Excalidraw file with timestamp extraction
+                const excalidrawData = await this.processExcalidrawFiles();
+                
+                // Generate animation using dai-shi/excalidraw-animate
+                const animationData = await this.generateAnimation(excalidrawData, excalidrawData.timestamps);
+                
+                // Export video with FFmpeg
+                videoResult = await this.exportVideo(animationData);
+            }
+            await this.renderer.close();
             
             console.log('✅ Video generation completed successfully!');
             console.log(`🎞️  Video saved to: ${videoResult.outputPath}`);
@@ -174,7 +218,7 @@ This video demonstrates the complete autonomous pipeline from Excalidraw file to
             // Upload to YouTube automatically
             console.log('');
             console.log('🚀 Starting automatic YouTube upload...');
-            const uploadResult = await this.uploadToYouTube(videoResult);
+            const uploadResult = await this.uploadToYouTube(videoResult, videoResult.title ? { title: videoResult.title } : {});
             
             if (uploadResult.requiresAuth) {
                 console.log('⚠️  YouTube upload requires manual authorization first');
@@ -192,6 +236,7 @@ This video demonstrates the complete autonomous pipeline from Excalidraw file to
         } catch (error) {
             console.error('❌ Pipeline failed:', error.message);
             console.error(error.stack);
+            await this.renderer.close();
             process.exit(1);
         }
     }
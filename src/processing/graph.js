@@ -0,0 +1,136 @@
+/**
+ * Diagram graph built from arrow bindings
+ * Nodes are shapes (with their labels), edges are arrows and lines whose
+ * startBinding / endBinding connect two nodes.
+ */
+
+import { resolveLabels, getLabelText } from './labels.js';
+import { getArrowheads } from '../animation/arrowheads.js';
+
+const LINEAR_TYPES = new Set(['arrow', 'line']);
+
+/**
+ * Edge direction from the arrowheads: 'forward' (source -> target),
+ * 'both', or 'none' for plain connectors. An arrowhead only at the start
+ * means the edge runs from the end binding to the start binding.
+ */
+function getEdgeDirection(element) {
+    const { start, end } = getArrowheads(element);
+
+    if (start && end) return { direction: 'both', reversed: false };
+    if (start) return { direction: 'forward', reversed: true };
+    if (end) return { direction: 'forward', reversed: false };
+    return { direction: 'none', reversed: false };
+}
+
+export class DiagramGraph {
+    constructor(nodes = [], edges = [], unconnected = []) {
+        this.nodes = new Map(nodes.map(node => [node.id, node]));
+        this.edges = edges;
+        this.unconnected = unconnected; // Arrows with fewer than two bound ends
+        this.edgesById = new Map(edges.map(edge => [edge.id, edge]));
+    }
+
+    getNode(id) {
+        return this.nodes.get(id) || null;
+    }
+
+    getEdge(id) {
+        return this.edgesById.get(id) || null;
+    }
+
+    // Edges leaving a node (undirected edges count both ways)
+    getOutgoing(nodeId) {
+        return this.edges.filter(edge => edge.source === nodeId
+            || (edge.direction !== 'forward' && edge.target === nodeId));
+    }
+
+    // Edges arriving at a node (undirected edges count both ways)
+    getIncoming(nodeId) {
+        return this.edges.filter(edge => edge.target === nodeId
+            || (edge.direction !== 'forward' && edge.source === nodeId));
+    }
+
+    // Node on the other end of an edge
+    getOtherEnd(edge, nodeId) {
+        return this.getNode(edge.source === nodeId ? edge.target : edge.source);
+    }
+
+    // Nodes with outgoing but no incoming directed edges
+    getSources() {
+        return [...this.nodes.values()].filter(node =>
+            !this.edges.some(edge => edge.direction === 'forward' && edge.target === node.id)
+            && this.edges.some(edge => edge.direction === 'forward' && edge.source === node.id));
+    }
+
+    // Nodes without any edge
+    getIsolatedNodes() {
+        return [...this.nodes.values()].filter(node =>
+            !this.edges.some(edge => edge.source === node.id || edge.target === node.id));
+    }
+
+    /**
+     * Plain data for metadata files and scripts (no element references)
+     */
+    toJSON() {
+        return {
+            nodes: [...this.nodes.values()].map(({ id, type, label }) => ({ id, type, label })),
+            edges: this.edges.map(({ id, type, source, target, direction, label }) => ({
+                id, type, source, target, direction, label
+            })),
+            unconnected: this.unconnected.map(element => element.id)
+        };
+    }
+}
+
+/**
+ * Build the graph of a scene
+ * @param {object[]} elements - Excalidraw elements
+ * @param {object} labels - resolveLabels() result, computed when omitted
+ */
+export function buildDiagramGraph(elements = [], labels = resolveLabels(elements)) {
+    const live = elements.filter(element => !element.isDeleted);
+    const nodes = [];
+    const edges = [];
+    const unconnected = [];
+
+    live.forEach(element => {
+        if (LINEAR_TYPES.has(element.type) || labels.byLabel.has(element.id)) return;
+
+        nodes.push({
+            id: element.id,
+            type: element.type,
+            label: element.type === 'text' ? element.originalText ?? element.text : getLabelText(element, labels),
+            element
+        });
+    });
+
+    const nodeIds = new Set(nodes.map(node => node.id));
+
+    live.filter(element => LINEAR_TYPES.has(element.type)).forEach(element => {
+        let source = element.startBinding?.elementId;
+        let target = element.endBinding?.elementId;
+
+        if (!nodeIds.has(source) || !nodeIds.has(target)) {
+            unconnected.push(element);
+            return;
+        }
+
+        const { direction, reversed } = getEdgeDirection(element);
+        if (reversed) {
+            [source, target] = [target, source];
+        }
+
+        edges.push({
+            id: element.id,
+            type: element.type,
+            source,
+            target,
+            direction,
+            label: getLabelText(element, labels),
+            element
+        });
+    });
+
+    return new DiagramGraph(nodes, edges, unconnected);
+}
@@ -0,0 +1,76 @@
+/**
+ * Bound text labels
+ * Excalidraw stores the label of a shape or arrow as a separate text element,
+ * linked by text.containerId and by a { type: 'text' } entry in the
+ * container's boundElements.
+ */
+
+/**
+ * Resolve label relationships in both directions
+ * @returns {{byContainer: Map<string, object>, byLabel: Map<string, object>}}
+ *          container id -> label element, label id -> container element
+ */
+export function resolveLabels(elements = []) {
+    const live = elements.filter(element => !element.isDeleted);
+    const elementsById = new Map(live.map(element => [element.id, element]));
+    const byContainer = new Map();
+    const byLabel = new Map();
+
+    const link = (container, label) => {
+        if (!container || !label || label.type !== 'text') return;
+        if (byContainer.has(container.id) || byLabel.has(label.id)) return;
+
+        byContainer.set(container.id, label);
+        byLabel.set(label.id, container);
+    };
+
+    // Text points at its container
+    live.forEach(element => {
+        if (element.type === 'text' && element.containerId) {
+            link(elementsById.get(element.containerId), element);
+        }
+    });
+
+    // Containers list their label among boundElements
+    live.forEach(element => {
+        (element.boundElements || [])
+            .filter(bound => bound.type === 'text')
+            .forEach(bound => link(element, elementsById.get(bound.id)));
+    });
+
+    return { byContainer, byLabel };
+}
+
+/**
+ * Label text of a container, or null. Hand-built scenes may carry a plain
+ * `label` string instead of a bound text element.
+ */
+export function getLabelText(element, labels) {
+    const label = labels?.byContainer.get(element.id);
+    if (label) {
+        return label.originalText ?? label.text ?? null;
+    }
+    return element.label || null;
+}
+
+/**
+ * Reorder so every label directly follows its container; labels whose
+ * container is not in the list keep their place
+ */
+export function orderLabelsAfterContainers(elements, labels) {
+    const present = new Set(elements.map(element => element.id));
+    const ordered = [];
+
+    elements.forEach(element => {
+        const container = labels.byLabel.get(element.id);
+        if (container && present.has(container.id)) return;
+
+        ordered.push(element);
+        const label = labels.byContainer.get(element.id);
+        if (label && present.has(label.id)) {
+            ordered.push(label);
+        }
+    });
+
+    return ordered;
+}
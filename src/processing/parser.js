@@ -1,10 +1,14 @@
 import { readFileSync } from 'fs';
 import { join } from 'path';
+import { resolveLabels, orderLabelsAfterContainers } from './labels.js';
+import { buildDiagramGraph, DiagramGraph } from './graph.js';
 
 export class ExcalidrawParser {
     constructor() {
         this.elements = [];
         this.metadata = {};
+        this.labels = { byContainer: new Map(), byLabel: new Map() };
+        this.graph = new DiagramGraph();
     }
 
     async parseFile(filePath) {
@@ -27,21 +31,35 @@ export class ExcalidrawParser {
             // Sort elements by creation timestamp for animation sequence
             this.elements.sort((a, b) => (a.created || 0) - (b.created || 0));
             
-            // Extract timestamp data for animation
-            const timestamps = this.elements.map(el => ({
-                id: el.id,
-                type: el.type,
-                created: el.created,
-                updated: el.updated || el.created
-            }));
+            // Bound labels follow their container, whenever they were typed
+            this.labels = resolveLabels(this.elements);
+            this.elements = orderLabelsAfterContainers(this.elements, this.labels);
+            
+            // Extract timestamp data for animation (labels share their container's timing)
+            const timestamps = this.elements.map(el => {
+                const timed = this.labels.byLabel.get(el.id) || el;
+                return {
+                    id: el.id,
+                    type: el.type,
+                    created: timed.created,
+                    updated: timed.updated || timed.created
+                };
+            });
             
             console.log(`✓ Extracted timestamps for ${timestamps.length} elements`);
+            console.log(`🏷️  Resolved ${this.labels.byContainer.size} bound labels`);
+            
+            // Shapes connected by bound arrows
+            this.graph = buildDiagramGraph(this.elements, this.labels);
+            console.log(`🔗 Diagram graph: ${this.graph.nodes.size} nodes, ${this.graph.edges.length} edges`);
             console.log(`📊 Animation duration: ${this.getAnimationDuration()}ms`);
             
             return {
                 elements: this.elements,
                 timestamps,
-                metadata: this.metadata
+                metadata: this.metadata,
+                labels: this.labels,
+                graph: this.graph
             };
             
         } catch (error) {
@@ -58,6 +76,21 @@ export class ExcalidrawParser {
         return lastElement - firstElement;
     }
     
+    // Diagram structure (nodes and arrow edges) of the parsed file
+    getGraph() {
+        return this.graph;
+    }
+    
+    // Bound text element labelling a container, if any
+    getLabel(containerId) {
+        return this.labels.byContainer.get(containerId) || null;
+    }
+    
+    // Container a bound text element belongs to, if any
+    getContainer(labelId) {
+        return this.labels.byLabel.get(labelId) || null;
+    }
+    
     getElementsInTimeRange(startTime, endTime) {
         return this.elements.filter(el => {
             const elementTime = el.created || 0;
@@ -0,0 +1,195 @@
+/**
+ * Project manifests
+ * A project (course.project.yaml, .yml or .json) plays several drawings in
+ * order as one video, each with its own timing and narration:
+ *
+ *   title: How the web works
+ *   output: how-the-web-works.mp4
+ *   defaults: { transition: crossfade, hold: 1000, narration: false }
+ *   scenes:
+ *     - file: intro.excalidraw      # relative to the manifest
+ *       title: Introduction         # chapter title, defaults to the file name
+ *       storyboard: intro.storyboard.yaml   # optional, the sidecar is used otherwise
+ *       narration: true             # narrate this drawing
+ *       voice: af_sky
+ *       timing: { mode: length, speedFactor: 1.5 }   # config.animation.timing overrides
+ *       animation: { easing: ease-out }              # other config.animation overrides
+ *       hold: 1500                  # ms the finished drawing stays before the next scene
+ *     - file: request.excalidraw
+ *       transition: { type: whiteboard-wipe, duration: 600 }   # how this scene comes in
+ *
+ * Transitions are cut, crossfade, whiteboard-wipe (the board is wiped clean
+ * before the next drawing) and zoom-through (export/projectStitcher.js); the
+ * first scene's transition is ignored.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { parse } from 'yaml';
+import { extname, basename, dirname, resolve } from 'path';
+import { findStoryboard } from './storyboard.js';
+import { TRANSITION_TYPES } from '../export/projectStitcher.js';
+
+const MANIFEST_EXTENSIONS = ['.project.yaml', '.project.yml', '.project.json'];
+const NUMBER_FIELDS = ['hold'];
+
+export const PROJECT_DEFAULTS = {
+    transition: { type: 'crossfade', duration: 800 },
+    hold: 1000,
+    narration: false,
+    voice: null
+};
+
+/**
+ * Whether a path names a project manifest rather than a drawing
+ */
+export function isProjectManifest(path) {
+    return typeof path === 'string' && MANIFEST_EXTENSIONS.some(extension => path.endsWith(extension));
+}
+
+/**
+ * Read a YAML or JSON manifest (not yet validated)
+ */
+export async function loadProjectFile(path) {
+    const content = readFileSync(path, 'utf8');
+
+    try {
+        if (extname(path) === '.json') {
+            return JSON.parse(content);
+        }
+        return parse(content);
+    } catch (error) {
+        throw new Error(`Failed to read project ${path}: ${error.message}`);
+    }
+}
+
+// Transition from a name or { type, duration }, or null when invalid
+function resolveTransition(transition, fallback) {
+    if (transition === undefined || transition === null) return fallback;
+
+    const spec = typeof transition === 'object' ? transition : { type: transition };
+    if (!TRANSITION_TYPES.includes(spec.type)) return null;
+
+    const duration = spec.duration ?? fallback?.duration ?? PROJECT_DEFAULTS.transition.duration;
+    if (!Number.isFinite(Number(duration))) return null;
+    return { type: spec.type, duration: spec.type === 'cut' ? 0 : Math.max(Number(duration), 0) };
+}
+
+// Drawing title from its file name: 'api-request.excalidraw' -> 'api request'
+function titleFromFile(file) {
+    return basename(file, extname(file)).replace(/[-_]+/g, ' ');
+}
+
+/**
+ * Validate a manifest and resolve its paths against baseDir.
+ * Throws one error listing every problem found.
+ * @returns {{resolved: true, source: string|null, title: string|null, output: string|null,
+ *            scenes: object[]}}
+ *          scenes: { id, index, file, title, storyboard (path or null), transition,
+ *          hold, narration, voice, animation (config.animation overrides) }
+ */
+export function resolveProject(project, { baseDir = '.', source = null } = {}) {
+    const errors = [];
+
+    if (!project || !Array.isArray(project.scenes) || project.scenes.length === 0) {
+        throw new Error(`Invalid project${source ? ` ${source}` : ''}: missing scenes list`);
+    }
+
+    const defaults = { ...PROJECT_DEFAULTS, ...project.defaults };
+    const defaultTransition = resolveTransition(defaults.transition, PROJECT_DEFAULTS.transition);
+    if (!defaultTransition) {
+        errors.push(`defaults: unknown transition ${JSON.stringify(defaults.transition)} (expected ${TRANSITION_TYPES.join(', ')})`);
+    }
+
+    const ids = new Set();
+    const scenes = project.scenes.map((rawScene, index) => {
+        const scene = typeof rawScene === 'string' ? { file: rawScene } : { ...rawScene };
+        const id = String(scene.id ?? `scene-${index + 1}`);
+        const where = `scene ${index + 1} (${scene.file || id})`;
+
+        if (ids.has(id)) errors.push(`${where}: duplicate scene id "${id}"`);
+        ids.add(id);
+
+        let file = null;
+        if (!scene.file) {
+            errors.push(`${where}: needs a file`);
+        } else {
+            file = resolve(baseDir, String(scene.file));
+            if (!existsSync(file)) errors.push(`${where}: file not found ${file}`);
+        }
+
+        let storyboard = null;
+        if (scene.storyboard) {
+            storyboard = resolve(baseDir, String(scene.storyboard));
+            if (!existsSync(storyboard)) errors.push(`${where}: storyboard not found ${storyboard}`);
+        } else if (file) {
+            storyboard = findStoryboard(file);
+        }
+
+        const transition = resolveTransition(scene.transition, defaultTransition);
+        if (!transition && scene.transition !== undefined && scene.transition !== null) {
+            errors.push(`${where}: unknown transition ${JSON.stringify(scene.transition)} (expected ${TRANSITION_TYPES.join(', ')})`);
+        }
+
+        const merged = { ...defaults, ...scene };
+        NUMBER_FIELDS.forEach(field => {
+            if (merged[field] !== undefined && merged[field] !== null && !Number.isFinite(Number(merged[field]))) {
+                errors.push(`${where}: ${field} must be a number of milliseconds, got "${merged[field]}"`);
+            }
+        });
+
+        if (scene.timing !== undefined && (typeof scene.timing !== 'object' || scene.timing === null)) {
+            errors.push(`${where}: timing must be a map of config.animation.timing settings`);
+        }
+        if (scene.animation !== undefined && (typeof scene.animation !== 'object' || scene.animation === null)) {
+            errors.push(`${where}: animation must be a map of config.animation settings`);
+        }
+
+        // timing is shorthand for animation.timing
+        const animation = { ...scene.animation };
+        if (scene.timing && typeof scene.timing === 'object') {
+            animation.timing = { ...animation.timing, ...scene.timing };
+        }
+
+        return {
+            id,
+            index,
+            file,
+            title: scene.title ? String(scene.title) : (scene.file ? titleFromFile(String(scene.file)) : id),
+            storyboard,
+            transition: index === 0 ? { type: 'cut', duration: 0 } : transition,
+            hold: Math.max(Number(merged.hold) || 0, 0),
+            narration: merged.narration === true,
+            voice: merged.voice || null,
+            animation
+        };
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid project${source ? ` ${source}` : ''}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return {
+        resolved: true,
+        source,
+        title: project.title ? String(project.title) : null,
+        output: project.output ? String(project.output) : null,
+        scenes
+    };
+}
+
+/**
+ * Project from a manifest path, a parsed manifest or a plain list of drawings
+ * (played in the given order with the default transition)
+ */
+export async function prepareProject(project, { baseDir = '.', defaults = {} } = {}) {
+    if (project.resolved) return project;
+
+    if (Array.isArray(project)) {
+        return resolveProject({ defaults, scenes: project }, { baseDir });
+    }
+    if (typeof project === 'string') {
+        const manifest = await loadProjectFile(project);
+        return resolveProject(manifest, { baseDir: dirname(project), source: project });
+    }
+    return resolveProject(project, { baseDir });
+}
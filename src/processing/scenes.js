@@ -0,0 +1,61 @@
+/**
+ * Scenes from Excalidraw frames
+ * A drawing with frame elements plays as one scene per frame: the elements
+ * whose frameId is the frame (bound labels travel with their container),
+ * framed by the camera and titled with the frame name for chapters. Frames
+ * play in drawing order unless customData.animation.order on the frame says
+ * otherwise; elements outside every frame come last in an 'outside' scene.
+ */
+
+import { resolveLabels } from './labels.js';
+
+export const FRAME_TYPES = ['frame', 'magicframe'];
+
+export function isFrame(element) {
+    return FRAME_TYPES.includes(element.type);
+}
+
+/**
+ * Scenes in playing order, or [] when the drawing has no frames
+ * @returns {{id: string, title: string, frame: object|null, elements: object[]}[]}
+ */
+export function buildScenes(elements = []) {
+    const live = elements.filter(element => !element.isDeleted);
+    const frames = live.filter(isFrame);
+    if (frames.length === 0) return [];
+
+    // Drawing order, with explicit orders first
+    const ordered = frames
+        .map((frame, index) => ({ frame, index, order: frame.customData?.animation?.order }))
+        .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.index - b.index)
+        .map(({ frame }) => frame);
+
+    const frameIds = new Set(frames.map(frame => frame.id));
+    const labels = resolveLabels(live);
+    const sceneOf = (element) => {
+        const container = labels.byLabel.get(element.id);
+        const frameId = container ? container.frameId : element.frameId;
+        return frameIds.has(frameId) ? frameId : null;
+    };
+
+    // Empty frames are skipped, so untitled scenes are numbered as they play
+    const scenes = ordered
+        .map(frame => ({
+            id: frame.id,
+            frame,
+            elements: live.filter(element => !isFrame(element) && sceneOf(element) === frame.id)
+        }))
+        .filter(scene => scene.elements.length > 0)
+        .map((scene, index) => ({ ...scene, title: scene.frame.name || `Scene ${index + 1}` }));
+
+    const outside = live.filter(element => !isFrame(element) && sceneOf(element) === null);
+    if (outside.length > 0) {
+        // Suffixed when a frame is already called 'outside'
+        const taken = new Set(frames.flatMap(frame => [frame.id, frame.name]));
+        let id = 'outside';
+        for (let n = 2; taken.has(id); n++) id = `outside-${n}`;
+        scenes.push({ id, title: 'Overview', frame: null, elements: outside });
+    }
+
+    return scenes;
+}
@@ -0,0 +1,243 @@
+/**
+ * Storyboard sidecar files
+ * A storyboard sits next to the drawing (diagram.excalidraw ->
+ * diagram.storyboard.yaml, .yml or .json) and scripts the video step by step
+ * without touching the drawing:
+ *
+ *   defaults: { effect: draw, easing: ease-out, pause: 300 }
+ *   steps:
+ *     - id: intro                  # optional, defaults to step-N
+ *       elements: [client, api]    # element ids
+ *       groups: [backend]          # and/or Excalidraw group ids
+ *       effect: fade               # reveal effect name or { type, ...options } (effects.js)
+ *       easing: ease-in-out
+ *       duration: 2000             # ms for the whole step, split between its elements
+ *       delay: 0                   # ms before the step
+ *       pause: 500                 # ms after the step
+ *       camera: [api]              # what the camera frames: ids, or 'fit' for the whole scene
+ *       emphasis: circle           # highlight while the line plays (animation/emphasis.js)
+ *       flow: dots                 # particles along the step's arrows (animation/flow.js)
+ *       clear: true                # take earlier elements off first: true for all, or element / step ids
+ *       exit: fade-out             # how cleared elements leave (animation/exits.js)
+ *       narration: The client calls the API.
+ *       voice: af_sky
+ *
+ * Every id is checked against the drawing; elements no step mentions are
+ * drawn in a final 'remaining' step.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { parse } from 'yaml';
+import { extname } from 'path';
+import { resolveLabels } from './labels.js';
+import { EFFECTS, isKnownEffect } from '../animation/effects.js';
+import { EMPHASIS_TYPES } from '../animation/emphasis.js';
+import { isValidFlow } from '../animation/flow.js';
+import { isKnownExit, EXIT_TYPES } from '../animation/exits.js';
+
+const SIDECAR_EXTENSIONS = ['.storyboard.yaml', '.storyboard.yml', '.storyboard.json'];
+const NUMBER_FIELDS = ['duration', 'delay', 'pause'];
+
+/**
+ * Storyboard file next to a drawing, or null
+ */
+export function findStoryboard(excalidrawPath) {
+    const base = excalidrawPath.slice(0, excalidrawPath.length - extname(excalidrawPath).length);
+    return SIDECAR_EXTENSIONS.map(extension => base + extension).find(path => existsSync(path)) || null;
+}
+
+/**
+ * Read a YAML or JSON storyboard (not yet validated)
+ */
+export async function loadStoryboard(path) {
+    const content = readFileSync(path, 'utf8');
+
+    try {
+        if (extname(path) === '.json') {
+            return JSON.parse(content);
+        }
+        return parse(content);
+    } catch (error) {
+        throw new Error(`Failed to read storyboard ${path}: ${error.message}`);
+    }
+}
+
+// Accept a single id or a list of ids
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+/**
+ * Validate a storyboard against the drawing and resolve its ids to elements.
+ * Throws one error listing every problem found.
+ * @returns {{resolved: true, source: string|null, steps: object[], warnings: string[]}}
+ *          steps: { id, elements, camera (elements or null), effect, easing,
+ *          duration, delay, pause, narration, voice, emphasis, flow,
+ *          clear (elements or null), exit }
+ */
+export function resolveStoryboard(storyboard, elements, { source = null } = {}) {
+    const live = elements.filter(element => !element.isDeleted);
+    const elementsById = new Map(live.map(element => [element.id, element]));
+    const deletedIds = new Set(elements.filter(element => element.isDeleted).map(element => element.id));
+    const labels = resolveLabels(live);
+    const errors = [];
+    const warnings = [];
+
+    if (!storyboard || !Array.isArray(storyboard.steps)) {
+        throw new Error(`Invalid storyboard${source ? ` ${source}` : ''}: missing steps array`);
+    }
+
+    const defaults = storyboard.defaults || {};
+    const stepIds = new Set();
+    const placed = new Set();
+    const stepElementsById = new Map();
+
+    const lookup = (id, where) => {
+        if (elementsById.has(id)) return elementsById.get(id);
+        errors.push(deletedIds.has(id)
+            ? `${where}: element "${id}" is deleted in the drawing`
+            : `${where}: unknown element id "${id}"`);
+        return null;
+    };
+
+    const steps = storyboard.steps.map((rawStep, index) => {
+        const step = { ...defaults, ...rawStep };
+        const id = String(step.id ?? `step-${index + 1}`);
+        const where = `step ${index + 1} (${id})`;
+
+        if (stepIds.has(id)) errors.push(`${where}: duplicate step id`);
+        stepIds.add(id);
+
+        // Listed elements, then the members of each group
+        const stepElements = toList(step.elements).map(elementId => lookup(elementId, where)).filter(Boolean);
+        toList(step.groups).forEach(groupId => {
+            const members = live.filter(element => (element.groupIds || []).includes(groupId));
+            if (members.length === 0) errors.push(`${where}: unknown group id "${groupId}"`);
+            stepElements.push(...members);
+        });
+
+        if (!toList(step.elements).length && !toList(step.groups).length && !step.narration) {
+            errors.push(`${where}: needs elements, groups or narration`);
+        }
+
+        // Bound labels come with their container; anything drawn earlier is not drawn twice
+        const withLabels = stepElements.flatMap(element => {
+            const label = labels.byContainer.get(element.id);
+            return label ? [element, label] : [element];
+        });
+        const unique = [];
+        withLabels.forEach(element => {
+            if (placed.has(element.id)) {
+                if (!labels.byLabel.has(element.id)) {
+                    warnings.push(`${where}: "${element.id}" is already drawn by an earlier step`);
+                }
+                return;
+            }
+            placed.add(element.id);
+            unique.push(element);
+        });
+
+        NUMBER_FIELDS.forEach(field => {
+            if (step[field] !== undefined && step[field] !== null && !Number.isFinite(Number(step[field]))) {
+                errors.push(`${where}: ${field} must be a number of milliseconds, got "${step[field]}"`);
+            }
+        });
+
+        if (step.effect && !isKnownEffect(step.effect)) {
+            errors.push(`${where}: unknown effect ${JSON.stringify(step.effect)} (expected ${Object.keys(EFFECTS).join(', ')})`);
+        }
+
+        if (step.emphasis && step.emphasis !== 'none' && !EMPHASIS_TYPES.includes(step.emphasis)) {
+            errors.push(`${where}: unknown emphasis "${step.emphasis}" (expected ${EMPHASIS_TYPES.join(', ')})`);
+        }
+
+        if (step.flow !== undefined && step.flow !== null && !isValidFlow(step.flow)) {
+            errors.push(`${where}: invalid flow ${JSON.stringify(step.flow)}`);
+        }
+
+        if (step.exit && !isKnownExit(step.exit)) {
+            errors.push(`${where}: unknown exit ${JSON.stringify(step.exit)} (expected ${EXIT_TYPES.join(', ')})`);
+        }
+
+        // Cleared elements: everything drawn so far, or earlier steps / element ids
+        let clear = null;
+        if (step.clear === true) {
+            clear = live.filter(element => placed.has(element.id) && !unique.includes(element));
+        } else if (step.clear) {
+            clear = toList(step.clear).flatMap(clearId => stepElementsById.get(clearId) || [lookup(clearId, `${where} clear`)]).filter(Boolean);
+        }
+
+        let camera = null;
+        if (step.camera === 'fit') {
+            camera = live;
+        } else if (step.camera !== undefined && step.camera !== null) {
+            camera = toList(step.camera).map(elementId => lookup(elementId, `${where} camera`)).filter(Boolean);
+        }
+
+        stepElementsById.set(id, unique);
+
+        return {
+            id,
+            elements: unique,
+            camera,
+            effect: step.effect || null,
+            easing: step.easing || null,
+            duration: step.duration != null ? Number(step.duration) : null,
+            delay: Math.max(Number(step.delay) || 0, 0),
+            pause: Math.max(Number(step.pause) || 0, 0),
+            narration: step.narration ? String(step.narration).trim() : null,
+            voice: step.voice || null,
+            emphasis: step.emphasis || null,
+            flow: step.flow ?? null,
+            clear,
+            exit: step.exit || null
+        };
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid storyboard${source ? ` ${source}` : ''}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    // Elements no step mentions are drawn at the end
+    const remaining = live.filter(element => !placed.has(element.id));
+    if (remaining.length > 0) {
+        warnings.push(`${remaining.length} element(s) not in any step are drawn last`);
+        // Suffixed when a step of the storyboard is already called 'remaining'
+        let id = 'remaining';
+        for (let n = 2; stepIds.has(id); n++) id = `remaining-${n}`;
+        steps.push({
+            id,
+            elements: remaining,
+            camera: null,
+            effect: defaults.effect || null,
+            easing: defaults.easing || null,
+            duration: null,
+            delay: 0,
+            pause: 0,
+            narration: null,
+            voice: null,
+            emphasis: null,
+            flow: null,
+            clear: null,
+            exit: null
+        });
+    }
+
+    warnings.forEach(warning => console.log(`⚠️  Storyboard: ${warning}`));
+
+    return { resolved: true, source, steps, warnings };
+}
+
+/**
+ * Storyboard from a file path, a parsed object or an already resolved one
+ */
+export async function prepareStoryboard(storyboard, elements) {
+    if (!storyboard) return null;
+    if (storyboard.resolved) return storyboard;
+
+    if (typeof storyboard === 'string') {
+        return resolveStoryboard(await loadStoryboard(storyboard), elements, { source: storyboard });
+    }
+    return resolveStoryboard(storyboard, elements);
+}
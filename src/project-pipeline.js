@@ -0,0 +1,147 @@
+/**
+ * Project Pipeline
+ * Renders every drawing of a project manifest (processing/project.js) to its
+ * own clip, with that scene's timing, storyboard and narration, then stitches
+ * the clips into one video with transitions, a single audio track and chapters
+ */
+
+import { join } from 'path';
+import { mkdirSync } from 'fs';
+import { EnhancedExcalidrawPipeline } from './enhanced-pipeline.js';
+import { VideoExporter } from './export/videoExporter.js';
+import { ProjectStitcher } from './export/projectStitcher.js';
+import { FrameRenderer } from './render/frameRenderer.js';
+import { prepareProject } from './processing/project.js';
+
+// Scene overrides on top of config.animation; nested blocks (timing, camera...) merge key by key
+function mergeSettings(base = {}, overrides = {}) {
+    const merged = { ...base };
+    Object.entries(overrides).forEach(([key, value]) => {
+        const isBlock = value && typeof value === 'object' && !Array.isArray(value);
+        merged[key] = isBlock && base[key] && typeof base[key] === 'object'
+            ? { ...base[key], ...value }
+            : value;
+    });
+    return merged;
+}
+
+export class ProjectPipeline {
+    constructor(config = {}) {
+        this.config = {
+            outputDir: config.outputDir || './output',
+            width: config.width || 1920,
+            height: config.height || 1080,
+            animation: config.animation || {}, // config.animation, before scene overrides
+            export: config.export || {},
+            aiScriptEnabled: config.aiScriptEnabled || false,
+            ...config
+        };
+
+        // Shared frame renderer (injected, or created for the run)
+        this.renderer = config.renderer || null;
+        this.ownsRenderer = !config.renderer;
+
+        this.stitcher = new ProjectStitcher({
+            outputDir: this.config.outputDir,
+            width: this.config.width,
+            height: this.config.height,
+            frameRate: this.config.animation.frameRate || 30,
+            outputOptions: new VideoExporter({ ...this.config.export, outputDir: this.config.outputDir })
+                .getEncodingOptions(this.config.animation.frameRate || 30)
+        });
+
+        mkdirSync(this.config.outputDir, { recursive: true });
+    }
+
+    /**
+     * Render a project into one video
+     * @param {string|object|string[]} project - manifest path, parsed manifest or list of drawings
+     * @returns {Promise<{project, clips, video}>} video: ProjectStitcher.stitch() result
+     */
+    async run(project) {
+        const resolved = await prepareProject(project);
+        console.log(`🧵 Project${resolved.source ? ` ${resolved.source}` : ''}: ${resolved.scenes.length} scenes`);
+
+        if (!this.renderer) {
+            this.renderer = new FrameRenderer({
+                width: this.config.width,
+                height: this.config.height,
+                concurrency: this.config.animation.renderConcurrency
+            });
+        }
+
+        try {
+            // One scene at a time: they share the renderer
+            const clips = [];
+            for (const scene of resolved.scenes) {
+                clips.push(await this.renderScene(scene));
+            }
+
+            const video = await this.stitcher.stitch(clips, resolved.output || 'project.mp4', { title: resolved.title });
+            console.log('📑 Chapters:');
+            console.log(video.youtubeChapters);
+            video.chapterWarnings.forEach(warning => console.log(`⚠️  ${warning}`));
+
+            return { project: resolved, clips, video: { ...video, title: resolved.title } };
+        } finally {
+            if (this.ownsRenderer) {
+                await this.renderer.close();
+                this.renderer = null;
+            }
+        }
+    }
+
+    /**
+     * One scene as a clip for the stitcher
+     */
+    async renderScene(scene) {
+        console.log(`\n🎬 Scene ${scene.index + 1}: ${scene.title} (${scene.file})`);
+
+        const sceneDir = join(this.config.outputDir, 'scenes', `${String(scene.index + 1).padStart(2, '0')}-${scene.id}`);
+        const animation = mergeSettings(this.config.animation, scene.animation);
+
+        const pipeline = new EnhancedExcalidrawPipeline({
+            outputDir: sceneDir,
+            width: this.config.width,
+            height: this.config.height,
+            frameRate: animation.frameRate || 30,
+            sequence: animation.sequence,
+            readingDirection: animation.readingDirection,
+            voiceEnabled: scene.narration,
+            voice: scene.voice,
+            aiScriptEnabled: this.config.aiScriptEnabled,
+            ollamaUrl: this.config.ollamaUrl,
+            animation: { ...animation, streaming: this.config.export.streaming, renderer: this.renderer }
+        });
+
+        const { animation: animationData, narration } = await pipeline.prepareAnimation(scene.file, {
+            storyboard: scene.storyboard
+        });
+
+        const exporter = new VideoExporter({
+            ...this.config.export,
+            width: this.config.width,
+            height: this.config.height,
+            outputDir: sceneDir,
+            renderer: this.renderer
+        });
+        const clip = await exporter.exportVideo(animationData, 'clip.mp4');
+
+        // Narration plays from the clip's start; the stitcher holds the last frame
+        // until it is over and the next scene's transition has room
+        const audio = narration
+            ? narration.timeline.segments.map(segment => ({ path: segment.audioPath, startMs: segment.startTime }))
+            : [];
+
+        return {
+            path: clip.outputPath,
+            durationMs: clip.duration,
+            holdMs: scene.hold,
+            audioMs: narration ? narration.timeline.totalDuration : 0,
+            title: scene.title,
+            transition: scene.transition,
+            chapters: animationData.chapters || [],
+            audio
+        };
+    }
+}
@@ -0,0 +1,364 @@
+/**
+ * Frame Renderer
+ * Shared headless browser with a pool of pages for rendering animation frames
+ */
+
+import puppeteer from 'puppeteer';
+import { cpus } from 'os';
+import { join, dirname } from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+
+const require = createRequire(import.meta.url);
+
+// Resolve a file inside an installed package (bypasses "exports" maps)
+function resolvePackageFile(packageName, file) {
+    return join(dirname(require.resolve(`${packageName}/package.json`)), file);
+}
+
+// Local UMD bundles for in-browser rendering (no CDN access needed)
+function resolveExcalidrawScripts() {
+    const excalidrawBundle = resolvePackageFile('@excalidraw/excalidraw', 'dist/excalidraw.production.min.js');
+    return {
+        scripts: [
+            resolvePackageFile('react', 'umd/react.production.min.js'),
+            resolvePackageFile('react-dom', 'umd/react-dom.production.min.js'),
+            excalidrawBundle
+        ],
+        assetPath: pathToFileURL(dirname(excalidrawBundle)).href + '/'
+    };
+}
+
+export class FrameRenderer {
+    constructor(config = {}) {
+        this.config = {
+            width: config.width || 1920,
+            height: config.height || 1080,
+            concurrency: config.concurrency || Math.min(4, cpus().length) || 1,
+            ...config,
+            launchOptions: { headless: true, ...config.launchOptions }
+        };
+
+        this.browser = null;
+        this.starting = null;
+        this.idlePages = [];
+        this.waitingForPage = [];
+        this.pageStates = new WeakMap();
+        this.jobCounter = 0;
+    }
+
+    /**
+     * Launch the browser and open the page pool (idempotent)
+     */
+    async start() {
+        if (this.browser) return this;
+        if (!this.starting) {
+            this.starting = (async () => {
+                console.log(`🌐 Starting frame renderer with ${this.config.concurrency} page(s)`);
+                const browser = await puppeteer.launch(this.config.launchOptions);
+
+                for (let i = 0; i < this.config.concurrency; i++) {
+                    const page = await browser.newPage();
+                    await page.setViewport({
+                        width: this.config.width,
+                        height: this.config.height
+                    });
+                    this.idlePages.push(page);
+                }
+
+                this.browser = browser;
+                return this;
+            })();
+        }
+        return this.starting;
+    }
+
+    /**
+     * Close the browser and drop the page pool
+     */
+    async close() {
+        const browser = this.browser;
+        this.browser = null;
+        this.starting = null;
+        this.idlePages = [];
+        this.waitingForPage = [];
+
+        if (browser) {
+            await browser.close();
+        }
+    }
+
+    async acquirePage() {
+        await this.start();
+
+        if (this.idlePages.length > 0) {
+            return this.idlePages.pop();
+        }
+        return new Promise(resolve => this.waitingForPage.push(resolve));
+    }
+
+    releasePage(page) {
+        const next = this.waitingForPage.shift();
+        if (next) {
+            next(page);
+        } else {
+            this.idlePages.push(page);
+        }
+    }
+
+    async withPage(task) {
+        const page = await this.acquirePage();
+        try {
+            return await task(page);
+        } finally {
+            this.releasePage(page);
+        }
+    }
+
+    /**
+     * Load a page template once per page; later frames only update the content
+     */
+    async preparePage(page, key, setup) {
+        if (this.pageStates.get(page) === key) return;
+
+        await setup(page);
+        this.pageStates.set(page, key);
+    }
+
+    /**
+     * Render frames 0..totalFrames-1 across the page pool.
+     * Frames are handed to onFrame strictly in order; workers stop dispatching
+     * new frames while too many finished frames are waiting to be delivered.
+     */
+    async renderFrames(totalFrames, renderOne, onFrame) {
+        await this.start();
+
+        const workerCount = Math.max(1, Math.min(this.config.concurrency, totalFrames));
+        const maxBuffered = workerCount * 2;
+        const finished = new Map();
+        const deliveryWaiters = [];
+        let nextFrame = 0;
+        let nextDelivery = 0;
+        let delivery = Promise.resolve();
+        let failed = null;
+
+        const deliver = async () => {
+            while (finished.has(nextDelivery)) {
+                const image = finished.get(nextDelivery);
+                finished.delete(nextDelivery);
+                await onFrame(image, nextDelivery);
+                nextDelivery++;
+                deliveryWaiters.splice(0).forEach(resolve => resolve());
+            }
+        };
+
+        const waitForDelivery = () => new Promise(resolve => deliveryWaiters.push(resolve));
+
+        const worker = async () => {
+            while (nextFrame < totalFrames && !failed) {
+                if (nextFrame - nextDelivery >= maxBuffered) {
+                    await waitForDelivery();
+                    continue;
+                }
+
+                const frame = nextFrame++;
+                try {
+                    const image = await this.withPage(page => renderOne(page, frame));
+                    finished.set(frame, image);
+                    delivery = delivery.then(deliver);
+                    await delivery;
+                } catch (error) {
+                    failed = failed || error;
+                    deliveryWaiters.splice(0).forEach(resolve => resolve());
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: workerCount }, worker));
+
+        if (failed) {
+            throw failed;
+        }
+        await delivery;
+
+        return nextDelivery;
+    }
+
+    /**
+     * Render a single Excalidraw scene to PNG
+     */
+    async renderScene(sceneData) {
+        return this.withPage(page => this.renderSceneOnPage(page, sceneData));
+    }
+
+    /**
+     * Render a sequence of Excalidraw scenes, sceneAt(frame) supplies each one
+     */
+    async renderSceneFrames(totalFrames, sceneAt, onFrame) {
+        return this.renderFrames(
+            totalFrames,
+            (page, frame) => this.renderSceneOnPage(page, sceneAt(frame)),
+            onFrame
+        );
+    }
+
+    async renderSceneOnPage(page, sceneData) {
+        await this.preparePage(page, 'excalidraw-scene', p => this.loadScenePage(p));
+
+        const background = sceneData.appState?.viewBackgroundColor || '#ffffff';
+
+        // Render scene with the library's own SVG exporter
+        await page.evaluate(async (scene) => {
+            const exportPadding = 10;
+            const svg = await window.ExcalidrawLib.exportToSvg({
+                elements: scene.elements,
+                appState: {
+                    ...scene.appState,
+                    exportBackground: true,
+                    viewBackgroundColor: scene.background
+                },
+                files: scene.files || null,
+                exportPadding
+            });
+            svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+            
+            // Elements in the middle of a reveal effect are exported on their own
+            // and layered on top with the effect's state (see animation/effects.js)
+            if (scene.overlays.length > 0) {
+                const SVG_NS = 'http://www.w3.org/2000/svg';
+                const create = (tag, attributes) => {
+                    const node = document.createElementNS(SVG_NS, tag);
+                    Object.entries(attributes).forEach(([name, value]) => node.setAttribute(name, value));
+                    return node;
+                };
+                const [minX, minY] = window.ExcalidrawLib.getCommonBounds(scene.elements);
+                
+                for (const [index, { element, frame }] of scene.overlays.entries()) {
+                    const part = await window.ExcalidrawLib.exportToSvg({
+                        elements: [{ ...element, isDeleted: false }],
+                        appState: { ...scene.appState, exportBackground: false },
+                        files: scene.files || null,
+                        exportPadding
+                    });
+                    const [partMinX, partMinY] = window.ExcalidrawLib.getCommonBounds([element]);
+                    
+                    // Layer in scene coordinates
+                    const layer = create('g', { transform: `translate(${exportPadding - minX} ${exportPadding - minY})` });
+                    if (frame.marker) {
+                        const { color, opacity, ...rect } = frame.marker;
+                        layer.appendChild(create('rect', { ...rect, rx: 4, fill: color, opacity }));
+                    }
+                    
+                    const group = create('g', { transform: frame.transform, opacity: frame.opacity });
+                    if (frame.clip) {
+                        const clip = create('clipPath', { id: `overlay-clip-${index}` });
+                        clip.appendChild(create('rect', frame.clip));
+                        layer.appendChild(clip);
+                        group.setAttribute('clip-path', `url(#overlay-clip-${index})`);
+                    }
+                    if (frame.blur > 0) {
+                        const filter = create('filter', { id: `overlay-blur-${index}`, x: '-50%', y: '-50%', width: '200%', height: '200%' });
+                        filter.appendChild(create('feGaussianBlur', { stdDeviation: frame.blur }));
+                        layer.appendChild(filter);
+                        group.setAttribute('filter', `url(#overlay-blur-${index})`);
+                    }
+                    
+                    const content = create('g', { transform: `translate(${partMinX - exportPadding} ${partMinY - exportPadding})` });
+                    content.append(...part.childNodes);
+                    group.appendChild(content);
+                    layer.appendChild(group);
+                    svg.appendChild(layer);
+                }
+            }
+            
+            // Camera viewport is in scene coordinates; the export is offset by its own bounds
+            if (scene.viewport && scene.elements.length > 0) {
+                const [minX, minY] = window.ExcalidrawLib.getCommonBounds(scene.elements);
+                const { x, y, width, height } = scene.viewport;
+                svg.setAttribute('viewBox', `${x - minX + exportPadding} ${y - minY + exportPadding} ${width} ${height}`);
+            }
+            document.body.style.background = scene.background;
+            document.getElementById('excalidraw-container').replaceChildren(svg);
+        }, {
+            elements: sceneData.elements || [],
+            appState: sceneData.appState || {},
+            files: sceneData.files,
+            viewport: sceneData.viewport || null,
+            overlays: sceneData.overlays || [],
+            background
+        });
+
+        return page.screenshot({ type: 'png' });
+    }
+
+    async loadScenePage(page) {
+        const { scripts, assetPath } = resolveExcalidrawScripts();
+
+        await page.setContent(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <script>window.EXCALIDRAW_ASSET_PATH = ${JSON.stringify(assetPath)};</script>
+                <style>
+                    html, body { margin: 0; padding: 0; width: 100vw; height: 100vh; overflow: hidden; }
+                    #excalidraw-container svg { display: block; width: 100vw; height: 100vh; }
+                </style>
+            </head>
+            <body>
+                <div id="excalidraw-container"></div>
+            </body>
+            </html>
+        `);
+
+        for (const path of scripts) {
+            await page.addScriptTag({ path });
+        }
+    }
+
+    /**
+     * Render an animated (SMIL) SVG at fixed frame times.
+     * Each page loads the SVG once with its animation clock paused, and every
+     * frame seeks that clock to the frame's timestamp (virtual time), so no
+     * wall-clock waiting is involved and frames do not depend on render speed.
+     */
+    async renderSvgFrames(svgContent, totalFrames, frameRate, onFrame) {
+        const jobKey = `svg-${++this.jobCounter}`;
+
+        return this.renderFrames(totalFrames, async (page, frame) => {
+            await this.preparePage(page, jobKey, p => this.loadSvgPage(p, svgContent));
+
+            await page.evaluate((seconds) => {
+                const svg = document.querySelector('svg');
+                if (svg && svg.setCurrentTime) {
+                    svg.setCurrentTime(seconds);
+                }
+            }, frame / frameRate);
+
+            return page.screenshot({ type: 'png' });
+        }, onFrame);
+    }
+
+    async loadSvgPage(page, svgContent) {
+        await page.setContent(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    body { margin: 0; padding: 0; background: white; }
+                    svg { width: 100vw; height: 100vh; }
+                </style>
+            </head>
+            <body>
+                ${svgContent}
+            </body>
+            </html>
+        `);
+
+        await page.evaluate(() => {
+            const svg = document.querySelector('svg');
+            if (svg && svg.pauseAnimations) {
+                svg.pauseAnimations();
+            }
+        });
+    }
+}
@@ -7,6 +7,10 @@ import { spawn } from 'child_process';
 import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { resolveLabels, getLabelText, orderLabelsAfterContainers } from '../processing/labels.js';
+import { buildDiagramGraph } from '../processing/graph.js';
+import { getReadingClusters } from '../animation/sequencing.js';
+import { buildScenes } from '../processing/scenes.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -19,6 +23,9 @@ export class VoiceNarrator {
             outputDir: config.outputDir || './output/audio',
             pythonPath: config.pythonPath || '/Users/speed/Downloads/local-voice-ai/server/venv/bin/python',
             kokoroPath: config.kokoroPath || '/Users/speed/Downloads/local-voice-ai/server',
+            sequence: config.sequence || 'created', // 'reading-order' groups by spatial clusters
+            readingDirection: config.readingDirection || 'ltr',
+            scenes: config.scenes !== false, // Keep groups within Excalidraw frames
             ...config
         };
 
@@ -37,13 +44,17 @@ export class VoiceNarrator {
 
     /**
      * Generate narration for Excalidraw elements
+     * @param {object} options - { storyboard }: a resolved storyboard whose
+     *                           narration lines replace the generated script
      */
-    async generateNarration(excalidrawData, scriptGenerator) {
+    async generateNarration(excalidrawData, scriptGenerator, options = {}) {
         console.log('🎙️ Generating voice narration for animation...');
         
         try {
-            // Step 1: Generate script from diagram
-            const script = await this.generateScript(excalidrawData, scriptGenerator);
+            // Step 1: Generate script from diagram (or take it from the storyboard)
+            const script = options.storyboard
+                ? this.generateStoryboardScript(excalidrawData, options.storyboard)
+                : await this.generateScript(excalidrawData, scriptGenerator);
             console.log('📝 Script generated:', script.segments.length, 'segments');
 
             // Step 2: Generate audio for each segment
@@ -77,8 +88,14 @@ export class VoiceNarrator {
         const elements = excalidrawData.elements || [];
         const segments = [];
 
-        // Group elements by type and order
-        const groups = this.groupElements(elements);
+        // Labels are spoken as part of their container; arrows by what they connect
+        this.labels = resolveLabels(elements);
+        this.graph = buildDiagramGraph(elements, this.labels);
+
+        // Group elements by type and order (within each frame when there are frames)
+        const groups = this.config.scenes
+            ? this.groupElementsByScene(elements)
+            : this.groupElements(elements);
 
         // Generate narrative for each group
         for (const group of groups) {
@@ -89,6 +106,8 @@ export class VoiceNarrator {
                 duration: narrative.estimatedDuration,
                 elements: group.elements,
                 voice: narrative.voice || this.config.voice,
+                scene: group.scene || null,
+                chapter: group.chapter || null,
                 timing: {
                     start: group.startTime,
                     end: group.endTime
@@ -103,22 +122,60 @@ export class VoiceNarrator {
         };
     }
 
+    /**
+     * Script from the narration lines of storyboard steps; segment ids are the
+     * step ids so the animator can line each step up with its line
+     */
+    generateStoryboardScript(excalidrawData, storyboard) {
+        const elements = excalidrawData.elements || [];
+        const wordsPerMinute = 150;
+
+        const segments = storyboard.steps
+            .filter(step => step.narration)
+            .map(step => ({
+                id: step.id,
+                text: step.narration,
+                duration: (step.narration.split(' ').length / wordsPerMinute) * 60 * 1000,
+                elements: step.elements,
+                voice: step.voice || this.config.voice,
+                timing: {}
+            }));
+
+        return {
+            segments,
+            totalElements: elements.length,
+            groups: segments.length
+        };
+    }
+
     /**
      * Group elements for narrative generation
      */
     groupElements(elements) {
+        if (this.config.sequence === 'reading-order') {
+            return this.groupElementsByReadingOrder(elements);
+        }
+
         const groups = [];
-        const sortedElements = [...elements].sort((a, b) => {
+        const labels = this.labels || resolveLabels(elements);
+        const sortedElements = orderLabelsAfterContainers([...elements].sort((a, b) => {
             const aTime = a.created || a.versionNonce || 0;
             const bTime = b.created || b.versionNonce || 0;
             return aTime - bTime;
-        });
+        }), labels);
 
         // Create narrative groups based on element relationships
         let currentGroup = null;
         let groupStartTime = 0;
 
         sortedElements.forEach((element, index) => {
+            // A label stays in its container's group
+            const container = labels.byLabel.get(element.id);
+            if (container && currentGroup?.elements.includes(container)) {
+                currentGroup.elements.push(element);
+                return;
+            }
+
             const shouldStartNewGroup = this.shouldStartNewGroup(element, currentGroup);
 
             if (shouldStartNewGroup || !currentGroup) {
@@ -147,6 +204,63 @@ export class VoiceNarrator {
         return groups;
     }
 
+    /**
+     * Groups that never cross a frame: each scene (processing/scenes.js) is
+     * grouped on its own, in scene order. The first group of a scene carries
+     * the frame name as its chapter.
+     */
+    groupElementsByScene(elements) {
+        const scenes = buildScenes(elements);
+        if (scenes.length === 0) return this.groupElements(elements);
+
+        return scenes
+            .flatMap(scene => this.groupElements(scene.elements).map((group, index) => ({
+                ...group,
+                id: `${scene.id}-${group.id}`,
+                scene: scene.id,
+                chapter: index === 0 ? scene.title : null
+            })))
+            .map((group, index) => ({
+                ...group,
+                startTime: index * 3000, // 3 seconds per group
+                endTime: (index + 1) * 3000
+            }));
+    }
+
+    /**
+     * One narrative group per spatial cluster, in the order a reader scans the
+     * board (the same clusters the animator's reading-order sequence uses)
+     */
+    groupElementsByReadingOrder(elements) {
+        const labels = this.labels || resolveLabels(elements);
+        const clusters = getReadingClusters(elements, { direction: this.config.readingDirection });
+        const clusterOf = new Map();
+        clusters.forEach((cluster, index) => cluster.elements.forEach(el => clusterOf.set(el.id, index)));
+
+        // Labels always travel with their container's cluster
+        labels.byLabel.forEach((container, labelId) => {
+            if (clusterOf.has(container.id)) clusterOf.set(labelId, clusterOf.get(container.id));
+        });
+
+        const grouped = clusters.map(() => []);
+        clusters.flatMap(cluster => cluster.elements)
+            .forEach(element => grouped[clusterOf.get(element.id)].push(element));
+
+        return grouped
+            .filter(groupElements => groupElements.length > 0)
+            .map((groupElements, index) => {
+                const ordered = orderLabelsAfterContainers(groupElements, labels);
+                const lead = ordered.find(el => !labels.byLabel.has(el.id)) || ordered[0];
+                return {
+                    id: `group-${index}`,
+                    elements: ordered,
+                    type: lead.type,
+                    startTime: index * 3000, // 3 seconds per group
+                    endTime: (index + 1) * 3000
+                };
+            });
+    }
+
     /**
      * Determine if element should start a new narrative group
      */
@@ -169,14 +283,17 @@ export class VoiceNarrator {
      * Generate narrative for a group of elements
      */
     async generateGroupNarrative(group, scriptGenerator) {
-        const elementDescriptions = group.elements.map(el => this.describeElement(el));
+        const elementDescriptions = group.elements
+            .filter(el => !this.labels?.byLabel.has(el.id))
+            .map(el => this.describeElement(el));
         
         // Use AI to generate natural narrative
         if (scriptGenerator) {
             return await scriptGenerator.generateNarrative({
                 elements: elementDescriptions,
                 type: group.type,
-                context: 'technical diagram explanation'
+                context: 'technical diagram explanation',
+                chapter: group.chapter || null
             });
         }
 
@@ -202,9 +319,17 @@ export class VoiceNarrator {
         // Fill in template with actual content
         if (group.type === 'text' && group.elements[0].text) {
             text = text.replace('{content}', group.elements[0].text);
+        } else if (group.type === 'arrow') {
+            text = this.describeConnection(group.elements[0]) || 'Next, we see {description}';
+            text = text.replace('{description}', descriptions.join(', '));
         } else {
             text = text.replace('{description}', descriptions.join(', '));
         }
+        
+        // The first group of a frame introduces it, whatever the template
+        if (group.chapter) {
+            text = `${group.chapter}. ${text}`;
+        }
 
         // Estimate duration based on text length
         const wordsPerMinute = 150;
@@ -218,6 +343,25 @@ export class VoiceNarrator {
         };
     }
 
+    /**
+     * Describe an arrow by the shapes it connects, or null when it is not bound
+     */
+    describeConnection(element) {
+        const edge = this.graph?.getEdge(element.id);
+        if (!edge) return null;
+
+        const describe = (nodeId) => {
+            const node = this.graph.getNode(nodeId);
+            return node.label ? `"${node.label}"` : this.describeElement(node.element);
+        };
+        const via = edge.label ? `, labeled "${edge.label}"` : '';
+
+        if (edge.direction === 'both') {
+            return `This arrow connects ${describe(edge.source)} and ${describe(edge.target)} both ways${via}`;
+        }
+        return `This arrow shows the flow from ${describe(edge.source)} to ${describe(edge.target)}${via}`;
+    }
+
     /**
      * Select appropriate voice based on content
      */
@@ -238,11 +382,13 @@ export class VoiceNarrator {
      * Describe an element for narrative generation
      */
     describeElement(element) {
+        const label = getLabelText(element, this.labels);
         const descriptions = {
-            'rectangle': `a box${element.label ? ` labeled "${element.label}"` : ''}`,
-            'arrow': `an arrow${element.label ? ` showing "${element.label}"` : ''}`,
+            'rectangle': `a box${label ? ` labeled "${label}"` : ''}`,
+            'arrow': `an arrow${label ? ` showing "${label}"` : ''}`,
             'text': element.text || 'text',
-            'ellipse': `a circle${element.label ? ` representing "${element.label}"` : ''}`,
+            'ellipse': `a circle${label ? ` representing "${label}"` : ''}`,
+            'diamond': `a decision${label ? ` asking "${label}"` : ''}`,
             'line': 'a connecting line',
             'freedraw': 'a sketch'
         };
@@ -364,6 +510,8 @@ else:
                 audioPath: audio.path,
                 text: audio.text,
                 voice: audio.voice,
+                scene: scriptSegment.scene || null,
+                chapter: scriptSegment.chapter || null,
                 startTime: currentTime,
                 endTime: currentTime + audio.duration,
                 duration: audio.duration,
@@ -379,6 +527,11 @@ else:
 
         timeline.totalDuration = currentTime;
 
+        // Frame names, where their scene's narration starts
+        timeline.chapters = timeline.segments
+            .filter(segment => segment.chapter)
+            .map(segment => ({ id: segment.scene, title: segment.chapter, startMs: segment.startTime }));
+
         // Save timeline as JSON
         const timelinePath = join(this.config.outputDir, 'audio-timeline.json');
         writeFileSync(timelinePath, JSON.stringify(timeline, null, 2));
@@ -433,7 +586,7 @@ ${JSON.stringify(context.elements)}
 
 Context: ${context.context}
 Type: ${context.type}
-
+${context.chapter ? `Section: ${context.chapter} (open by introducing it)\n` : ''}
 Provide a clear, concise explanation that would help someone understand what they're seeing.
 Keep it under 30 words.
 `;
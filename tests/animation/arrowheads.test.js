@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getArrowheads,
+    buildArrowheadPath,
+    buildArrowheadSvg,
+    buildAnimatedArrowheadsSvg
+} from '../../src/animation/arrowheads.js';
+
+// Pointing right from the origin
+const end = { point: [0, 0], angle: 0, segmentLength: 200 };
+
+test('getArrowheads uses Excalidraw defaults and ignores lines', () => {
+    assert.deepEqual(getArrowheads({ type: 'arrow' }), { start: null, end: 'arrow' });
+    assert.deepEqual(getArrowheads({ type: 'arrow', startArrowhead: 'dot', endArrowhead: null }), { start: 'dot', end: null });
+    assert.deepEqual(getArrowheads({ type: 'line', endArrowhead: 'arrow' }), { start: null, end: null });
+});
+
+test('buildArrowheadPath draws both wings behind the tip', () => {
+    const path = buildArrowheadPath(end, 10);
+    const [wingA, tip, wingB] = path.slice(1).split(' L').map(point => point.split(',').map(Number));
+
+    assert.deepEqual(tip, [0, 0]);
+    assert.ok(wingA[0] < 0 && wingB[0] < 0);
+    assert.equal(wingA[1], -wingB[1]);
+    assert.equal(Math.round(Math.hypot(...wingA)), 10);
+});
+
+test('buildArrowheadSvg shapes each type and fills only solid heads', () => {
+    assert.match(buildArrowheadSvg('arrow', end), /^<path d="M[^"]+" .*fill="none"/);
+    assert.match(buildArrowheadSvg('dot', end, { color: '#e03131' }), /<circle cx="0" cy="0" r="7.5" stroke="#e03131".* fill="#e03131"/);
+    assert.match(buildArrowheadSvg('triangle_outline', end), /Z" .*fill="none"/);
+    assert.match(buildArrowheadSvg('diamond', end), /<path d="M0,0 L-12,6 L-24,0 L-12,-6 Z"/);
+    assert.equal(buildArrowheadSvg('unknown', end), '');
+    assert.equal(buildArrowheadSvg(null, end), '');
+});
+
+test('heads shrink on short segments', () => {
+    assert.match(buildArrowheadSvg('dot', { ...end, segmentLength: 10 }), /r="2.5"/);
+});
+
+test('animated heads appear when the stroke reaches their end', () => {
+    const svg = buildAnimatedArrowheadsSvg(
+        { type: 'arrow', startArrowhead: 'bar', endArrowhead: 'arrow' },
+        { start: { ...end, angle: Math.PI }, end: { ...end, point: [100, 0] } },
+        { startSec: 1, durSec: 2 }
+    );
+
+    const begins = [...svg.matchAll(/begin="([\d.]+)s"/g)].map(match => Number(match[1]));
+    assert.deepEqual(begins, [1, 3]);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getElementBounds,
+    getSceneBounds,
+    fitViewport,
+    viewportFromAppState,
+    resolveViewport,
+    viewportToTransform,
+    interpolateViewport,
+    buildFollowKeyframes,
+    viewportAt,
+    buildCameraAnimationSvg
+} from '../../src/animation/camera.js';
+
+const frame = { width: 1920, height: 1080 };
+
+test('element bounds cover boxes with negative sizes and linear points', () => {
+    assert.deepEqual(getElementBounds({ x: 100, y: 50, width: -40, height: 20 }), { minX: 60, minY: 50, maxX: 100, maxY: 70 });
+    assert.deepEqual(
+        getElementBounds({ x: 10, y: 10, points: [[0, 0], [50, -30], [20, 40]] }),
+        { minX: 10, minY: -20, maxX: 60, maxY: 50 }
+    );
+});
+
+test('scene bounds skip deleted elements', () => {
+    assert.equal(getSceneBounds([]), null);
+    assert.deepEqual(getSceneBounds([
+        { x: 0, y: 0, width: 100, height: 100 },
+        { x: 300, y: 200, width: 50, height: 50 },
+        { x: 5000, y: 5000, width: 10, height: 10, isDeleted: true }
+    ]), { minX: 0, minY: 0, maxX: 350, maxY: 250 });
+});
+
+test('fitViewport centers the bounds with padding and keeps the frame aspect ratio', () => {
+    const viewport = fitViewport({ minX: 0, minY: 0, maxX: 880, maxY: 500 }, { ...frame, padding: 40 });
+
+    // Height limits the zoom: (1080 - 80) / 500 = 2
+    assert.deepEqual(viewport, { x: 440 - 480, y: 250 - 270, width: 960, height: 540 });
+});
+
+test('fitViewport never zooms in past maxZoom and frames the origin without bounds', () => {
+    const viewport = fitViewport({ minX: 0, minY: 0, maxX: 10, maxY: 10 }, { ...frame, maxZoom: 2 });
+
+    assert.equal(viewport.width, 960);
+    assert.equal(viewport.height, 540);
+    assert.deepEqual(fitViewport(null, frame), { x: 0, y: 0, ...frame });
+});
+
+test('appState viewport follows scroll and zoom', () => {
+    assert.deepEqual(
+        viewportFromAppState({ scrollX: -200, scrollY: 100, zoom: { value: 2 } }, frame),
+        { x: 200, y: -100, width: 960, height: 540 }
+    );
+    assert.deepEqual(resolveViewport([], { zoom: 2 }, { ...frame, mode: 'appState' }).width, 960);
+    assert.deepEqual(resolveViewport([], {}, { ...frame, mode: 'none' }), { x: 0, y: 0, ...frame });
+});
+
+test('viewportToTransform maps the viewport onto the frame', () => {
+    assert.equal(viewportToTransform({ x: 100, y: 50, width: 960, height: 540 }, 1920), 'translate(-200 -100) scale(2)');
+});
+
+const overview = { x: 0, y: 0, width: 1920, height: 1080 };
+const closeUp = { x: 400, y: 200, width: 960, height: 540 };
+const other = { x: 1000, y: 600, width: 480, height: 270 };
+
+test('interpolateViewport moves the center linearly and zooms geometrically', () => {
+    const halfway = interpolateViewport(overview, { x: 0, y: 0, width: 480, height: 270 }, 0.5);
+
+    assert.equal(halfway.width, 960);
+    assert.equal(halfway.height, 540);
+    assert.equal(halfway.x + halfway.width / 2, (960 + 240) / 2);
+});
+
+test('follow keyframes ease onto each target, hold it, then pull back', () => {
+    const keyframes = buildFollowKeyframes(
+        [{ startMs: 1000, endMs: 2000, viewport: closeUp }, { startMs: 3000, endMs: 4000, viewport: other }],
+        { overview, transitionMs: 600, totalDuration: 6000 }
+    );
+
+    assert.deepEqual(keyframes.map(keyframe => [keyframe.timeMs, keyframe.viewport]), [
+        [0, overview],
+        [400, overview],
+        [1000, closeUp],
+        [2000, closeUp],
+        [2400, closeUp],
+        [3000, other],
+        [4000, other],
+        [4600, overview]
+    ]);
+});
+
+test('back-to-back targets arrive by the middle of the draw', () => {
+    const keyframes = buildFollowKeyframes(
+        [{ startMs: 0, endMs: 400, viewport: closeUp }, { startMs: 400, endMs: 800, viewport: other }],
+        { overview, transitionMs: 600, totalDuration: 1000 }
+    );
+
+    assert.deepEqual(keyframes.find(keyframe => keyframe.viewport === other).timeMs, 600);
+    assert.equal(keyframes[keyframes.length - 1].timeMs, 1000);
+    assert.deepEqual(buildFollowKeyframes([], { overview, totalDuration: 1000 }), [{ timeMs: 0, viewport: overview }]);
+});
+
+test('viewportAt clamps outside the keyframes and eases between them', () => {
+    const keyframes = [{ timeMs: 1000, viewport: overview }, { timeMs: 2000, viewport: closeUp }];
+
+    assert.equal(viewportAt(keyframes, 0), overview);
+    assert.equal(viewportAt(keyframes, 5000), closeUp);
+    assert.deepEqual(viewportAt(keyframes, 1500), interpolateViewport(overview, closeUp, 0.5));
+    // Eased: a quarter of the time covers less than a quarter of the zoom
+    assert.ok(viewportAt(keyframes, 1250).width > interpolateViewport(overview, closeUp, 0.25).width);
+});
+
+test('camera SMIL samples the eased path over the whole duration', () => {
+    const keyframes = [{ timeMs: 0, viewport: overview }, { timeMs: 1000, viewport: closeUp }];
+    const svg = buildCameraAnimationSvg(keyframes, 2000, 1920, 250);
+
+    assert.match(svg, /keyTimes="0;0.125;0.25;0.375;0.5;1"/);
+    assert.match(svg, /type="scale" additive="sum"\s+values="1;[\d.;]+;2;2"/);
+    assert.match(svg, /dur="2s"/);
+    assert.equal(buildCameraAnimationSvg(keyframes.slice(0, 1), 2000, 1920), '');
+});
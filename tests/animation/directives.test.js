@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAnimationDirectives, extractIdNumber } from '../../src/animation/directives.js';
+
+const withAnimation = (animation, id = 'el') => ({ id, type: 'text', customData: { animation } });
+
+test('numbers are read from customData.animation, invalid ones ignored', () => {
+    const directives = getAnimationDirectives(withAnimation({ order: '2', duration: 800, delay: -100, hold: 'long' }, 'numbers'));
+
+    assert.equal(directives.order, 2);
+    assert.equal(directives.duration, 800);
+    assert.equal(directives.delay, 0);
+    assert.equal(directives.hold, 0);
+});
+
+test('excalidraw-animate ids fill in order and duration, customData wins', () => {
+    const element = { id: 'shape-animateOrder:3-animateDuration:1200', type: 'rectangle' };
+
+    assert.equal(extractIdNumber(element, 'animateOrder'), 3);
+    assert.equal(extractIdNumber({ id: 'plain' }, 'animateOrder'), null);
+    assert.deepEqual(
+        [getAnimationDirectives(element).order, getAnimationDirectives(element).duration],
+        [3, 1200]
+    );
+    assert.equal(getAnimationDirectives({ ...element, customData: { animation: { order: 1 } } }).order, 1);
+});
+
+test('effect, easing and skip directives', () => {
+    const directives = getAnimationDirectives(withAnimation({ effect: { type: 'slide-in', from: 'top' }, skip: 'yes' }));
+
+    assert.deepEqual(directives.effect, { type: 'slide-in', from: 'top' });
+    assert.equal(directives.skip, false);
+    assert.equal(getAnimationDirectives(withAnimation({ effect: 'explode' }, 'bad-effect')).effect, null);
+    assert.equal(getAnimationDirectives(withAnimation({ skip: true })).skip, true);
+    // The older customData.easing is still read
+    assert.equal(getAnimationDirectives({ id: 'old', customData: { easing: 'ease-in' } }).easing, 'ease-in');
+    assert.equal(getAnimationDirectives({ id: 'new', customData: { easing: 'ease-in', animation: { easing: 'ease' } } }).easing, 'ease');
+});
+
+test('emphasis, flow and exit are validated', () => {
+    const valid = getAnimationDirectives(withAnimation({ emphasis: 'none', flow: 'dashes', exit: { type: 'erase-wipe', after: 500 } }));
+
+    assert.equal(valid.emphasis, 'none');
+    assert.equal(valid.flow, 'dashes');
+    assert.deepEqual(valid.exit, { type: 'erase-wipe', after: 500 });
+
+    const invalid = getAnimationDirectives(withAnimation({ emphasis: 'shake', flow: 'sparkles', exit: 'explode' }, 'invalid'));
+    assert.equal(invalid.emphasis, null);
+    assert.equal(invalid.flow, null);
+    assert.equal(invalid.exit, null);
+    assert.equal(getAnimationDirectives(withAnimation({ flow: false })).flow, false);
+});
+
+test('textMode and handwriteSpeed come from customData.animation', () => {
+    const directives = getAnimationDirectives(withAnimation({ textMode: 'handwrite', handwriteSpeed: '250' }));
+
+    assert.equal(directives.textMode, 'handwrite');
+    assert.equal(directives.handwriteSpeed, 250);
+});
+
+test('invalid textMode and handwriteSpeed are ignored', () => {
+    const directives = getAnimationDirectives(withAnimation({ textMode: 'calligraphy', handwriteSpeed: -5 }, 'bad-text'));
+
+    assert.equal(directives.textMode, null);
+    assert.equal(directives.handwriteSpeed, null);
+    assert.equal(getAnimationDirectives(withAnimation({ handwriteSpeed: 'fast' }, 'bad-speed')).handwriteSpeed, null);
+});
+
+test('text directives default to null', () => {
+    const directives = getAnimationDirectives({ id: 'plain', type: 'text' });
+
+    assert.equal(directives.textMode, null);
+    assert.equal(directives.handwriteSpeed, null);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    EASINGS,
+    resolveEasing,
+    easingAttributes,
+    evaluateEasing,
+    motionEasingAttributes
+} from '../../src/animation/easing.js';
+
+test('named easings use the CSS control points', () => {
+    assert.deepEqual(resolveEasing('ease-out'), EASINGS['ease-out']);
+    assert.equal(resolveEasing('linear'), null);
+    assert.equal(resolveEasing(), null);
+    assert.equal(resolveEasing('wobble'), null);
+    assert.deepEqual(resolveEasing(['0.1', 0.2, 0.3, 0.4]), [0.1, 0.2, 0.3, 0.4]);
+});
+
+test('control point arrays are clamped like cubic-bezier()', () => {
+    assert.deepEqual(resolveEasing([0.68, -0.55, 0.27, 1.55]), [0.68, 0, 0.27, 1]);
+    assert.equal(resolveEasing([0.1, 0.2, 0.3]), null);
+    assert.equal(resolveEasing([0.1, 'x', 0.3, 0.4]), null);
+});
+
+test('an unknown easing is reported once', (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+
+    resolveEasing('wiggle');
+    easingAttributes('wiggle', 3);
+    evaluateEasing('wiggle', 0.5);
+
+    assert.equal(log.mock.callCount(), 1);
+    assert.match(log.mock.calls[0].arguments[0], /Unknown easing "wiggle"/);
+});
+
+test('cubic-bezier() is parsed with commas or spaces and clamped to the unit square', () => {
+    assert.deepEqual(resolveEasing('cubic-bezier(0.2, 0.8, 0.4, 1)'), [0.2, 0.8, 0.4, 1]);
+    assert.deepEqual(resolveEasing('cubic-bezier( 0.3 0 0.2 1 )'), [0.3, 0, 0.2, 1]);
+    assert.deepEqual(resolveEasing('cubic-bezier(0.68, -0.55, 0.27, 1.55)'), [0.68, 0, 0.27, 1]);
+    // Malformed curves fall back to linear
+    assert.equal(resolveEasing('cubic-bezier(0.2, 0.8, 0.4)'), null);
+    assert.equal(resolveEasing('cubic-bezier(a, b, c, d)'), null);
+});
+
+test('easingAttributes splines every interval', () => {
+    assert.equal(
+        easingAttributes('ease-in', 3),
+        'calcMode="spline" keyTimes="0;0.5;1" keySplines="0.42 0 1 1;0.42 0 1 1"'
+    );
+    assert.equal(easingAttributes('linear', 3), '');
+    assert.equal(easingAttributes('linear', 3, [0, 1 / 3, 1]), 'keyTimes="0;0.3333;1"');
+});
+
+test('evaluateEasing follows the curve and clamps outside 0..1', () => {
+    assert.equal(evaluateEasing('linear', 0.3), 0.3);
+    assert.equal(evaluateEasing('ease-in', -1), 0);
+    assert.equal(evaluateEasing('ease-in', 2), 1);
+    assert.ok(evaluateEasing('ease-in', 0.5) < 0.5);
+    assert.ok(evaluateEasing('ease-out', 0.5) > 0.5);
+    assert.ok(Math.abs(evaluateEasing('cubic-bezier(0, 0, 1, 1)', 0.37) - 0.37) < 1e-6);
+});
+
+test('motion easing drives keyPoints along the path', () => {
+    assert.equal(motionEasingAttributes('ease'), 'calcMode="spline" keyPoints="0;1" keyTimes="0;1" keySplines="0.25 0.1 0.25 1"');
+    assert.equal(motionEasingAttributes('linear'), '');
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    EFFECTS,
+    registerEffect,
+    isKnownEffect,
+    resolveEffect,
+    effectFrameAt,
+    keyframesAt,
+    buildEffectSvg
+} from '../../src/animation/effects.js';
+
+// Bounds plus the stroke margin: x -8..108, y -8..58
+const box = { id: 'box', type: 'rectangle', x: 0, y: 0, width: 100, height: 50, strokeWidth: 2 };
+
+test('effects resolve from names or specs with their defaults', () => {
+    assert.ok(isKnownEffect('fade'));
+    assert.ok(isKnownEffect({ type: 'wipe' }));
+    assert.ok(!isKnownEffect('explode'));
+    assert.deepEqual(resolveEffect('slide-in'), { from: 'left', distance: 120, type: 'slide-in' });
+    assert.deepEqual(resolveEffect({ type: 'slide-in', from: 'top' }), { from: 'top', distance: 120, type: 'slide-in' });
+    assert.deepEqual(resolveEffect('explode'), { type: 'draw' });
+    assert.deepEqual(resolveEffect(null), { type: 'draw' });
+});
+
+test('draw is left to the renderer', () => {
+    assert.equal(effectFrameAt('draw', box, 0.5), null);
+    assert.equal(buildEffectSvg('draw', box, '<rect/>', { startSec: 0, durSec: 1 }), '<rect/>');
+});
+
+test('frames interpolate the keyframes at a progress', () => {
+    const fade = effectFrameAt('fade', box, 0.25);
+    assert.equal(fade.opacity, 0.25);
+    assert.equal(fade.clip, null);
+    assert.equal(fade.marker, null);
+
+    const slide = effectFrameAt({ type: 'slide-in', from: 'right' }, box, 0);
+    assert.equal(slide.opacity, 0);
+    assert.equal(slide.transform, 'translate(120 0) translate(50 25) scale(1) translate(-50 -25)');
+
+    const wipe = effectFrameAt('wipe', box, 0.5);
+    assert.deepEqual(wipe.clip, { x: -8, y: -8, width: 58, height: 66 });
+    assert.equal(effectFrameAt({ type: 'wipe', from: 'bottom' }, box, 0.5).clip.y, 25);
+
+    assert.equal(effectFrameAt('blur-in', box, 0).blur, 12);
+});
+
+test('keyframesAt walks multi-step curves and applies easing per interval', () => {
+    // bounce rises back to 0.3 of the distance at t = 0.65
+    const bounce = keyframesAt(EFFECTS.bounce, resolveEffect('bounce'), box, 0.65);
+    assert.equal(bounce.transform, 'translate(0 -24) translate(50 25) scale(1) translate(-50 -25)');
+
+    const linear = keyframesAt(EFFECTS.fade, resolveEffect('fade'), box, 0.5);
+    const eased = keyframesAt(EFFECTS.fade, resolveEffect('fade'), box, 0.5, 'ease-in');
+    assert.equal(linear.opacity, 0.5);
+    assert.ok(eased.opacity < 0.5);
+
+    const marker = keyframesAt(EFFECTS['marker-fill'], resolveEffect('marker-fill'), { ...box, backgroundColor: '#a5d8ff' }, 1);
+    assert.equal(marker.marker.color, '#a5d8ff');
+    assert.equal(marker.marker.width, 116 + 16);
+});
+
+test('SMIL markup animates the same keyframes', () => {
+    const svg = buildEffectSvg('scale-pop', box, '<rect/>', { startSec: 1, durSec: 0.5, easing: 'ease-out' });
+
+    assert.match(svg, /<g opacity="0">/);
+    assert.match(svg, /attributeName="opacity" values="0;1;1" begin="1s" dur="0.5s" calcMode="spline" keyTimes="0;0.6;1"/);
+    assert.match(svg, /type="scale" values="0;1.12;1"/);
+    assert.match(svg, /<rect\/>/);
+});
+
+test('registered effects are known and resolved', () => {
+    registerEffect('test-drop', { defaults: { distance: 10 }, keyframes: [{ t: 0, opacity: 0 }, { t: 1, opacity: 1 }] });
+
+    assert.ok(isKnownEffect('test-drop'));
+    assert.equal(resolveEffect('test-drop').distance, 10);
+    assert.equal(effectFrameAt('test-drop', box, 1).opacity, 1);
+    delete EFFECTS['test-drop'];
+});
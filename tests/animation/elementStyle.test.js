@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getElementCenter,
+    getRotationTransform,
+    getElementOpacity,
+    getFillColor,
+    getTextColor,
+    wrapWithElementStyle
+} from '../../src/animation/elementStyle.js';
+import { ExcalidrawAnimator } from '../../src/animation/animator.js';
+
+const box = { id: 'box', type: 'rectangle', x: 0, y: 0, width: 100, height: 50, seed: 7 };
+const drawn = { type: 'polygon-animation', startMs: 0, durationMs: 1000, strokeDuration: 750, fillAnimation: {} };
+
+test('opacity is mapped from 0..100 and clamped', () => {
+    assert.equal(getElementOpacity({ opacity: 60 }), 0.6);
+    assert.equal(getElementOpacity({}), 1);
+    assert.equal(getElementOpacity({ opacity: 150 }), 1);
+    assert.equal(getElementOpacity({ opacity: -5 }), 0);
+});
+
+test('rotation turns about the center of the shape or of the points', () => {
+    assert.equal(getRotationTransform(box), '');
+    assert.equal(getRotationTransform({ ...box, angle: Math.PI / 2 }), 'rotate(90 50 25)');
+    assert.equal(getRotationTransform({ ...box, angle: Math.PI }, 10, 10), 'rotate(180 60 35)');
+    assert.deepEqual(getElementCenter({ type: 'arrow', x: 0, y: 0, points: [[0, 0], [-100, 40]] }), [-50, 20]);
+});
+
+test('fill and text colors', () => {
+    assert.equal(getFillColor({ backgroundColor: '#a5d8ff' }), '#a5d8ff');
+    assert.equal(getFillColor({ backgroundColor: 'transparent' }), null);
+    assert.equal(getFillColor({}), null);
+    assert.equal(getTextColor({ strokeColor: '#e03131' }), '#e03131');
+    assert.equal(getTextColor({}), '#1e1e1e');
+});
+
+test('rotation and opacity wrap the markup in a group', () => {
+    assert.equal(wrapWithElementStyle(box, '<rect/>'), '<rect/>');
+    assert.equal(
+        wrapWithElementStyle({ ...box, angle: Math.PI / 2, opacity: 60 }, '<rect/>'),
+        '  <g transform="rotate(90 50 25)" opacity="0.6">\n<rect/>\n  </g>'
+    );
+});
+
+test('stroke and fill styles become SVG attributes', () => {
+    const animator = new ExcalidrawAnimator();
+    const svgOf = element => animator.createSvgElement(element, drawn, 0);
+
+    // Dashed strokes keep their dash array and are revealed through a mask
+    const dashed = svgOf({ ...box, strokeColor: '#e03131', strokeStyle: 'dashed' });
+    assert.match(dashed, /stroke="#e03131" stroke-width="2.5"[^>]*stroke-dasharray="8,10" mask="url\(#stroke-mask-box\)"/);
+    assert.doesNotMatch(svgOf(box), /mask=/);
+
+    // Solid fills fade in as one shape, sketch fills are drawn stroke by stroke
+    const solid = svgOf({ ...box, backgroundColor: '#a5d8ff', fillStyle: 'solid' });
+    assert.equal(solid.match(/fill="#a5d8ff" stroke="none"/g).length, 1);
+    const hatched = svgOf({ ...box, backgroundColor: '#a5d8ff', fillStyle: 'cross-hatch' });
+    assert.doesNotMatch(hatched, /fill="#a5d8ff"/);
+    assert.ok(hatched.match(/stroke="#a5d8ff"/g).length > 1);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planEmphasis, buildEmphasisSvg } from '../../src/animation/emphasis.js';
+
+const box = (id, x = 0) => ({ id, type: 'rectangle', x, y: 0, width: 100, height: 50, seed: 7 });
+const a = box('a');
+const label = { id: 'a-label', type: 'text', containerId: 'a' };
+const b = box('b', 200);
+const c = box('c', 400);
+const d = box('d', 600);
+const undrawn = box('undrawn', 800);
+const elements = [a, label, b, c, d];
+
+const drawEnds = new Map([['a', 1000], ['a-label', 1000], ['b', 4000], ['c', 5000], ['d', 2000]]);
+const types = { a: 'circle', 'a-label': 'circle', b: 'dim', c: 'pulse', undrawn: 'glow' };
+const typeFor = element => types[element.id] || null;
+
+const segments = [
+    { startTime: 0, endTime: 3000, animationSync: { elements: [a, label, undrawn] } },
+    { startTime: 3000, endTime: 6000, animationSync: { elements: [b] } },
+    { startTime: 6000, endTime: 6200, animationSync: { elements: [c] } }
+];
+
+test('an element is emphasized from when it is drawn until its segment ends', () => {
+    const plan = planEmphasis(segments, elements, drawEnds, typeFor);
+
+    assert.deepEqual(plan.get('a'), [{ type: 'circle', startMs: 1000, endMs: 3000 }, { type: 'dimmed', startMs: 4000, endMs: 6000 }]);
+    // Labels go with their container, undrawn elements and short windows are skipped
+    assert.deepEqual(plan.get('a-label'), [{ type: 'dimmed', startMs: 4000, endMs: 6000 }]);
+    assert.equal(plan.has('undrawn'), false);
+    assert.equal(plan.has('c'), false);
+});
+
+test('dim fades back everything already on screen except the focus', () => {
+    const plan = planEmphasis(segments, elements, drawEnds, typeFor);
+
+    assert.deepEqual(plan.get('d'), [{ type: 'dimmed', startMs: 4000, endMs: 6000 }]);
+    assert.equal(plan.has('b'), false);
+    assert.equal(planEmphasis(segments, elements, drawEnds, typeFor, { minMs: 100 }).get('c')[0].type, 'pulse');
+    assert.equal(planEmphasis(null, elements, drawEnds, typeFor).size, 0);
+});
+
+test('emphasis SVG wraps the element for each window type', () => {
+    assert.equal(buildEmphasisSvg(a, '<rect/>'), '<rect/>');
+
+    const pulse = buildEmphasisSvg(a, '<rect/>', [{ type: 'pulse', startMs: 1000, endMs: 3000 }]);
+    assert.match(pulse, /type="scale" values="1;1.06;1" begin="1s" dur="0.8s" repeatDur="2s"/);
+
+    const dimmed = buildEmphasisSvg(a, '<rect/>', [{ type: 'dimmed', startMs: 0, endMs: 2000 }], { dimOpacity: 0.3 });
+    assert.match(dimmed, /values="1;0.3;0.3;1" keyTimes="0;0.15;0.85;1" begin="0s" dur="2s"/);
+
+    const circle = buildEmphasisSvg(a, '<rect/>', [{ type: 'circle', startMs: 1000, endMs: 3000 }], { color: '#1971c2' });
+    assert.match(circle, /<!-- Emphasis: rectangle -->/);
+    assert.match(circle, /stroke="#1971c2"/);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveExit, isKnownExit, exitFrameAt, buildExitSvg } from '../../src/animation/exits.js';
+
+// Bounds plus the stroke margin: x -8..108
+const box = { id: 'box', type: 'rectangle', x: 0, y: 0, width: 100, height: 50, strokeWidth: 2 };
+// Drawn right to left, so undraw retracts toward the right
+const leftArrow = { id: 'back', type: 'arrow', x: 0, y: 0, points: [[0, 0], [-100, 0]], strokeWidth: 2 };
+
+const drawn = '<path d="M0,0 L100,0">'
+    + '<animate attributeName="stroke-dashoffset" values="100;40;0" begin="1s" dur="2s" calcMode="spline" keyTimes="0;0.3;1" keySplines="0.42 0 1 1;0 0 0.58 1" fill="freeze"/>'
+    + '<animate attributeName="opacity" values="1;1" begin="1s" dur="2s" fill="freeze"/>'
+    + '<animate attributeName="stroke-width" values="1;3" begin="0s" dur="1s"/>'
+    + '</path>';
+
+test('exits resolve with their defaults', () => {
+    assert.ok(isKnownExit('undraw'));
+    assert.ok(isKnownExit({ type: 'fade-out', after: 500 }));
+    assert.equal(resolveExit('vanish'), null);
+    assert.equal(resolveExit(null), null);
+    assert.deepEqual(resolveExit('erase-wipe'), { from: 'left', type: 'erase-wipe' });
+    assert.deepEqual(resolveExit({ type: 'erase-wipe', from: 'top', duration: 400 }), { from: 'top', type: 'erase-wipe', duration: 400 });
+});
+
+test('frames fade and wipe the element away', () => {
+    assert.equal(exitFrameAt('fade-out', box, 0.25).opacity, 0.75);
+    assert.equal(exitFrameAt('vanish', box, 0.5), null);
+
+    // Wiped from the left: what still shows is the right part
+    assert.deepEqual(exitFrameAt('erase-wipe', box, 0.5).clip, { x: 50, y: -8, width: 58, height: 66 });
+    assert.deepEqual(exitFrameAt({ type: 'erase-wipe', from: 'right' }, box, 0.5).clip.x, -8);
+});
+
+test('undraw in frames wipes back toward where the stroke starts', () => {
+    assert.deepEqual(exitFrameAt('undraw', leftArrow, 0.5).clip, { x: -50, y: -8, width: 58, height: 16 });
+    assert.equal(exitFrameAt('undraw', box, 0.5).clip.x, -8);
+});
+
+test('undraw mirrors each frozen reveal over the exit span', () => {
+    const svg = buildExitSvg('undraw', box, drawn, { startSec: 5, durSec: 1, drawStartSec: 1, drawEndSec: 3 });
+
+    assert.match(svg, /<set attributeName="display" to="none" begin="6s" fill="freeze"\/>/);
+    // Values and intervals run backwards, each spline mirrored
+    assert.ok(svg.includes('<animate attributeName="stroke-dashoffset" values="0;40;100" begin="5s" dur="1s" '
+        + 'keyTimes="0;0.7;1" calcMode="spline" keySplines="0.42 0 1 1;0 0 0.58 1" fill="freeze"/>'));
+    // Reveals that end where they start, or are not frozen, have no twin
+    assert.equal(svg.match(/attributeName="opacity"/g).length, 1);
+    assert.equal(svg.match(/attributeName="stroke-width"/g).length, 1);
+});
+
+test('undraw plays a reveal that ends early back first', () => {
+    const early = '<animate attributeName="stroke-dashoffset" values="50;0" begin="1s" dur="1s" fill="freeze"/>';
+    const svg = buildExitSvg('undraw', box, early, { startSec: 10, durSec: 4, drawStartSec: 0, drawEndSec: 4 });
+
+    // Drawn over 1..2s of a 4s span: undone over 12..13s of the exit
+    assert.ok(svg.includes('<animate attributeName="stroke-dashoffset" values="0;50" begin="12s" dur="1s" fill="freeze"/>'));
+});
+
+test('keyframe exits wrap the element and hide it afterwards', () => {
+    const svg = buildExitSvg({ type: 'fade-out' }, box, '<rect/>', { startSec: 2, durSec: 0.5 });
+
+    assert.match(svg, /<!-- Exit: fade-out -->/);
+    assert.match(svg, /attributeName="opacity" values="1;0" begin="2s" dur="0.5s"/);
+    assert.match(svg, /begin="2.5s" fill="freeze"/);
+    assert.equal(buildExitSvg(null, box, '<rect/>', { startSec: 0, durSec: 1 }), '<rect/>');
+});
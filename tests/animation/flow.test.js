@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveFlow, isValidFlow, buildFlowSvg, flowElementsAt } from '../../src/animation/flow.js';
+
+// 240px long: 4 dots 60px apart, one trip every 2s at 120px/s
+const arrow = {
+    id: 'call',
+    type: 'arrow',
+    x: 0,
+    y: 0,
+    points: [[0, 0], [240, 0]],
+    strokeColor: '#1971c2',
+    strokeWidth: 2,
+    startArrowhead: null,
+    endArrowhead: 'arrow'
+};
+const backwards = { ...arrow, startArrowhead: 'arrow', endArrowhead: null };
+const centers = elements => elements.map(element => element.x + element.width / 2);
+
+test('flow specs come from true, a style name or an object', () => {
+    assert.equal(resolveFlow(true).style, 'dots');
+    assert.equal(resolveFlow('dashes').style, 'dashes');
+    assert.equal(resolveFlow({ speed: 200 }, { spacing: 30 }).spacing, 30);
+    assert.equal(resolveFlow(false), null);
+    assert.equal(resolveFlow('sparkles'), null);
+    assert.ok(isValidFlow(false));
+    assert.ok(!isValidFlow({ style: 'sparkles' }));
+});
+
+test('dots enter one after another and travel along the arrow', () => {
+    const spec = resolveFlow(true);
+
+    assert.deepEqual(centers(flowElementsAt(arrow, spec, 0)), [0]);
+    assert.deepEqual(centers(flowElementsAt(arrow, spec, 1000)), [120, 60, 0]);
+    assert.equal(flowElementsAt(arrow, spec, 5000).length, 4);
+    assert.deepEqual(flowElementsAt(arrow, spec, -1), []);
+
+    const [dot] = flowElementsAt(arrow, spec, 0);
+    assert.equal(dot.type, 'ellipse');
+    assert.equal(dot.width, 6);
+    assert.equal(dot.backgroundColor, '#1971c2');
+});
+
+test('dots follow the arrowheads backwards unless the direction is set', () => {
+    assert.deepEqual(centers(flowElementsAt(backwards, resolveFlow(true), 500)), [180, 240]);
+    assert.deepEqual(centers(flowElementsAt(backwards, resolveFlow({ direction: 'forward' }), 0)), [0]);
+});
+
+test('dashes shift along the path over time', () => {
+    const spec = resolveFlow('dashes');
+    const at = elapsedMs => flowElementsAt(arrow, spec, elapsedMs).map(dash => dash.x);
+
+    assert.deepEqual(at(0), [0, 30, 60, 90, 120, 150, 180, 210]);
+    // 100ms at 120px/s moves the pattern 12px
+    assert.deepEqual(at(100).slice(0, 2), [12, 42]);
+    assert.equal(flowElementsAt(arrow, spec, 0)[0].points[1][0], 12);
+});
+
+test('SMIL particles start where the frame renderer does', () => {
+    const dots = buildFlowSvg(arrow, resolveFlow(true), { startSec: 1 });
+    const begins = [...dots.matchAll(/<set attributeName="opacity" to="1" begin="([\d.]+)s"/g)].map(match => Number(match[1]));
+
+    assert.deepEqual(begins, [1, 1.5, 2, 2.5]);
+    assert.match(dots, /dur="2s" keyPoints="0;1"/);
+    assert.match(buildFlowSvg(backwards, resolveFlow(true), { startSec: 0 }), /keyPoints="1;0"/);
+    assert.match(buildFlowSvg(arrow, resolveFlow('dashes'), { startSec: 0 }), /stroke-dashoffset" values="0;-30" begin="0s" dur="0.25s"/);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getElementPoints,
+    getCurveSegments,
+    isCurved,
+    buildLinearPath,
+    sampleLinearPath,
+    polylineLength,
+    getLinearPathLength,
+    getLinearEndpoints
+} from '../../src/animation/geometry.js';
+
+const elbow = { type: 'arrow', x: 10, y: 20, points: [[0, 0], [30, 0], [30, 40]] };
+const curve = { ...elbow, roundness: { type: 2 } };
+
+test('getElementPoints falls back to the bounding box diagonal', () => {
+    assert.deepEqual(getElementPoints({ width: 50, height: 20 }), [[0, 0], [50, 20]]);
+    assert.deepEqual(getElementPoints({ points: [[0, 0]] }), [[0, 0], [100, 100]]);
+    assert.deepEqual(getElementPoints(elbow), elbow.points);
+});
+
+test('only rounded elements with more than two points are curved', () => {
+    assert.equal(isCurved(elbow), false);
+    assert.equal(isCurved(curve), true);
+    assert.equal(isCurved({ roundness: { type: 2 }, points: [[0, 0], [10, 10]] }), false);
+});
+
+test('buildLinearPath follows straight segments from the element position', () => {
+    assert.equal(buildLinearPath(elbow), 'M10,20 L40,20 L40,60');
+    assert.equal(buildLinearPath(elbow, 0, 0), 'M0,0 L30,0 L30,40');
+});
+
+test('curves pass through every point as cubic Bezier segments', () => {
+    const segments = getCurveSegments(curve.points);
+
+    assert.equal(segments.length, 2);
+    assert.deepEqual(segments[0][0], [0, 0]);
+    assert.deepEqual(segments[0][3], [30, 0]);
+    assert.deepEqual(segments[1][3], [30, 40]);
+    assert.match(buildLinearPath(curve), /^M10,20 C[\d.,\s-]+ C[\d.,\s-]+$/);
+});
+
+test('lengths follow the real route', () => {
+    assert.equal(polylineLength([[0, 0], [3, 4], [3, 10]]), 11);
+    assert.equal(getLinearPathLength(elbow), 70);
+
+    // A sampled curve is a bit longer than the chord and ends on the last point
+    const sampled = sampleLinearPath(curve, 0, 0, 8);
+    assert.equal(sampled.length, 1 + 2 * 8);
+    assert.deepEqual(sampled[sampled.length - 1].map(Math.round), [30, 40]);
+    assert.ok(getLinearPathLength(curve) > 50);
+});
+
+test('getLinearEndpoints points away from the path at both ends', () => {
+    const { start, end } = getLinearEndpoints(elbow, 0, 0);
+
+    assert.deepEqual(start.point, [0, 0]);
+    assert.equal(start.angle, Math.PI);
+    assert.equal(start.segmentLength, 30);
+    assert.deepEqual(end.point, [30, 40]);
+    assert.equal(end.angle, Math.PI / 2);
+    assert.equal(end.segmentLength, 40);
+});
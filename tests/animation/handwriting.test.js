@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getHandwritingStrokes,
+    getHandwritingLength,
+    measureHandwrittenLine,
+    buildHandwritingSvg
+} from '../../src/animation/handwriting.js';
+import { HERSHEY_SIMPLEX } from '../../src/animation/fonts/hersheySimplex.js';
+
+// At the em height one font unit is one pixel
+const layoutOf = (text, anchor = 'start') => ({ fontSize: HERSHEY_SIMPLEX.emHeight, anchor, lines: [{ text, x: 0, y: 100 }] });
+
+test('the font covers printable ASCII', () => {
+    assert.equal(HERSHEY_SIMPLEX.glyphs.length, 126 - 32 + 1);
+    assert.ok(HERSHEY_SIMPLEX.glyphs.every(([advance, data]) => advance > 0 && typeof data === 'string'));
+});
+
+test('strokes are written glyph by glyph in pen order', () => {
+    const strokes = getHandwritingStrokes(layoutOf('+-'));
+
+    // "+" down then across, then "-" after its 26 unit advance
+    assert.deepEqual(strokes.map(stroke => stroke.d), ['M13,82 L13,100', 'M4,91 L22,91', 'M30,91 L48,91']);
+    assert.deepEqual(strokes.map(stroke => stroke.length), [18, 18, 18]);
+    assert.equal(getHandwritingLength('+-', 32), 54);
+    assert.equal(getHandwritingLength('+-', 16), 27);
+    assert.equal(measureHandwrittenLine('+-', 32), 52);
+});
+
+test('centered and right-aligned lines end up around the anchor', () => {
+    assert.equal(getHandwritingStrokes(layoutOf('-', 'middle'))[0].d, 'M-9,91 L9,91');
+    assert.equal(getHandwritingStrokes(layoutOf('-', 'end'))[0].d, 'M-22,91 L-4,91');
+});
+
+test('characters outside the font are written as a question mark', () => {
+    assert.deepEqual(getHandwritingStrokes(layoutOf('é')), getHandwritingStrokes(layoutOf('?')));
+    assert.equal(measureHandwrittenLine('€', 32), measureHandwrittenLine('?', 32));
+    assert.equal(getHandwritingStrokes(layoutOf(' ')).length, 0);
+});
+
+test('each stroke gets time in proportion to its length', () => {
+    const svg = buildHandwritingSvg(getHandwritingStrokes(layoutOf('+-')), { startSec: 1, durSec: 3, color: '#1e1e1e', strokeWidth: 2 });
+    const timings = [...svg.matchAll(/begin="([\d.]+)s" dur="([\d.]+)s" fill="freeze"\/>\n    <\/path>/g)]
+        .map(match => [Number(match[1]), Number(match[2])]);
+
+    assert.deepEqual(timings, [[1, 1], [2, 1], [3, 1]]);
+    // The pen follows every stroke over the whole span
+    assert.match(svg, /<animateMotion path="M13,82 L13,100 M4,91 L22,91 M30,91 L48,91"\s+begin="1s"\s+dur="3s"/);
+    assert.equal(buildHandwritingSvg([], { startSec: 0, durSec: 1 }), '');
+});
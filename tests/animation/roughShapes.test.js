@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateRoughShape, getRoughOptions, getStrokeDash } from '../../src/animation/roughShapes.js';
+
+const box = { id: 'box', type: 'rectangle', x: 10, y: 20, width: 100, height: 50, seed: 42 };
+const arrow = { id: 'call', type: 'arrow', x: 0, y: 0, points: [[0, 0], [100, 0]], seed: 3 };
+
+test('shapes are seeded, so every render is identical', () => {
+    const shape = generateRoughShape(box);
+
+    assert.deepEqual(generateRoughShape({ ...box }), shape);
+    assert.notEqual(generateRoughShape({ ...box, seed: 43 }).outline.d, shape.outline.d);
+    assert.match(shape.outline.d, /^M10 20 /);
+    assert.ok(shape.outline.length > 300);
+    // Drawn at an explicit position, the same as at the element's own
+    assert.equal(generateRoughShape({ ...box, x: 0, y: 0 }, 10, 20).outline.d, shape.outline.d);
+});
+
+test('unsupported types have no shape', () => {
+    assert.equal(generateRoughShape({ ...box, type: 'text' }), null);
+    assert.equal(generateRoughShape({ ...box, type: 'freedraw' }), null);
+});
+
+test('fills follow the fill style', () => {
+    assert.equal(generateRoughShape(box).fill, null);
+
+    const solid = generateRoughShape({ ...box, backgroundColor: '#a5d8ff', fillStyle: 'solid' }).fill;
+    assert.equal(solid.style, 'solid');
+    assert.equal(solid.color, '#a5d8ff');
+    assert.deepEqual(solid.strokes, []);
+    assert.match(solid.d, /^M/);
+
+    const hachure = generateRoughShape({ ...box, backgroundColor: '#a5d8ff' }).fill;
+    assert.equal(hachure.style, 'hachure');
+    assert.equal(hachure.d, null);
+    assert.equal(hachure.weight, 1);
+    assert.ok(hachure.strokes.length > 0);
+    assert.ok(hachure.strokes.every(stroke => stroke.length > 0.5));
+});
+
+test('lines and arrows are never filled', () => {
+    const filled = { backgroundColor: '#ffc9c9', fillStyle: 'solid' };
+    const closedLine = { ...arrow, ...filled, type: 'line', points: [[0, 0], [100, 0], [100, 100], [0, 0]] };
+
+    assert.equal(generateRoughShape({ ...arrow, ...filled }).fill, null);
+    assert.equal(generateRoughShape(closedLine).fill, null);
+    assert.ok(generateRoughShape(closedLine).outline);
+});
+
+test('dashed and dotted strokes are single-stroked with a dash pattern', () => {
+    const dashed = getRoughOptions({ strokeStyle: 'dashed', strokeWidth: 2 });
+
+    assert.equal(dashed.strokeWidth, 2.5);
+    assert.equal(dashed.disableMultiStroke, true);
+    assert.equal(getRoughOptions({}).disableMultiStroke, false);
+    assert.deepEqual(getStrokeDash({ strokeStyle: 'dashed', strokeWidth: 2 }), [8, 10]);
+    assert.deepEqual(getStrokeDash({ strokeStyle: 'dotted', strokeWidth: 2 }), [1.5, 8]);
+    assert.equal(getStrokeDash({ strokeStyle: 'solid' }), null);
+});
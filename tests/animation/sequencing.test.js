@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { orderByFlow, findCycleEdges, getReadingClusters, orderByReadingOrder } from '../../src/animation/sequencing.js';
+import { buildDiagramGraph } from '../../src/processing/graph.js';
+
+const box = (id, x, y) => ({ id, type: 'rectangle', x, y, width: 100, height: 50 });
+const arrow = (id, from, to) => ({
+    id,
+    type: 'arrow',
+    x: from.x + 100,
+    y: from.y + 25,
+    points: [[0, 0], [to.x - from.x - 100, to.y - from.y]],
+    startBinding: { elementId: from.id },
+    endBinding: { elementId: to.id },
+    endArrowhead: 'arrow'
+});
+
+const a = box('a', 0, 0);
+const b = box('b', 200, 0);
+const c = box('c', 400, 0);
+const d = box('d', 200, 200);
+const x = box('x', 0, 500);
+const y = box('y', 200, 500);
+
+const ids = elements => elements.map(element => element.id);
+
+test('flow walks from the source along arrows, branches in reading order', () => {
+    const elements = [c, arrow('bc', b, c), d, b, arrow('ad', a, d), arrow('ab', a, b), a];
+
+    assert.deepEqual(ids(orderByFlow(elements)), ['a', 'ab', 'b', 'ad', 'd', 'bc', 'c']);
+});
+
+test('cycles start at the top-left node and close without revisiting it', () => {
+    const elements = [arrow('yx', y, x), y, arrow('xy', x, y), x];
+    const graph = buildDiagramGraph(elements);
+
+    assert.equal(findCycleEdges(graph).size, 1);
+    assert.deepEqual(ids(orderByFlow(elements, graph)), ['x', 'xy', 'y', 'yx']);
+});
+
+test('subgraphs and loose elements are placed in reading order', () => {
+    const note = { id: 'note', type: 'text', text: 'Note', x: 0, y: 1000, width: 80, height: 20 };
+    const free = { id: 'free', type: 'arrow', x: 0, y: 800, points: [[0, 0], [100, 0]] };
+    const elements = [note, x, arrow('xy', x, y), y, free, a, arrow('ab', a, b), b];
+
+    assert.deepEqual(ids(orderByFlow(elements)), ['a', 'ab', 'b', 'x', 'xy', 'y', 'free', 'note']);
+});
+
+test('reading order scans rows, then columns split by gaps', () => {
+    const first = box('first', 0, 0);
+    const second = box('second', 120, 10);
+    const far = box('far', 400, 0);
+    const below = box('below', 0, 200);
+    const gone = { ...box('gone', 0, -500), isDeleted: true };
+    const elements = [below, gone, far, second, first];
+
+    const clusters = getReadingClusters(elements);
+    assert.deepEqual(clusters.map(cluster => [cluster.row, cluster.column, ids(cluster.elements)]), [
+        [0, 0, ['first', 'second']],
+        [0, 1, ['far']],
+        [1, 0, ['below']]
+    ]);
+    assert.deepEqual(ids(orderByReadingOrder(elements)), ['first', 'second', 'far', 'below', 'gone']);
+});
+
+test('right-to-left reading starts from the rightmost column', () => {
+    const elements = [box('left', 0, 0), box('right', 400, 0), box('next-row', 400, 200)];
+
+    assert.deepEqual(ids(orderByReadingOrder(elements, { direction: 'rtl' })), ['right', 'left', 'next-row']);
+    assert.equal(getReadingClusters(elements, { columnGap: 500 })[0].elements.length, 2);
+});
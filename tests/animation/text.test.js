@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { layoutText, buildFontDefs, getFontFamily, splitLines, escapeXml } from '../../src/animation/text.js';
+
+const text = (value, extra = {}) => ({ id: 'label', type: 'text', x: 10, y: 20, text: value, fontSize: 20, ...extra });
+const box = { id: 'box', type: 'rectangle', x: 0, y: 0, width: 200, height: 100 };
+
+test('text keeps the line breaks Excalidraw stored', () => {
+    assert.deepEqual(splitLines('Hello\r\nworld\rand\nmore'), ['Hello', 'world', 'and', 'more']);
+
+    const layout = layoutText(text('Hello\nworld!', { width: 80 }));
+    assert.deepEqual(layout.lines.map(line => [line.text, line.x, line.y]), [['Hello', 10, 37.62], ['world!', 10, 62.62]]);
+    assert.equal(layout.lineHeightPx, 25);
+    assert.equal(layout.height, 50);
+    assert.equal(layout.anchor, 'start');
+});
+
+test('bound text is centered in its container unless aligned otherwise', () => {
+    const centered = layoutText(text('API', { fontFamily: 2 }), 0, 0, box);
+    assert.equal(centered.anchor, 'middle');
+    assert.deepEqual(centered.lines[0], { text: 'API', x: 100, y: 55.4, left: 82, width: 36 });
+
+    // A diamond's text box is its inner half
+    const corner = layoutText(text('API', { textAlign: 'right', verticalAlign: 'top' }), 0, 0, { ...box, type: 'diamond' });
+    assert.equal(corner.anchor, 'end');
+    assert.equal(corner.lines[0].x, 145);
+    assert.equal(corner.lines[0].y, 47.62);
+    assert.equal(corner.lines[0].left, 109);
+});
+
+test('font families map to Excalidraw fonts with fallbacks', () => {
+    assert.equal(getFontFamily({ fontFamily: 1 }), 'Virgil, Segoe UI Emoji');
+    assert.equal(getFontFamily({ fontFamily: 2 }), 'Helvetica, Arial, sans-serif');
+    assert.equal(getFontFamily({ fontFamily: 3 }), 'Cascadia, Segoe UI Emoji, monospace');
+    assert.equal(getFontFamily({ fontFamily: 99 }), 'Virgil, Segoe UI Emoji');
+    assert.equal(layoutText(text('x', { fontFamily: 3 })).fontFamily, 'Cascadia, Segoe UI Emoji, monospace');
+});
+
+test('font defs embed each used font once as a data URL', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'fonts-'));
+    const fontFile = join(dir, 'Helvetica.ttf');
+    writeFileSync(fontFile, 'font');
+
+    try {
+        const defs = buildFontDefs([
+            text('a', { fontFamily: 2 }),
+            text('b', { fontFamily: 2 }),
+            text('gone', { fontFamily: 3, isDeleted: true }),
+            { id: 'box', type: 'rectangle', fontFamily: 3 }
+        ], { fontFiles: { Helvetica: fontFile } });
+
+        assert.equal(defs.match(/@font-face/g).length, 1);
+        assert.ok(defs.includes('font-family: "Helvetica"; src: url(data:font/ttf;base64,Zm9udA==) format("truetype");'));
+        // Helvetica is a system font, so without a file nothing is embedded
+        assert.equal(buildFontDefs([text('a', { fontFamily: 2 })]), '');
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('markup characters are escaped', () => {
+    assert.equal(escapeXml('a < b & "c" > d'), 'a &lt; b &amp; &quot;c&quot; &gt; d');
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeReplaySchedule, getElementDrawLength, computeLengthDuration } from '../../src/animation/timing.js';
+
+const strokes = [
+    { id: 'late', created: 10200, updated: 10800 },
+    { id: 'first', created: 1000, updated: 1500 },
+    { id: 'untimed' },
+    { id: 'second', created: 2000, updated: 2400 },
+    { id: 'after-break', created: 10000, updated: 10100 }
+];
+
+test('replay keeps the drawing pace and compresses long idle gaps', () => {
+    const { schedule, duration, compressedGaps } = computeReplaySchedule(strokes);
+
+    assert.deepEqual(Object.fromEntries(schedule), {
+        first: { startMs: 0, durationMs: 500 },
+        second: { startMs: 1000, durationMs: 400 },
+        // 7.6s break becomes 500ms; a 100ms stroke is drawn in at least 300ms
+        'after-break': { startMs: 1900, durationMs: 300 },
+        // Started while the previous stroke was still being drawn
+        late: { startMs: 2100, durationMs: 600 },
+        untimed: { startMs: 2700, durationMs: 300 }
+    });
+    assert.equal(duration, 3000);
+    assert.equal(compressedGaps, 1);
+});
+
+test('replay rescales to a target duration', () => {
+    const { schedule, duration } = computeReplaySchedule(strokes, { targetDuration: 6000 });
+
+    assert.equal(duration, 6000);
+    assert.deepEqual(schedule.get('late'), { startMs: 4200, durationMs: 1200 });
+    assert.deepEqual(schedule.get('untimed'), { startMs: 5400, durationMs: 600 });
+});
+
+test('draw length follows the outline of each element type', () => {
+    assert.equal(getElementDrawLength({ type: 'rectangle', width: 100, height: -50 }), 300);
+    assert.equal(getElementDrawLength({ type: 'diamond', width: 60, height: 80 }), 200);
+    assert.ok(Math.abs(getElementDrawLength({ type: 'ellipse', width: 100, height: 100 }) - Math.PI * 100) < 1e-9);
+    assert.equal(getElementDrawLength({ type: 'arrow', x: 0, y: 0, points: [[0, 0], [30, 40]] }), 50);
+    assert.equal(getElementDrawLength({ type: 'freedraw', points: [[0, 0], [0, 10], [10, 10]] }), 20);
+    assert.ok(getElementDrawLength({ type: 'text', text: 'Hi\nthere', fontSize: 20 })
+        > getElementDrawLength({ type: 'text', text: 'Hi', fontSize: 20 }));
+});
+
+test('length durations scale with ink and stay within bounds', () => {
+    const box = { type: 'rectangle', width: 300, height: 100 };
+
+    assert.equal(computeLengthDuration(box), 1000);
+    assert.equal(computeLengthDuration(box, { speedFactor: 2 }), 500);
+    assert.equal(computeLengthDuration({ type: 'rectangle', width: 1, height: 1 }), 300);
+    assert.equal(computeLengthDuration({ type: 'rectangle', width: 9000, height: 9000 }, { maxElementMs: 2500 }), 2500);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'stream';
+import { setImmediate as tick } from 'timers/promises';
+import { FrameStreamEncoder } from '../../src/export/frameStreamEncoder.js';
+
+// Stands in for ffmpeg's stdin: holds every chunk until consume() starts reading
+function fakeStdin(highWaterMark) {
+    const pending = [];
+    let reading = false;
+    const stdin = new Writable({
+        highWaterMark,
+        write(chunk, encoding, callback) {
+            if (reading) callback();
+            else pending.push(callback);
+        }
+    });
+    stdin.consume = () => {
+        reading = true;
+        pending.splice(0).forEach(callback => callback());
+    };
+    return stdin;
+}
+
+// An encoder wired to the fake stdin; finish / fail settle the ffmpeg run
+function fakeEncoder(config = {}, highWaterMark = 4) {
+    const encoder = new FrameStreamEncoder({ onProgress: () => {}, ...config });
+    encoder.input = fakeStdin(highWaterMark);
+    encoder.done = new Promise((resolve, reject) => {
+        encoder.finish = resolve;
+        encoder.fail = reject;
+    });
+    encoder.done.catch(() => {});
+    return encoder;
+}
+
+test('writes wait for the pipe to drain once it is full', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const progress = [];
+    const encoder = fakeEncoder({ totalFrames: 2, onProgress: report => progress.push(report.percent) });
+
+    // Below the high-water mark: written at once
+    await encoder.write(Buffer.from('ab'));
+    assert.equal(encoder.framesWritten, 1);
+
+    let written = false;
+    const full = encoder.write(Buffer.from('cdef')).then(() => { written = true; });
+    await tick();
+    assert.equal(written, false);
+
+    encoder.input.consume();
+    await full;
+    assert.equal(encoder.framesWritten, 2);
+    assert.deepEqual(progress, [50, 100]);
+});
+
+test('a write waiting on a full pipe fails with ffmpeg', async () => {
+    const encoder = fakeEncoder();
+    const full = encoder.write(Buffer.from('abcdef'));
+
+    encoder.fail(new Error('Frame stream encoding failed: broken pipe'));
+    await assert.rejects(full, /broken pipe/);
+    assert.equal(encoder.framesWritten, 0);
+});
+
+test('abort closes the pipe and swallows the ffmpeg failure', async () => {
+    const encoder = fakeEncoder();
+    encoder.input.on('close', () => encoder.fail(new Error('Frame stream encoding failed: stdin closed')));
+
+    await encoder.abort();
+    assert.equal(encoder.input.destroyed, true);
+
+    // Aborting twice, or before start(), is harmless
+    await encoder.abort();
+    await new FrameStreamEncoder().abort();
+});
+
+test('end closes the pipe and resolves with the encoded file', async () => {
+    const encoder = fakeEncoder();
+    await encoder.write(Buffer.from('ab'));
+    encoder.input.on('finish', () => encoder.finish({ outputPath: 'out.mp4', frameCount: encoder.framesWritten }));
+
+    const ending = encoder.end();
+    encoder.input.consume();
+    assert.deepEqual(await ending, { outputPath: 'out.mp4', frameCount: 1 });
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    planProject,
+    buildVideoFilter,
+    buildChapters,
+    buildChapterMetadata,
+    formatYouTubeChapters,
+    checkYouTubeChapters
+} from '../../src/export/projectStitcher.js';
+
+const clip = (durationMs, transition = { type: 'cut', duration: 0 }, extra = {}) => ({
+    path: 'clip.mp4', durationMs, holdMs: 0, title: 'Scene', transition, ...extra
+});
+
+test('planProject starts each clip where the previous one ends, minus its transition', () => {
+    const plan = planProject([
+        clip(4000, { type: 'crossfade', duration: 800 }, { holdMs: 1000 }),
+        clip(3000, { type: 'crossfade', duration: 800 }),
+        clip(2000)
+    ]);
+
+    assert.deepEqual(plan.clips.map(c => c.startMs), [0, 4200, 7200]);
+    assert.deepEqual(plan.clips.map(c => c.lengthMs), [5000, 3000, 2000]);
+    // The first clip's transition is ignored
+    assert.deepEqual(plan.clips[0].transition, { type: 'cut', duration: 0 });
+    assert.equal(plan.totalMs, 9200);
+});
+
+test('planProject shortens a transition to half of the shorter neighbour', () => {
+    const plan = planProject([
+        clip(1000),
+        clip(4000, { type: 'zoom-through', duration: 3000 }),
+        clip(600, { type: 'whiteboard-wipe', duration: 3000 })
+    ]);
+
+    assert.equal(plan.clips[1].transition.duration, 500);
+    assert.equal(plan.clips[2].transition.duration, 300);
+    assert.equal(plan.clips[1].startMs, 500);
+    assert.equal(plan.totalMs, 500 + 4000 - 300 + 600);
+});
+
+test('planProject holds a narrated clip until its narration ends before the next transition', () => {
+    const plan = planProject([
+        clip(4000, undefined, { holdMs: 1000, audioMs: 6000 }),
+        clip(5000, { type: 'crossfade', duration: 800 }, { audioMs: 5800 }),
+        clip(3000, { type: 'zoom-through', duration: 1000 })
+    ]);
+
+    plan.clips.slice(0, -1).forEach((current, index) => {
+        assert.ok(current.startMs + current.audioMs <= plan.clips[index + 1].startMs);
+    });
+    assert.equal(plan.clips[0].lengthMs, 6800);
+    assert.equal(plan.clips[1].lengthMs, 6800);
+});
+
+test('buildVideoFilter offsets each xfade by the clip start in mixed cut and crossfade chains', () => {
+    const plan = planProject([
+        clip(4000),
+        clip(3000, { type: 'crossfade', duration: 1000 }),
+        clip(2000),
+        clip(2000, { type: 'whiteboard-wipe', duration: 500 })
+    ]);
+    const { filter, label } = buildVideoFilter(plan, { width: 1280, height: 720, frameRate: 30 });
+
+    assert.equal(filter.length, 4 + 3);
+    assert.match(filter[0], /^\[0:v\]fps=30,scale=1280:720:.*tpad=stop_mode=clone:stop_duration=4,trim=duration=4,.*\[v0\]$/);
+    assert.deepEqual(filter.slice(4), [
+        '[v0][v1]xfade=transition=fade:duration=1:offset=3[x1]',
+        '[x1][v2]concat=n=2:v=1:a=0[x2]',
+        '[x2][v3]xfade=transition=wipeleft:duration=0.5:offset=7.5[x3]'
+    ]);
+    assert.equal(label, 'x3');
+});
+
+test('buildChapters adds frame chapters inside each scene after its title', () => {
+    const plan = planProject([
+        clip(20000, undefined, {
+            title: 'Intro',
+            chapters: [{ title: 'Opening', startMs: 0 }, { title: 'Details', startMs: 12000 }, { title: 'Too late', startMs: 25000 }]
+        }),
+        clip(15000, { type: 'crossfade', duration: 1000 }, { title: 'Request' })
+    ]);
+
+    assert.deepEqual(buildChapters(plan), [
+        { title: 'Intro', startMs: 0, endMs: 12000 },
+        { title: 'Details', startMs: 12000, endMs: 19000 },
+        { title: 'Request', startMs: 19000, endMs: 34000 }
+    ]);
+});
+
+test('buildChapterMetadata escapes FFMETADATA special characters', () => {
+    const metadata = buildChapterMetadata(
+        [{ title: 'A=B; #1 \\ two\nlines', startMs: 0, endMs: 1500 }],
+        'Course = web'
+    );
+
+    assert.equal(metadata, [
+        ';FFMETADATA1',
+        'title=Course \\= web',
+        '',
+        '[CHAPTER]',
+        'TIMEBASE=1/1000',
+        'START=0',
+        'END=1500',
+        'title=A\\=B\\; \\#1 \\\\ two\\\nlines',
+        ''
+    ].join('\n'));
+});
+
+test('formatYouTubeChapters lists one timestamp per chapter', () => {
+    const chapters = [
+        { title: 'Intro', startMs: 0, endMs: 83000 },
+        { title: 'Deep dive', startMs: 83000, endMs: 3723000 },
+        { title: 'Wrap up', startMs: 3723000, endMs: 3800000 }
+    ];
+
+    assert.equal(formatYouTubeChapters(chapters), '0:00 Intro\n1:23 Deep dive\n1:02:03 Wrap up');
+    assert.deepEqual(checkYouTubeChapters(chapters), []);
+});
+
+test('checkYouTubeChapters reports too few and too short chapters', () => {
+    const warnings = checkYouTubeChapters([
+        { title: 'Intro', startMs: 0, endMs: 4000 },
+        { title: 'End', startMs: 4000, endMs: 30000 }
+    ]);
+
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[0], /Only 2 chapter/);
+    assert.match(warnings[1], /under 10s.*Intro$/);
+});
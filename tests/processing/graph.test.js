@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDiagramGraph } from '../../src/processing/graph.js';
+
+const box = (id, extra = {}) => ({ id, type: 'rectangle', x: 0, y: 0, width: 100, height: 50, ...extra });
+const arrow = (id, start, end, extra = {}) => ({
+    id,
+    type: 'arrow',
+    points: [[0, 0], [100, 0]],
+    startBinding: start ? { elementId: start } : null,
+    endBinding: end ? { elementId: end } : null,
+    startArrowhead: null,
+    endArrowhead: 'arrow',
+    ...extra
+});
+
+const elements = [
+    box('client', { boundElements: [{ id: 'client-label', type: 'text' }] }),
+    { id: 'client-label', type: 'text', text: 'Client', containerId: 'client' },
+    box('server'),
+    box('db'),
+    box('lonely'),
+    arrow('request', 'client', 'server'),
+    arrow('query', 'db', 'server', { startArrowhead: 'arrow', endArrowhead: null }),
+    arrow('sync', 'server', 'db', { startArrowhead: 'arrow' }),
+    arrow('link', 'client', 'db', { type: 'line', endArrowhead: null }),
+    arrow('dangling', 'server', null),
+    box('gone', { isDeleted: true })
+];
+
+test('shapes become nodes, labels name them and bound text is not a node', () => {
+    const graph = buildDiagramGraph(elements);
+
+    assert.deepEqual([...graph.nodes.keys()], ['client', 'server', 'db', 'lonely']);
+    assert.equal(graph.getNode('client').label, 'Client');
+    assert.equal(graph.getNode('gone'), null);
+});
+
+test('edge direction follows the arrowheads', () => {
+    const graph = buildDiagramGraph(elements);
+
+    assert.deepEqual(
+        graph.edges.map(({ id, source, target, direction }) => ({ id, source, target, direction })),
+        [
+            { id: 'request', source: 'client', target: 'server', direction: 'forward' },
+            // Only a start arrowhead: the edge runs from the end binding
+            { id: 'query', source: 'server', target: 'db', direction: 'forward' },
+            { id: 'sync', source: 'server', target: 'db', direction: 'both' },
+            { id: 'link', source: 'client', target: 'db', direction: 'none' }
+        ]
+    );
+    assert.deepEqual(graph.unconnected.map(element => element.id), ['dangling']);
+});
+
+test('neighbour queries count undirected edges both ways', () => {
+    const graph = buildDiagramGraph(elements);
+
+    assert.deepEqual(graph.getOutgoing('db').map(edge => edge.id), ['sync', 'link']);
+    assert.deepEqual(graph.getIncoming('server').map(edge => edge.id), ['request', 'sync']);
+    assert.equal(graph.getOtherEnd(graph.getEdge('request'), 'server').id, 'client');
+    assert.deepEqual(graph.getSources().map(node => node.id), ['client']);
+    assert.deepEqual(graph.getIsolatedNodes().map(node => node.id), ['lonely']);
+});
+
+test('toJSON keeps ids and labels without element references', () => {
+    const json = buildDiagramGraph(elements).toJSON();
+
+    assert.deepEqual(json.nodes[0], { id: 'client', type: 'rectangle', label: 'Client' });
+    assert.deepEqual(json.edges[0], {
+        id: 'request', type: 'arrow', source: 'client', target: 'server', direction: 'forward', label: null
+    });
+    assert.deepEqual(json.unconnected, ['dangling']);
+    assert.doesNotThrow(() => JSON.stringify(json));
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveLabels, getLabelText, orderLabelsAfterContainers } from '../../src/processing/labels.js';
+
+const elements = [
+    { id: 'label-a', type: 'text', text: 'Client', originalText: 'Client app', containerId: 'box-a' },
+    { id: 'box-a', type: 'rectangle' },
+    { id: 'box-b', type: 'rectangle', boundElements: [{ id: 'arrow', type: 'arrow' }, { id: 'label-b', type: 'text' }] },
+    { id: 'arrow', type: 'arrow', label: 'calls' },
+    { id: 'label-b', type: 'text', text: 'Server' },
+    { id: 'stray', type: 'text', text: 'Gone', containerId: 'deleted-box' },
+    { id: 'deleted-box', type: 'rectangle', isDeleted: true }
+];
+
+test('labels link to containers through containerId or boundElements', () => {
+    const labels = resolveLabels(elements);
+
+    assert.deepEqual([...labels.byContainer].map(([id, label]) => [id, label.id]), [['box-a', 'label-a'], ['box-b', 'label-b']]);
+    assert.equal(labels.byLabel.get('label-b').id, 'box-b');
+    assert.equal(labels.byLabel.has('stray'), false);
+});
+
+test('getLabelText prefers the original text and falls back to a plain label', () => {
+    const labels = resolveLabels(elements);
+
+    assert.equal(getLabelText({ id: 'box-a' }, labels), 'Client app');
+    assert.equal(getLabelText({ id: 'box-b' }, labels), 'Server');
+    assert.equal(getLabelText(elements[3], labels), 'calls');
+    assert.equal(getLabelText({ id: 'nothing' }, labels), null);
+});
+
+test('labels follow their container, or keep their place without it', () => {
+    const labels = resolveLabels(elements);
+    const live = elements.filter(element => !element.isDeleted);
+
+    assert.deepEqual(
+        orderLabelsAfterContainers(live, labels).map(element => element.id),
+        ['box-a', 'label-a', 'box-b', 'label-b', 'arrow', 'stray']
+    );
+    assert.deepEqual(
+        orderLabelsAfterContainers(live.filter(element => element.id !== 'box-a'), labels).map(element => element.id),
+        ['label-a', 'box-b', 'label-b', 'arrow', 'stray']
+    );
+});
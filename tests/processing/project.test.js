@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { resolveProject, isProjectManifest, PROJECT_DEFAULTS } from '../../src/processing/project.js';
+
+let baseDir;
+
+before(() => {
+    baseDir = mkdtempSync(join(tmpdir(), 'project-test-'));
+    writeFileSync(join(baseDir, 'intro.excalidraw'), '{"elements":[]}');
+    writeFileSync(join(baseDir, 'api-request.excalidraw'), '{"elements":[]}');
+});
+
+after(() => {
+    rmSync(baseDir, { recursive: true, force: true });
+});
+
+test('isProjectManifest recognizes project files only', () => {
+    assert.ok(isProjectManifest('course.project.yaml'));
+    assert.ok(isProjectManifest('course.project.json'));
+    assert.ok(!isProjectManifest('intro.excalidraw'));
+    assert.ok(!isProjectManifest('course.yaml'));
+});
+
+test('resolveProject resolves files, titles, transitions and defaults', () => {
+    const project = resolveProject({
+        title: 'Web',
+        defaults: { hold: 500 },
+        scenes: [
+            { file: 'intro.excalidraw', transition: 'zoom-through', timing: { mode: 'length' } },
+            { file: 'api-request.excalidraw', transition: { type: 'whiteboard-wipe', duration: 600 } },
+            'intro.excalidraw'
+        ]
+    }, { baseDir });
+
+    const [first, second, third] = project.scenes;
+    assert.equal(first.file, join(baseDir, 'intro.excalidraw'));
+    assert.equal(first.title, 'intro');
+    assert.deepEqual(first.transition, { type: 'cut', duration: 0 });
+    assert.deepEqual(first.animation, { timing: { mode: 'length' } });
+    assert.equal(second.title, 'api request');
+    assert.deepEqual(second.transition, { type: 'whiteboard-wipe', duration: 600 });
+    assert.deepEqual(third.transition, PROJECT_DEFAULTS.transition);
+    assert.equal(third.hold, 500);
+    assert.equal(third.id, 'scene-3');
+});
+
+test('resolveProject rejects a project without scenes', () => {
+    assert.throws(() => resolveProject({ scenes: [] }, { source: 'empty.project.yaml' }),
+        /Invalid project empty\.project\.yaml: missing scenes list/);
+});
+
+test('resolveProject lists every problem in one error', () => {
+    let error;
+    try {
+        resolveProject({
+            defaults: { transition: 'spin' },
+            scenes: [
+                { id: 'a', file: 'intro.excalidraw', hold: 'long', timing: 'fast' },
+                { id: 'a', file: 'missing.excalidraw', transition: 'dissolve', animation: 3 },
+                { title: 'No file' }
+            ]
+        }, { baseDir });
+    } catch (caught) {
+        error = caught;
+    }
+
+    assert.ok(error, 'expected resolveProject to throw');
+    const message = error.message;
+    assert.match(message, /defaults: unknown transition "spin"/);
+    assert.match(message, /scene 1 \(intro\.excalidraw\): hold must be a number of milliseconds, got "long"/);
+    assert.match(message, /scene 1 \(intro\.excalidraw\): timing must be a map/);
+    assert.match(message, /scene 2 \(missing\.excalidraw\): duplicate scene id "a"/);
+    assert.match(message, /scene 2 \(missing\.excalidraw\): file not found/);
+    assert.match(message, /scene 2 \(missing\.excalidraw\): unknown transition "dissolve"/);
+    assert.match(message, /scene 2 \(missing\.excalidraw\): animation must be a map/);
+    assert.match(message, /scene 3 \(scene-3\): needs a file/);
+});
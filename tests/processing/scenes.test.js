@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildScenes, isFrame } from '../../src/processing/scenes.js';
+
+const frame = (id, extra = {}) => ({ id, type: 'frame', ...extra });
+const ids = scene => scene.elements.map(element => element.id);
+
+test('a drawing without frames has no scenes', () => {
+    assert.deepEqual(buildScenes([{ id: 'a', type: 'rectangle' }]), []);
+    assert.deepEqual(buildScenes(), []);
+    assert.ok(isFrame({ type: 'magicframe' }));
+    assert.ok(!isFrame({ type: 'rectangle' }));
+});
+
+test('frames become scenes in order with their elements and labels', () => {
+    const scenes = buildScenes([
+        frame('intro', { name: 'Introduction' }),
+        frame('detail', { customData: { animation: { order: 1 } } }),
+        { id: 'box', type: 'rectangle', frameId: 'intro', boundElements: [{ id: 'box-label', type: 'text' }] },
+        // The label has no frameId of its own
+        { id: 'box-label', type: 'text', text: 'Box', containerId: 'box' },
+        { id: 'zoomed', type: 'ellipse', frameId: 'detail' },
+        { id: 'loose', type: 'arrow', frameId: 'missing' },
+        { id: 'gone', type: 'rectangle', frameId: 'intro', isDeleted: true }
+    ]);
+
+    assert.deepEqual(scenes.map(scene => [scene.id, scene.title]), [
+        ['detail', 'Scene 1'],
+        ['intro', 'Introduction'],
+        ['outside', 'Overview']
+    ]);
+    assert.deepEqual(ids(scenes[0]), ['zoomed']);
+    assert.deepEqual(ids(scenes[1]), ['box', 'box-label']);
+    assert.deepEqual(ids(scenes[2]), ['loose']);
+    assert.equal(scenes[2].frame, null);
+});
+
+test('empty frames are dropped and not counted in titles', () => {
+    const scenes = buildScenes([frame('empty'), frame('full'), { id: 'a', type: 'rectangle', frameId: 'full' }]);
+
+    assert.deepEqual(scenes.map(scene => scene.id), ['full']);
+    assert.equal(scenes[0].title, 'Scene 1');
+});
+
+test('the overview scene does not reuse a frame id or name', () => {
+    const scenes = buildScenes([
+        frame('outside'),
+        frame('f2', { name: 'outside-2' }),
+        { id: 'a', type: 'rectangle', frameId: 'outside' },
+        { id: 'b', type: 'rectangle', frameId: 'f2' },
+        { id: 'c', type: 'rectangle' }
+    ]);
+
+    assert.deepEqual(scenes.map(scene => scene.id), ['outside', 'f2', 'outside-3']);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveStoryboard } from '../../src/processing/storyboard.js';
+
+const elements = [
+    { id: 'client', type: 'rectangle', boundElements: [{ id: 'client-label', type: 'text' }] },
+    { id: 'client-label', type: 'text', text: 'Client', containerId: 'client' },
+    { id: 'api', type: 'rectangle', groupIds: ['backend'] },
+    { id: 'db', type: 'ellipse', groupIds: ['backend'] },
+    { id: 'call', type: 'arrow' },
+    { id: 'note', type: 'text', text: 'Later' },
+    { id: 'old', type: 'rectangle', isDeleted: true }
+];
+
+const ids = list => list.map(element => element.id);
+
+test('steps resolve elements, groups and bound labels, with defaults applied', () => {
+    const { steps } = resolveStoryboard({
+        defaults: { effect: 'fade', pause: 300 },
+        steps: [
+            { id: 'intro', elements: 'client', narration: '  The client.  ', camera: 'fit' },
+            { groups: ['backend'], elements: ['call'], effect: 'draw', duration: '1500', camera: ['api'] }
+        ]
+    }, elements);
+
+    assert.deepEqual(ids(steps[0].elements), ['client', 'client-label']);
+    assert.equal(steps[0].effect, 'fade');
+    assert.equal(steps[0].pause, 300);
+    assert.equal(steps[0].narration, 'The client.');
+    assert.equal(steps[0].camera.length, 6);
+
+    assert.equal(steps[1].id, 'step-2');
+    assert.deepEqual(ids(steps[1].elements), ['call', 'api', 'db']);
+    assert.equal(steps[1].effect, 'draw');
+    assert.equal(steps[1].duration, 1500);
+    assert.deepEqual(ids(steps[1].camera), ['api']);
+});
+
+test('elements no step mentions are drawn in a final remaining step', () => {
+    const { steps, warnings } = resolveStoryboard({
+        defaults: { effect: 'fade', easing: 'ease-out' },
+        steps: [{ elements: ['client', 'api', 'db', 'call'] }]
+    }, elements);
+
+    const remaining = steps[steps.length - 1];
+    assert.equal(remaining.id, 'remaining');
+    assert.deepEqual(ids(remaining.elements), ['note']);
+    assert.equal(remaining.effect, 'fade');
+    assert.equal(remaining.easing, 'ease-out');
+    assert.deepEqual(warnings, ['1 element(s) not in any step are drawn last']);
+});
+
+test('the remaining step does not reuse a step id', () => {
+    const { steps } = resolveStoryboard({
+        steps: [{ id: 'remaining', elements: ['client'] }, { id: 'remaining-2', elements: ['api', 'db', 'call'] }]
+    }, elements);
+
+    assert.deepEqual(steps.map(step => step.id), ['remaining', 'remaining-2', 'remaining-3']);
+});
+
+test('clear takes earlier steps or everything drawn so far off the board', () => {
+    const { steps, warnings } = resolveStoryboard({
+        steps: [
+            { id: 'one', elements: ['client'] },
+            { id: 'two', elements: ['api', 'client'] },
+            { id: 'three', elements: ['db'], clear: 'one', exit: 'fade-out' },
+            { id: 'four', elements: ['call', 'note'], clear: true }
+        ]
+    }, elements);
+
+    // client is not drawn twice
+    assert.deepEqual(ids(steps[1].elements), ['api']);
+    assert.deepEqual(warnings, ['step 2 (two): "client" is already drawn by an earlier step']);
+    assert.deepEqual(ids(steps[2].clear), ['client', 'client-label']);
+    assert.equal(steps[2].exit, 'fade-out');
+    assert.deepEqual(ids(steps[3].clear), ['client', 'client-label', 'api', 'db']);
+});
+
+test('every problem is reported in one error', () => {
+    assert.throws(() => resolveStoryboard({}, elements, { source: 'x.storyboard.yaml' }),
+        /Invalid storyboard x\.storyboard\.yaml: missing steps array/);
+
+    let error;
+    try {
+        resolveStoryboard({
+            steps: [
+                { id: 'a', elements: ['ghost', 'old'], effect: 'explode', duration: 'slow' },
+                { id: 'a', groups: ['nowhere'], emphasis: 'shake', flow: 'sparkles', exit: 'vanish' },
+                { camera: ['ghost'], pause: 100 }
+            ]
+        }, elements);
+    } catch (caught) {
+        error = caught;
+    }
+
+    assert.ok(error, 'expected resolveStoryboard to throw');
+    [
+        'step 1 (a): unknown element id "ghost"',
+        'step 1 (a): element "old" is deleted in the drawing',
+        'step 1 (a): duration must be a number of milliseconds, got "slow"',
+        'step 1 (a): unknown effect "explode"',
+        'step 2 (a): duplicate step id',
+        'step 2 (a): unknown group id "nowhere"',
+        'step 2 (a): unknown emphasis "shake"',
+        'step 2 (a): invalid flow "sparkles"',
+        'step 2 (a): unknown exit "vanish"',
+        'step 3 (step-3): needs elements, groups or narration',
+        'step 3 (step-3) camera: unknown element id "ghost"'
+    ].forEach(problem => assert.ok(error.message.includes(problem), `missing: ${problem}`));
+});
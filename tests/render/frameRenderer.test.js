@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { FrameRenderer } from '../../src/render/frameRenderer.js';
+
+// A renderer whose pool holds fake pages, so no browser is launched
+function fakeRenderer(concurrency) {
+    const renderer = new FrameRenderer({ concurrency });
+    renderer.browser = { close: async () => {} };
+    renderer.idlePages = Array.from({ length: concurrency }, (_, index) => ({ id: index }));
+    return renderer;
+}
+
+test('frames finishing out of order are delivered in order', async () => {
+    const renderer = fakeRenderer(3);
+    const delivered = [];
+
+    // Earlier frames take longer
+    const count = await renderer.renderFrames(8, async (page, frame) => {
+        await sleep((8 - frame) * 3);
+        return `image-${frame}`;
+    }, async (image, frame) => {
+        delivered.push([frame, image]);
+    });
+
+    assert.equal(count, 8);
+    assert.deepEqual(delivered, Array.from({ length: 8 }, (_, frame) => [frame, `image-${frame}`]));
+});
+
+test('a failing frame rejects the whole render', async () => {
+    const renderer = fakeRenderer(2);
+    const delivered = [];
+
+    await assert.rejects(
+        renderer.renderFrames(10, async (page, frame) => {
+            await sleep(1);
+            if (frame === 3) throw new Error('capture failed');
+            return frame;
+        }, async (image, frame) => {
+            delivered.push(frame);
+        }),
+        /capture failed/
+    );
+
+    assert.deepEqual(delivered, [0, 1, 2]);
+    // Pages are handed back even when a frame fails
+    assert.equal(renderer.idlePages.length, 2);
+});
+
+test('frames share the page pool', async () => {
+    const renderer = fakeRenderer(2);
+    const inUse = new Set();
+    let mostInUse = 0;
+
+    await renderer.renderFrames(6, async (page) => {
+        assert.ok(!inUse.has(page), 'a page renders one frame at a time');
+        inUse.add(page);
+        mostInUse = Math.max(mostInUse, inUse.size);
+        await sleep(2);
+        inUse.delete(page);
+    }, async () => {});
+
+    assert.equal(mostInUse, 2);
+    assert.equal(renderer.idlePages.length, 2);
+});
+
+test('rendering pauses while a delivered frame is not consumed', async () => {
+    const renderer = fakeRenderer(2);
+    const started = [];
+    let consume;
+    const consumed = new Promise(resolve => { consume = resolve; });
+
+    const rendering = renderer.renderFrames(20, async (page, frame) => {
+        started.push(frame);
+        return frame;
+    }, async (image, frame) => {
+        if (frame === 0) await consumed;
+    });
+
+    // Each page waits until its frame has been taken
+    await sleep(20);
+    assert.deepEqual(started, [0, 1]);
+
+    consume();
+    assert.equal(await rendering, 20);
+    assert.equal(started.length, 20);
+});
+
+test('a slow frame holds back the others to twice the pool size', async () => {
+    const renderer = fakeRenderer(2);
+    const started = [];
+    let finishFirst;
+    const firstDone = new Promise(resolve => { finishFirst = resolve; });
+
+    const rendering = renderer.renderFrames(20, async (page, frame) => {
+        started.push(frame);
+        if (frame === 0) await firstDone;
+        return frame;
+    }, async () => {});
+
+    await sleep(20);
+    assert.deepEqual(started, [0, 1, 2, 3]);
+
+    finishFirst();
+    assert.equal(await rendering, 20);
+});